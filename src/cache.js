@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { version } = require('../package.json');
+
+// Options that change how a batch runs or how a cached extraction is rendered and saved,
+// but not the extraction itself (redaction and page-marker removal run on cached results)
+const IGNORED_OPTIONS = [
+  'cache', 'cacheDir', 'concurrency', 'fileTimeout',
+  'outputFormat', 'chunkTokens', 'pageMarkers', 'tableOfContents', 'minQuality', 'exportTables',
+  'redact', 'redactTypes', 'redactWords', 'redactPatterns', 'redactSalt'
+];
+
+class ProcessingCache {
+  constructor(options = {}) {
+    this.options = {
+      directory: path.join(process.cwd(), '.docenhancer-cache'),
+      version,
+      ...options
+    };
+  }
+
+  hash(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+  }
+
+  optionsFingerprint(processorOptions) {
+    const relevant = {};
+    for (const key of Object.keys(processorOptions).sort()) {
+      const value = processorOptions[key];
+      if (IGNORED_OPTIONS.includes(key) || typeof value === 'function') continue;
+      relevant[key] = value;
+    }
+    // DOCX, HTML and EPUB text holds its tables, drawn as boxes for enhanced-text and as
+    // Markdown otherwise; that is all of the output format an extraction depends on
+    relevant.inlineTables = (processorOptions.outputFormat || 'enhanced-text') === 'enhanced-text' ? 'box' : 'markdown';
+    return JSON.stringify({ version: this.options.version, options: relevant });
+  }
+
+  // The same bytes read as data.csv and as data.txt go through different handlers and give
+  // different results, so the handler and extension are part of the key
+  async keyFor(filePath, processorOptions, handlerName) {
+    const content = await fs.readFile(filePath);
+    const source = JSON.stringify({ handler: handlerName, extension: path.extname(filePath).toLowerCase() });
+    return this.hash(content) + '-' + this.hash(source + this.optionsFingerprint(processorOptions)).slice(0, 16);
+  }
+
+  entryPath(key) {
+    return path.join(this.options.directory, `${key}.json`);
+  }
+
+  async get(key) {
+    try {
+      return await fs.readJson(this.entryPath(key));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async set(key, result) {
+    await fs.ensureDir(this.options.directory);
+
+    // Write to a temp file first so concurrent runs never read half an entry; identical files
+    // in one batch share a key, so every write gets its own temp name
+    const target = this.entryPath(key);
+    const temp = `${target}.${process.pid}-${crypto.randomBytes(6).toString('hex')}.tmp`;
+    try {
+      await fs.writeFile(temp, JSON.stringify(result));
+      await fs.move(temp, target, { overwrite: true });
+    } finally {
+      await fs.remove(temp);
+    }
+  }
+
+  async clear() {
+    const entries = await this.stats();
+    await fs.remove(this.options.directory);
+    return entries;
+  }
+
+  async stats() {
+    if (!(await fs.pathExists(this.options.directory))) {
+      return { entries: 0, bytes: 0 };
+    }
+
+    const files = (await fs.readdir(this.options.directory)).filter(file => file.endsWith('.json'));
+    let bytes = 0;
+    for (const file of files) {
+      bytes += (await fs.stat(path.join(this.options.directory, file))).size;
+    }
+    return { entries: files.length, bytes };
+  }
+}
+
+module.exports = ProcessingCache;
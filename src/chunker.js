@@ -0,0 +1,227 @@
+class DocumentChunker {
+  constructor(options = {}) {
+    this.options = {
+      chunkTokens: 4000,
+      charsPerToken: 4,
+      ...options
+    };
+  }
+
+  estimateTokens(text) {
+    return Math.ceil((text || '').length / this.options.charsPerToken);
+  }
+
+  chunk(claudeReady) {
+    const { header, body } = this.splitHeader(claudeReady);
+    const blocks = this.splitBlocks(body);
+
+    // Reserve room for the repeated header and section line in every chunk
+    const headerTokens = this.estimateTokens(header) + 50;
+    const budget = Math.max(this.options.chunkTokens - headerTokens, 100);
+
+    const chunks = [];
+    let current = null;
+    const sectionPath = [];
+
+    const startChunk = () => {
+      current = {
+        sectionPath: sectionPath.map(heading => heading.title),
+        blocks: [],
+        tokens: 0
+      };
+    };
+
+    const flushChunk = () => {
+      if (current && current.blocks.length > 0) {
+        chunks.push(current);
+      }
+      current = null;
+    };
+
+    blocks.forEach((block, index) => {
+      if (block.type === 'heading') {
+        while (sectionPath.length > 0 && sectionPath[sectionPath.length - 1].level >= block.level) {
+          sectionPath.pop();
+        }
+        sectionPath.push({ level: block.level, title: block.title });
+
+        // A heading starts a new chunk unless it fits together with the block it introduces
+        if (current && current.tokens + this.headingRunTokens(blocks, index, budget) > budget) {
+          flushChunk();
+        }
+      }
+
+      const pieces = block.tokens > budget && block.type === 'text'
+        ? this.splitOversizedBlock(block, budget)
+        : [block];
+
+      for (const piece of pieces) {
+        if (current && current.tokens + piece.tokens > budget) {
+          flushChunk();
+        }
+        if (!current) {
+          startChunk();
+        }
+        current.blocks.push(piece.text);
+        current.tokens += piece.tokens;
+      }
+    });
+    flushChunk();
+
+    return chunks.map((chunk, index) => {
+      let text = header;
+      text += `**Part:** ${index + 1} of ${chunks.length}\n`;
+      if (chunk.sectionPath.length > 0) {
+        text += `**Section:** ${chunk.sectionPath.join(' > ')}\n`;
+      }
+      text += `\n---\n\n`;
+      text += chunk.blocks.join('\n\n') + '\n';
+
+      return {
+        index: index + 1,
+        sectionPath: chunk.sectionPath,
+        estimatedTokens: this.estimateTokens(text),
+        text
+      };
+    });
+  }
+
+  // Tokens of the headings from index on and the first piece of the block that follows them
+  headingRunTokens(blocks, index, budget) {
+    let tokens = 0;
+    for (let i = index; i < blocks.length; i++) {
+      if (blocks[i].type !== 'heading') {
+        return tokens + Math.min(blocks[i].tokens, budget);
+      }
+      tokens += blocks[i].tokens;
+    }
+    return tokens;
+  }
+
+  splitHeader(text) {
+    // The document header ends at the first horizontal rule
+    const match = /\n---\n/.exec(text);
+    if (!match) {
+      return { header: '', body: text };
+    }
+
+    const header = text.slice(0, match.index).trimEnd() + '\n';
+    const body = text.slice(match.index + match[0].length);
+    return { header, body };
+  }
+
+  splitBlocks(body) {
+    const lines = body.split('\n');
+    const blocks = [];
+    let buffer = [];
+    let inTable = false;
+
+    const pushBuffer = () => {
+      const text = buffer.join('\n').trim();
+      buffer = [];
+      if (!text) return;
+      blocks.push({ type: 'text', text, tokens: this.estimateTokens(text) });
+    };
+
+    for (const line of lines) {
+      const trimmed = line.trim();
+
+      // Box-drawn tables from formatTable are kept whole
+      if (trimmed.startsWith('┌')) {
+        pushBuffer();
+        inTable = true;
+      }
+      if (inTable) {
+        buffer.push(line);
+        if (trimmed.startsWith('└')) {
+          const text = buffer.join('\n');
+          buffer = [];
+          inTable = false;
+          blocks.push({ type: 'table', text, tokens: this.estimateTokens(text) });
+        }
+        continue;
+      }
+
+      // Markdown tables are kept whole as well
+      if (trimmed.startsWith('|')) {
+        if (buffer.length > 0 && !buffer[buffer.length - 1].trim().startsWith('|')) {
+          pushBuffer();
+        }
+        buffer.push(line);
+        continue;
+      }
+      if (buffer.length > 0 && buffer[buffer.length - 1].trim().startsWith('|')) {
+        const text = buffer.join('\n');
+        buffer = [];
+        blocks.push({ type: 'table', text, tokens: this.estimateTokens(text) });
+      }
+
+      const heading = /^(#{1,6})\s+(.+)$/.exec(trimmed);
+      if (heading) {
+        pushBuffer();
+        blocks.push({
+          type: 'heading',
+          level: heading[1].length,
+          title: heading[2].trim(),
+          text: trimmed,
+          tokens: this.estimateTokens(trimmed)
+        });
+        continue;
+      }
+
+      if (!trimmed) {
+        pushBuffer();
+        continue;
+      }
+
+      buffer.push(line);
+    }
+
+    // Unterminated table or trailing text
+    if (inTable || (buffer.length > 0 && buffer[0].trim().startsWith('|'))) {
+      const text = buffer.join('\n');
+      if (text.trim()) {
+        blocks.push({ type: 'table', text, tokens: this.estimateTokens(text) });
+      }
+    } else {
+      pushBuffer();
+    }
+
+    return blocks;
+  }
+
+  splitOversizedBlock(block, budget) {
+    // Split long paragraphs on line boundaries, then hard-wrap single long lines
+    const maxChars = budget * this.options.charsPerToken;
+    const pieces = [];
+    let current = '';
+
+    const pushCurrent = () => {
+      if (current) {
+        pieces.push({ type: 'text', text: current, tokens: this.estimateTokens(current) });
+      }
+      current = '';
+    };
+
+    for (const line of block.text.split('\n')) {
+      if (line.length > maxChars) {
+        pushCurrent();
+        for (let i = 0; i < line.length; i += maxChars) {
+          const part = line.slice(i, i + maxChars);
+          pieces.push({ type: 'text', text: part, tokens: this.estimateTokens(part) });
+        }
+        continue;
+      }
+
+      if (current && current.length + line.length + 1 > maxChars) {
+        pushCurrent();
+      }
+      current = current ? `${current}\n${line}` : line;
+    }
+    pushCurrent();
+
+    return pieces;
+  }
+}
+
+module.exports = DocumentChunker;
@@ -2,65 +2,312 @@
 
 const { Command } = require('commander');
 const DocumentProcessor = require('./processor');
+const FileDiscovery = require('./file-discovery');
+const ProcessingCache = require('./cache');
+const DocumentServer = require('./server');
+const DocumentWatcher = require('./watcher');
+const DocumentDiffer = require('./document-diff');
+const { ConfigLoader } = require('./config');
 const fs = require('fs-extra');
 const path = require('path');
 const chalk = require('chalk');
 
 const program = new Command();
 
+// Keep processing as inputs change until interrupted; failures are logged, not fatal
+async function watchDocuments(processor, discovery, inputs, options) {
+  const watcher = new DocumentWatcher(processor, discovery, {
+    inputs,
+    outputDir: options.output,
+    interval: options.interval,
+    debounce: options.debounce
+  });
+
+  watcher.on('watch:change', ({ added, changed }) => {
+    added.forEach(file => console.log(chalk.green(`➕ Added: ${file}`)));
+    changed.forEach(file => console.log(chalk.blue(`✏️  Changed: ${file}`)));
+  });
+  watcher.on('watch:processed', ({ results }) => {
+    for (const result of results.filter(r => r.error)) {
+      console.log(chalk.red(`✗ ${result.originalPath}: ${result.error}`));
+    }
+    for (const result of results.filter(r => !r.error && r.quality?.passed === false)) {
+      console.log(chalk.yellow(`⚠ ${result.originalPath}: quality ${result.quality.score} - ${result.quality.issues.join('; ')}`));
+    }
+  });
+  watcher.on('watch:removed', ({ path: filePath, outputs }) => {
+    console.log(chalk.yellow(`➖ Removed: ${filePath}`) + (outputs.length > 0 ? ` (deleted ${outputs.length} output file(s))` : ''));
+  });
+  watcher.on('watch:error', ({ error }) => {
+    console.error(chalk.red('❌ Watch error:'), error.message);
+  });
+  watcher.on('watch:ready', ({ files }) => {
+    console.log(chalk.blue(`👀 Watching ${files} file(s) for changes (Ctrl+C to stop)...`));
+  });
+
+  const shutdown = () => {
+    console.log(chalk.yellow('\n👋 Stopping watch...'));
+    watcher.stop();
+    process.exit(0);
+  };
+  process.once('SIGINT', shutdown);
+  process.once('SIGTERM', shutdown);
+
+  await watcher.start();
+}
+
+function renderProgress({ completed, total, filePath, result }) {
+  const lowQuality = !result.error && result.quality?.passed === false;
+  const status = result.error ? chalk.red('✗') : lowQuality ? chalk.yellow('⚠') : chalk.green('✓');
+  const name = path.basename(filePath) +
+    (result.error ? chalk.red(` (${result.error})`) : '') +
+    (lowQuality ? chalk.yellow(` (quality ${result.quality.score})`) : '');
+
+  if (!process.stdout.isTTY) {
+    console.log(`${status} [${completed}/${total}] ${name}`);
+    return;
+  }
+
+  const width = 30;
+  const filled = Math.round((completed / total) * width);
+  const bar = '█'.repeat(filled) + '░'.repeat(width - filled);
+  process.stdout.write(`\r${chalk.blue(bar)} ${completed}/${total} ${status} ${name}\x1b[K`);
+  if (completed === total) {
+    process.stdout.write('\n');
+  }
+}
+
+// The processor reports what it writes through events instead of printing
+function renderSaved({ kind, path: outputPath, written, parts, tables, figures }) {
+  if (kind === 'parts') {
+    console.log(`✅ Saved: ${parts} parts + ${outputPath}`);
+  } else if (!written) {
+    console.log(`⏭️  Unchanged: ${outputPath}`);
+  } else if (kind === 'tables') {
+    console.log(`🔢 Saved: ${tables} table(s) as CSV + ${outputPath}`);
+  } else if (kind === 'assets') {
+    console.log(`🖼️  Saved: ${figures} figure(s) to ${outputPath}`);
+  } else {
+    const icon = { document: '✅', data: '📊', report: '📈' }[kind];
+    console.log(`${icon} Saved: ${outputPath}`);
+  }
+}
+
 program
   .name('claude-doc-processor')
   .description('Enhanced document processing for Claude')
   .version('1.0.0');
 
-program
-  .command('process')
-  .description('Process documents for Claude')
-  .argument('<files...>', 'Files to process')
-  .option('-o, --output <dir>', 'Output directory', './output')
-  .option('-f, --format <type>', 'Output format (text|markdown|json)', 'text')
-  .option('--no-tables', 'Skip table extraction')
-  .option('--preserve-breaks', 'Preserve line breaks')
-  .action(async (files, options) => {
+// Processing flags shared by `process` and `config show`
+function addProcessingOptions(command) {
+  return command
+    .option('-o, --output <dir>', 'Output directory', './output')
+    .option('-f, --format <type>', 'Output format (enhanced-text|text|markdown|json)', 'enhanced-text')
+    .option('--no-tables', 'Skip table extraction')
+    .option('--preserve-breaks', 'Preserve line breaks')
+    .option('--pages <ranges>', 'Only process these PDF pages, e.g. 3-10,15')
+    .option('--no-page-markers', 'Leave out "--- Page N ---" markers in PDF text')
+    .option('--keep-boilerplate', 'Keep repeated PDF headers, footers and page numbers')
+    .option('--no-headings', 'Do not detect headings in PDF text')
+    .option('--no-toc', 'Leave out the table of contents')
+    .option('--ocr <mode>', 'OCR for scanned PDF pages and images (auto|always|never)', 'auto')
+    .option('--ocr-lang <langs>', 'OCR languages, e.g. eng+deu (needs @tesseract.js-data/<lang>)', 'eng')
+    .option('--ocr-lang-path <dir>', 'Folder holding <lang>.traineddata.gz files to use instead of the @tesseract.js-data packages')
+    .option('--table-mode <mode>', 'PDF table detection (layout|heuristic)', 'layout')
+    .option('--max-rows <n>', 'Rows per spreadsheet table before large sheets are summarized or paged', (value) => parseInt(value, 10), 500)
+    .option('--large-sheets <mode>', 'Large spreadsheet handling (summarize|page)', 'summarize')
+    .option('-c, --concurrency <n>', 'Number of files processed at the same time', (value) => parseInt(value, 10), 2)
+    .option('--timeout <seconds>', 'Per-file timeout in seconds (0 disables)', (value) => parseFloat(value), 120)
+    .option('--chunk-tokens <n>', 'Split output into parts of about n tokens', (value) => parseInt(value, 10))
+    .option('--no-table-files', 'Do not save tables as CSV files and JSON records')
+    .option('--no-images', 'Do not save DOCX and PDF images or mark them as [Figure N] in the text')
+    .option('--comments', 'Include DOCX comments as [^c1] notes with author and anchored text')
+    .option('--track-changes <mode>', 'DOCX tracked changes (accept|reject|markup)', 'accept')
+    .option('--headers-footers', 'Include DOCX header and footer text once per section')
+    .option('--min-quality <score>', 'Count files whose quality score (0-100) is lower as failed', (value) => parseInt(value, 10), 0)
+    .option('--redact [mode]', 'Redact emails, phone numbers, card numbers and IDs (mask|hash|remove, default mask)')
+    .option('--redact-types <types>', 'Built-in detectors to run, comma-separated (email,phone,credit-card,national-id)')
+    .option('--redact-words <file>', 'Also redact the names and terms listed in this file, one per line')
+    .option('--redact-pattern <name=regex>', 'Also redact matches of this pattern (repeatable)', (value, previous) => [...(previous || []), value])
+    .option('--no-cache', 'Reprocess every file instead of reusing cached results')
+    .option('--cache-dir <dir>', 'Cache directory', '.docenhancer-cache')
+    .option('--no-recursive', 'Do not descend into subdirectories')
+    .option('--include <patterns...>', 'Only process files matching these glob patterns')
+    .option('--exclude <patterns...>', 'Skip files matching these glob patterns')
+    .option('--config <file>', 'Use this config file instead of searching for one')
+    .option('--profile <name>', 'Apply a named profile from the config file');
+}
+
+// A bare --redact means mask
+function redactMode(value) {
+  return value === true ? 'mask' : value;
+}
+
+// Config option → the CLI flag that sets it, and how the flag value maps onto it
+const PROCESS_FLAGS = {
+  outputDir: ['output'],
+  outputFormat: ['format'],
+  extractTables: ['tables'],
+  preserveLineBreaks: ['preserveBreaks'],
+  pages: ['pages'],
+  pageMarkers: ['pageMarkers'],
+  stripBoilerplate: ['keepBoilerplate', (value) => !value],
+  detectHeadings: ['headings'],
+  tableOfContents: ['toc'],
+  ocr: ['ocr'],
+  ocrLanguages: ['ocrLang'],
+  ocrLangPath: ['ocrLangPath'],
+  tableDetection: ['tableMode'],
+  maxSheetRows: ['maxRows'],
+  largeSheetMode: ['largeSheets'],
+  concurrency: ['concurrency'],
+  fileTimeout: ['timeout', (value) => value * 1000],
+  chunkTokens: ['chunkTokens', (value) => value || 0],
+  minQuality: ['minQuality'],
+  exportTables: ['tableFiles'],
+  extractImages: ['images'],
+  comments: ['comments'],
+  trackChanges: ['trackChanges'],
+  headersFooters: ['headersFooters'],
+  redact: ['redact', redactMode],
+  redactTypes: ['redactTypes', (value) => value && value.split(',').map(type => type.trim()).filter(Boolean)],
+  redactWords: ['redactWords', (file) => file && fs.readFileSync(file, 'utf8').split(/\r?\n/).map(word => word.trim()).filter(Boolean)],
+  redactPatterns: ['redactPattern'],
+  cache: ['cache'],
+  cacheDir: ['cacheDir'],
+  recursive: ['recursive'],
+  include: ['include', (value) => value || []],
+  exclude: ['exclude', (value) => value || []]
+};
+
+const SERVE_FLAGS = {
+  outputFormat: ['format'],
+  redact: ['redact', redactMode],
+  concurrency: ['concurrency'],
+  fileTimeout: ['timeout', (value) => value * 1000],
+  ocr: ['ocr'],
+  cache: ['cache'],
+  cacheDir: ['cacheDir']
+};
+
+const DIFF_FLAGS = {
+  ocr: ['ocr'],
+  cache: ['cache'],
+  cacheDir: ['cacheDir']
+};
+
+// Flags given on the command line beat the config file, which beats the flags' defaults
+async function resolveOptions(command, flags) {
+  const cliOptions = command.opts();
+  const config = await new ConfigLoader({ file: cliOptions.config }).resolve(cliOptions.profile);
+
+  const defaults = {};
+  const explicit = {};
+  for (const [key, [flag, convert = (value) => value]] of Object.entries(flags)) {
+    const value = convert(cliOptions[flag]);
+    if (command.getOptionValueSource(flag) === 'cli') {
+      explicit[key] = value;
+    } else if (value !== undefined) {
+      defaults[key] = value;
+    }
+  }
+
+  const options = { ...defaults, ...config.options, ...explicit };
+  return { config, options };
+}
+
+function describeConfig(config) {
+  if (!config.file) return;
+  console.log(chalk.blue(`⚙️  Config: ${config.file}`) + (config.profile ? chalk.blue(` (profile: ${config.profile})`) : ''));
+}
+
+addProcessingOptions(
+  program
+    .command('process')
+    .description('Process documents for Claude')
+    .argument('<inputs...>', 'Files, directories or glob patterns to process')
+)
+  .option('-w, --watch', 'Keep running and reprocess files as they are added, changed or deleted')
+  .option('--interval <ms>', 'How often watch mode checks for changes', (value) => parseInt(value, 10), 1000)
+  .option('--debounce <ms>', 'How long a file must stay unchanged before watch mode processes it', (value) => parseInt(value, 10), 2000)
+  .action(async (files, cliOptions, command) => {
     try {
       console.log(chalk.blue('🔍 Starting document processing...'));
-      
-      const processor = new DocumentProcessor({
-        extractTables: options.tables,
-        outputFormat: options.format,
-        preserveLineBreaks: options.preserveBreaks
+
+      const { config, options } = await resolveOptions(command, PROCESS_FLAGS);
+      describeConfig(config);
+      const { outputDir, recursive, include, exclude, ...processorOptions } = options;
+
+      const processor = new DocumentProcessor(processorOptions);
+      processor.on('output:saved', renderSaved);
+      processor.on('output:skipped', ({ path: outputPath, reason }) => {
+        console.log(chalk.yellow(`⚠ Not saved: ${outputPath} (${reason})`));
       });
 
-      // Validate files exist
-      const validFiles = [];
-      for (const file of files) {
-        if (await fs.pathExists(file)) {
-          validFiles.push(file);
-          console.log(chalk.green(`✓ Found: ${file}`));
-        } else {
-          console.log(chalk.red(`✗ Not found: ${file}`));
-        }
+      // Expand directories and glob patterns into files
+      const discovery = new FileDiscovery({
+        recursive,
+        include,
+        exclude,
+        isSupported: (file) => Boolean(processor.handlers.findByExtension(path.extname(file)))
+      });
+
+      if (cliOptions.watch) {
+        await watchDocuments(processor, discovery, files, { ...cliOptions, output: outputDir });
+        return;
       }
 
-      if (validFiles.length === 0) {
+      const { files: found, skipped } = await discovery.discover(files);
+
+      for (const file of found) {
+        console.log(chalk.green(`✓ Found: ${file.path}`));
+      }
+      for (const skip of skipped) {
+        console.log(chalk.yellow(`⚠ Skipped: ${skip.path} (${skip.reason})`));
+      }
+
+      if (found.length === 0) {
         console.log(chalk.red('❌ No valid files found!'));
         return;
       }
 
+      // Fail before any work when two inputs would write the same output files
+      processor.checkOutputConflicts(found.map(file => ({ originalPath: file.path, relativePath: file.relativePath })));
+
       // Process documents
-      console.log(chalk.blue(`📄 Processing ${validFiles.length} document(s)...`));
-      const results = await processor.processMultipleFiles(validFiles);
+      console.log(chalk.blue(`📄 Processing ${found.length} document(s)...`));
+      const results = await processor.processMultipleFiles(found.map(file => file.path), {
+        onProgress: renderProgress
+      });
+
+      // Mirror the source folder layout under the output directory
+      results.forEach((result, index) => {
+        result.relativePath = found[index].relativePath;
+      });
 
       // Save results
-      await processor.saveResults(results, options.output);
+      await processor.saveResults(results, outputDir);
 
-      // Show summary
-      const successful = results.filter(r => !r.error).length;
+      // Show summary; results under --min-quality count as failed
+      const lowQuality = results.filter(r => !r.error && r.quality?.passed === false);
+      const successful = results.filter(r => !r.error).length - lowQuality.length;
       const failed = results.length - successful;
+      const timedOut = results.filter(r => r.timedOut).length;
+      const cached = results.filter(r => r.fromCache).length;
 
       console.log(chalk.green(`\n✅ Processing complete!`));
-      console.log(chalk.green(`📊 ${successful} successful, ${failed} failed`));
-      console.log(chalk.blue(`📁 Results saved to: ${options.output}`));
+      console.log(
+        chalk.green(`📊 ${successful} successful, ${failed} failed`) +
+        (timedOut > 0 ? chalk.red(` (${timedOut} timed out)`) : '') +
+        (lowQuality.length > 0 ? chalk.yellow(` (${lowQuality.length} below quality ${processorOptions.minQuality})`) : '')
+      );
+      for (const result of lowQuality) {
+        console.log(chalk.yellow(`  ⚠ ${result.originalPath}: quality ${result.quality.score} - ${result.quality.issues.join('; ')}`));
+      }
+      if (cached > 0) {
+        console.log(chalk.blue(`📦 ${cached} served from cache`));
+      }
+      console.log(chalk.blue(`📁 Results saved to: ${outputDir}`));
 
       // Show table stats
       const totalTables = results.reduce((sum, r) => sum + (r.tables?.length || 0), 0);
@@ -68,12 +315,190 @@ program
         console.log(chalk.yellow(`🔢 Found ${totalTables} tables across all documents`));
       }
 
+      const redacted = results.reduce((sum, r) => sum + (r.metadata?.redaction?.total || 0), 0);
+      if (processor.redactor) {
+        console.log(chalk.magenta(`🔒 Redacted ${redacted} item(s) (${processor.redactor.options.mode})`));
+      }
+
     } catch (error) {
       console.error(chalk.red('❌ Error:'), error.message);
       process.exit(1);
     }
   });
 
+program
+  .command('serve')
+  .description('Start a local HTTP server that converts uploaded documents')
+  .option('-p, --port <port>', 'Port to listen on', (value) => parseInt(value, 10), 3000)
+  .option('--host <host>', 'Interface to bind', '127.0.0.1')
+  .option('-f, --format <type>', 'Default output format (enhanced-text|text|markdown|json)', 'enhanced-text')
+  .option('--max-size <mb>', 'Largest accepted upload in MB', (value) => parseFloat(value), 25)
+  .option('--async-threshold <mb>', 'Uploads above this size to /convert become background jobs', (value) => parseFloat(value), 5)
+  .option('-c, --concurrency <n>', 'Conversions running at the same time', (value) => parseInt(value, 10), 2)
+  .option('--timeout <seconds>', 'Per-file timeout in seconds (0 disables)', (value) => parseFloat(value), 120)
+  .option('--ocr <mode>', 'OCR for scanned PDF pages and images (auto|always|never)', 'auto')
+  .option('--redact [mode]', 'Redact personal data in every conversion (mask|hash|remove, default mask)')
+  .option('--no-cache', 'Reprocess every upload instead of reusing cached results')
+  .option('--cache-dir <dir>', 'Cache directory', '.docenhancer-cache')
+  .option('--config <file>', 'Use this config file instead of searching for one')
+  .option('--profile <name>', 'Apply a named profile from the config file')
+  .action(async (options, command) => {
+    let server;
+    try {
+      const { config, options: resolved } = await resolveOptions(command, SERVE_FLAGS);
+      describeConfig(config);
+      const { outputDir, recursive, include, exclude, ...processorOptions } = resolved;
+
+      server = new DocumentServer({
+        port: options.port,
+        host: options.host,
+        maxBodyBytes: Math.round(options.maxSize * 1024 * 1024),
+        asyncThresholdBytes: Math.round(options.asyncThreshold * 1024 * 1024),
+        processorOptions
+      });
+
+      const address = await server.listen();
+      const base = `http://${address.address}:${address.port}`;
+      console.log(chalk.green(`🌐 Listening on ${base}`));
+      console.log(chalk.blue(`  POST ${base}/convert?format=markdown   (raw body or multipart "file" field)`));
+      console.log(chalk.blue(`  POST ${base}/jobs                      (always async, returns a job id)`));
+      console.log(chalk.blue(`  GET  ${base}/jobs/<id>[/result]`));
+      console.log(chalk.blue(`  GET  ${base}/health`));
+    } catch (error) {
+      console.error(chalk.red('❌ Error:'), error.message);
+      process.exit(1);
+    }
+
+    const shutdown = async () => {
+      console.log(chalk.yellow('\n👋 Shutting down...'));
+      await server.close();
+      process.exit(0);
+    };
+    process.once('SIGINT', shutdown);
+    process.once('SIGTERM', shutdown);
+  });
+
+program
+  .command('diff')
+  .description('Compare two versions of a document: changed sections, paragraphs and table cells')
+  .argument('<old>', 'Earlier version')
+  .argument('<new>', 'Later version')
+  .option('-f, --format <type>', 'Output format (markdown|json)', 'markdown')
+  .option('-o, --output <file>', 'Write the comparison to a file instead of printing it')
+  .option('--ocr <mode>', 'OCR for scanned PDF pages and images (auto|always|never)', 'auto')
+  .option('--no-cache', 'Reprocess both files instead of reusing cached results')
+  .option('--cache-dir <dir>', 'Cache directory', '.docenhancer-cache')
+  .option('--config <file>', 'Use this config file instead of searching for one')
+  .option('--profile <name>', 'Apply a named profile from the config file')
+  .action(async (oldFile, newFile, options, command) => {
+    try {
+      if (!['markdown', 'json'].includes(options.format)) {
+        throw new Error(`Unknown diff format "${options.format}" (expected markdown or json)`);
+      }
+
+      // Status goes to stderr so the comparison itself can be piped
+      const { config, options: resolved } = await resolveOptions(command, DIFF_FLAGS);
+      if (config.file) {
+        console.error(chalk.blue(`⚙️  Config: ${config.file}`) + (config.profile ? chalk.blue(` (profile: ${config.profile})`) : ''));
+      }
+      const { outputDir, recursive, include, exclude, ...processorOptions } = resolved;
+      const processor = new DocumentProcessor(processorOptions);
+
+      console.error(chalk.blue(`🔍 Comparing ${oldFile} → ${newFile}...`));
+      const before = await processor.processDocument(oldFile);
+      const after = await processor.processDocument(newFile);
+
+      const differ = new DocumentDiffer();
+      const diff = differ.compare(before, after);
+      const output = options.format === 'json' ? JSON.stringify(diff, null, 2) + '\n' : differ.toMarkdown(diff);
+
+      if (options.output) {
+        await fs.outputFile(options.output, output);
+        console.error(chalk.green(`✅ Saved: ${options.output}`));
+      } else {
+        process.stdout.write(output);
+      }
+    } catch (error) {
+      console.error(chalk.red('❌ Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+const cacheCommand = program
+  .command('cache')
+  .description('Manage the processing cache');
+
+cacheCommand
+  .command('clear')
+  .description('Delete all cached results')
+  .option('--cache-dir <dir>', 'Cache directory', '.docenhancer-cache')
+  .action(async (options) => {
+    const cache = new ProcessingCache({ directory: options.cacheDir });
+    const { entries, bytes } = await cache.clear();
+    console.log(chalk.green(`🧹 Cleared ${entries} cached result(s) (${(bytes / 1024).toFixed(1)} KB)`));
+  });
+
+cacheCommand
+  .command('info')
+  .description('Show cache size')
+  .option('--cache-dir <dir>', 'Cache directory', '.docenhancer-cache')
+  .action(async (options) => {
+    const cache = new ProcessingCache({ directory: options.cacheDir });
+    const { entries, bytes } = await cache.stats();
+    console.log(chalk.blue(`📦 ${entries} cached result(s), ${(bytes / 1024).toFixed(1)} KB in ${path.resolve(options.cacheDir)}`));
+  });
+
+const configCommand = program
+  .command('config')
+  .description('Inspect the configuration file and profiles');
+
+addProcessingOptions(
+  configCommand
+    .command('show')
+    .description('Print the effective configuration: defaults, config file, profile and flags merged')
+)
+  .action(async (cliOptions, command) => {
+    try {
+      const { config, options } = await resolveOptions(command, PROCESS_FLAGS);
+      const { outputDir, recursive, include, exclude, ...processorOptions } = options;
+      const effective = {
+        outputDir,
+        recursive,
+        include,
+        exclude,
+        ...new DocumentProcessor(processorOptions).options
+      };
+
+      console.log(chalk.blue(`⚙️  Config file: ${config.file || '(none found)'}`));
+      if (config.profiles.length > 0) {
+        console.log(chalk.blue(`📋 Profiles: ${config.profiles.join(', ')}`) + (config.profile ? chalk.green(` (using ${config.profile})`) : ''));
+      }
+      console.log(JSON.stringify(effective, null, 2));
+    } catch (error) {
+      console.error(chalk.red('❌ Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('formats')
+  .description('List supported document formats')
+  .action(() => {
+    const processor = new DocumentProcessor();
+
+    console.log(chalk.blue('📚 Supported formats:'));
+    for (const handler of processor.handlers.list()) {
+      console.log(chalk.green(`  ${handler.name}`) + (handler.description ? ` - ${handler.description}` : ''));
+      console.log(`    Extensions: ${handler.extensions.join(', ')}`);
+      if (handler.mimeTypes.length > 0) {
+        console.log(`    MIME types: ${handler.mimeTypes.join(', ')}`);
+      }
+    }
+
+    console.log(chalk.blue('\n📝 Output formats:'));
+    console.log(`  ${processor.renderers.names().join(', ')}`);
+  });
+
 program
   .command('test')
   .description('Test with sample documents')
@@ -93,7 +518,7 @@ program
     }
 
     const files = await fs.readdir(sampleDir);
-    const docFiles = files.filter(f => /\.(pdf|docx|xlsx?)$/i.test(f));
+    const docFiles = files.filter(f => /\.(pdf|docx|xlsx?|csv|png|jpe?g|tiff?|html?|epub)$/i.test(f));
     
     if (docFiles.length === 0) {
       console.log(chalk.yellow(`No sample documents found in ${sampleDir}`));
@@ -107,6 +532,7 @@ program
     
     // Process using the same logic as main command
     const processor = new DocumentProcessor();
+    processor.on('output:saved', renderSaved);
     const results = await processor.processMultipleFiles(fullPaths);
     await processor.saveResults(results, './test-output');
     
@@ -126,8 +552,7 @@ program
     const checks = [
       { name: 'Node.js', cmd: 'node --version' },
       { name: 'NPM', cmd: 'npm --version' },
-      { name: 'pdftotext', cmd: 'pdftotext -v 2>&1' },
-      { name: 'tesseract', cmd: 'tesseract --version 2>&1' }
+      { name: 'pdftotext', cmd: 'pdftotext -v 2>&1' }
     ];
     
     for (const check of checks) {
@@ -139,8 +564,6 @@ program
         
         if (check.name === 'pdftotext') {
           console.log(chalk.yellow('  Install with: choco install poppler'));
-        } else if (check.name === 'tesseract') {
-          console.log(chalk.yellow('  Install with: choco install tesseract'));
         }
       }
     }
@@ -149,7 +572,8 @@ program
     
     const requiredPackages = [
       'textract', 'mammoth', 'cheerio', 'commander', 
-      'chalk', 'fs-extra', 'mime', 'table', 'markdown-table'
+      'chalk', 'fs-extra', 'mime', 'picomatch', 'table', 'xlsx',
+      'tesseract.js', '@tesseract.js-data/eng'
     ];
     
     for (const pkg of requiredPackages) {
@@ -169,6 +593,8 @@ if (process.argv.length <= 2) {
   console.log(chalk.blue('🚀 Claude Document Enhancer'));
   console.log(chalk.yellow('Usage examples:'));
   console.log('  node src/cli.js process document.pdf');
+  console.log('  node src/cli.js serve --port 3000');
+  console.log('  node src/cli.js formats');
   console.log('  node src/cli.js test');
   console.log('  node src/cli.js setup');
   console.log('  node src/cli.js --help');
@@ -0,0 +1,198 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { ConfigError } = require('./errors');
+const { RendererRegistry } = require('./renderers');
+
+// Looked for in this order in each directory, from the working directory up
+const CONFIG_FILES = ['.docenhancerrc', '.docenhancerrc.json', 'docenhancer.config.js'];
+
+// Everything a config file or profile may set; names match the processor options.
+// Relative paths are taken from the config file's directory, not the working directory.
+const SCHEMA = {
+  outputFormat: { enum: RendererRegistry.withDefaults().names() },
+  outputDir: { type: 'string', path: true },
+  extractTables: { type: 'boolean' },
+  exportTables: { type: 'boolean' },
+  extractImages: { type: 'boolean' },
+  comments: { type: 'boolean' },
+  trackChanges: { enum: ['accept', 'reject', 'markup'] },
+  headersFooters: { type: 'boolean' },
+  redact: { enum: ['off', 'mask', 'hash', 'remove'] },
+  redactTypes: { type: 'string[]' },
+  redactWords: { type: 'string[]' },
+  redactPatterns: { type: 'string[]' }, // "name=regex"
+  redactSalt: { type: 'string' },
+  preserveLineBreaks: { type: 'boolean' },
+  preserveOnlyMultipleLineBreaks: { type: 'boolean' },
+  chunkTokens: { type: 'integer', min: 0 },
+  minQuality: { type: 'integer', min: 0, max: 100 },
+  concurrency: { type: 'integer', min: 1 },
+  fileTimeout: { type: 'integer', min: 0 }, // ms
+  cache: { type: 'boolean' },
+  cacheDir: { type: 'string', path: true },
+  tableOfContents: { type: 'boolean' },
+  tableDetection: { enum: ['layout', 'heuristic'] },
+  pages: { type: 'string' },
+  pageMarkers: { type: 'boolean' },
+  stripBoilerplate: { type: 'boolean' },
+  detectHeadings: { type: 'boolean' },
+  ocr: { enum: ['auto', 'always', 'never'] },
+  ocrMinChars: { type: 'integer', min: 0 },
+  ocrLanguages: { type: 'string' },
+  ocrLangPath: { type: 'string', path: true },
+  maxSheetRows: { type: 'integer', min: 1 },
+  largeSheetMode: { enum: ['summarize', 'page'] },
+  fillMergedCells: { type: 'boolean' },
+  recursive: { type: 'boolean' },
+  include: { type: 'string[]' },
+  exclude: { type: 'string[]' }
+};
+
+class ConfigLoader {
+  constructor(options = {}) {
+    this.options = {
+      cwd: process.cwd(),
+      file: null, // use this file instead of searching for one
+      ...options
+    };
+  }
+
+  async find() {
+    if (this.options.file) {
+      const file = path.resolve(this.options.cwd, this.options.file);
+      if (!(await fs.pathExists(file))) {
+        throw new ConfigError(`Config file not found: ${file}`, { file });
+      }
+      return file;
+    }
+
+    let directory = path.resolve(this.options.cwd);
+    while (true) {
+      for (const name of CONFIG_FILES) {
+        const candidate = path.join(directory, name);
+        if (await fs.pathExists(candidate)) return candidate;
+      }
+      const parent = path.dirname(directory);
+      if (parent === directory) return null;
+      directory = parent;
+    }
+  }
+
+  async load(file) {
+    let config;
+    try {
+      if (file.endsWith('.js')) {
+        delete require.cache[require.resolve(file)];
+        config = require(file);
+      } else {
+        config = JSON.parse(await fs.readFile(file, 'utf8'));
+      }
+    } catch (error) {
+      throw new ConfigError(`Could not read ${file}: ${error.message}`, { file, cause: error });
+    }
+
+    const problems = this.validate(config);
+    if (problems.length > 0) {
+      throw new ConfigError(
+        `Invalid configuration in ${file}:\n${problems.map(problem => `  - ${problem}`).join('\n')}`,
+        { file, problems }
+      );
+    }
+    return config;
+  }
+
+  validate(config) {
+    if (!isPlainObject(config)) {
+      return ['the configuration must be an object'];
+    }
+
+    const { profiles, ...options } = config;
+    const problems = this.validateOptions(options, '');
+
+    if (profiles !== undefined) {
+      if (!isPlainObject(profiles)) {
+        problems.push('"profiles" must be an object of named profiles');
+      } else {
+        for (const [name, profile] of Object.entries(profiles)) {
+          if (!isPlainObject(profile)) {
+            problems.push(`profiles.${name} must be an object`);
+          } else {
+            problems.push(...this.validateOptions(profile, `profiles.${name}.`));
+          }
+        }
+      }
+    }
+    return problems;
+  }
+
+  validateOptions(options, prefix) {
+    const problems = [];
+
+    for (const [key, value] of Object.entries(options)) {
+      const rule = SCHEMA[key];
+      if (!rule) {
+        const suggestion = Object.keys(SCHEMA).find(name => name.toLowerCase() === key.toLowerCase());
+        problems.push(`unknown option "${prefix}${key}"` + (suggestion ? ` (did you mean "${suggestion}"?)` : ''));
+        continue;
+      }
+
+      const problem = checkValue(rule, value);
+      if (problem) {
+        problems.push(`${prefix}${key} ${problem} (got ${JSON.stringify(value)})`);
+      }
+    }
+    return problems;
+  }
+
+  // Top-level options with the named profile laid over them
+  async resolve(profile = null) {
+    const file = await this.find();
+    if (!file) {
+      if (profile) {
+        throw new ConfigError(`Profile "${profile}" requested but no config file was found (looked for ${CONFIG_FILES.join(', ')})`);
+      }
+      return { file: null, profile: null, profiles: [], options: {} };
+    }
+
+    const { profiles = {}, ...options } = await this.load(file);
+    const names = Object.keys(profiles);
+
+    if (profile && !profiles[profile]) {
+      throw new ConfigError(
+        `Unknown profile "${profile}" in ${file}. ` +
+        (names.length > 0 ? `Available profiles: ${names.join(', ')}` : 'The file defines no profiles'),
+        { file, profile }
+      );
+    }
+
+    const merged = { ...options, ...(profile ? profiles[profile] : {}) };
+    for (const [key, rule] of Object.entries(SCHEMA)) {
+      if (rule.path && merged[key] !== undefined) {
+        merged[key] = path.resolve(path.dirname(file), merged[key]);
+      }
+    }
+
+    return { file, profile: profile || null, profiles: names, options: merged };
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function checkValue(rule, value) {
+  if (rule.enum) {
+    return rule.enum.includes(value) ? null : `must be one of ${rule.enum.join(', ')}`;
+  }
+  if (rule.type === 'string[]') {
+    return Array.isArray(value) && value.every(item => typeof item === 'string') ? null : 'must be an array of strings';
+  }
+  if (rule.type === 'integer') {
+    if (!Number.isInteger(value)) return 'must be a whole number';
+    if (value < rule.min) return `must be at least ${rule.min}`;
+    return rule.max === undefined || value <= rule.max ? null : `must be at most ${rule.max}`;
+  }
+  return typeof value === rule.type ? null : `must be a ${rule.type}`;
+}
+
+module.exports = { ConfigLoader, CONFIG_FILES, SCHEMA };
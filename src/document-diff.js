@@ -0,0 +1,524 @@
+const path = require('path');
+const DocumentModel = require('./document-model');
+const { markdownTable } = require('./renderers');
+const { headerNames } = require('./table-utils');
+
+// Longer runs are compared as a whole instead of item by item
+const MAX_LCS_CELLS = 4000000;
+
+class DocumentDiffer {
+  constructor(options = {}) {
+    this.options = {
+      minSimilarity: 0.5, // removed/added paragraphs, rows and sections this alike count as changed
+      minTableSimilarity: 0.3, // tables less alike than this are reported as removed and added
+      ...options
+    };
+  }
+
+  // Section-aware text diff plus cell-level diff of matched tables
+  compare(oldResult, newResult) {
+    const sections = this.compareSections(this.sectionsOf(oldResult), this.sectionsOf(newResult));
+    const tables = this.compareTables(oldResult.tables || [], newResult.tables || []);
+
+    return {
+      old: describe(oldResult),
+      new: describe(newResult),
+      summary: this.summarize(sections, tables),
+      sections,
+      tables
+    };
+  }
+
+  // Paragraphs and list items under their heading path; tables are compared separately
+  sectionsOf(result) {
+    const { document } = DocumentModel.fromResult(result);
+    const trail = [];
+
+    return document.sections.map(section => {
+      if (section.heading) {
+        trail.splice(Math.max(0, section.level - 1));
+        trail[section.level - 1] = section.heading;
+      }
+
+      const items = [];
+      for (const block of section.blocks) {
+        if (block.type === 'paragraph') {
+          items.push({ text: normalize(block.text), page: block.page });
+        } else if (block.type === 'list') {
+          block.items.forEach(item => items.push({ text: `- ${normalize(item)}`, page: block.page }));
+        }
+      }
+      return { heading: section.heading, path: section.heading ? trail.filter(Boolean) : [], items };
+    });
+  }
+
+  compareSections(oldSections, newSections) {
+    const key = section => section.path.join(' › ').toLowerCase();
+    const keyed = sections => {
+      const seen = new Map();
+      return sections.map(section => {
+        const count = (seen.get(key(section)) || 0) + 1;
+        seen.set(key(section), count);
+        return `${key(section)}#${count}`;
+      });
+    };
+
+    // Same heading path first, then renamed sections by content
+    const oldKeys = keyed(oldSections);
+    const newKeys = keyed(newSections);
+    const matchOf = new Map(); // new index → old index
+    newKeys.forEach((newKey, newIndex) => {
+      const oldIndex = oldKeys.indexOf(newKey);
+      if (oldIndex !== -1) matchOf.set(newIndex, oldIndex);
+    });
+
+    const matchedOld = new Set(matchOf.values());
+    newSections.forEach((section, newIndex) => {
+      if (matchOf.has(newIndex) || section.items.length === 0) return;
+      const text = section.items.map(item => item.text).join(' ');
+      const candidates = oldSections
+        .map((old, oldIndex) => ({ oldIndex, score: similarity(text, old.items.map(item => item.text).join(' ')) }))
+        .filter(({ oldIndex }) => !matchedOld.has(oldIndex) && oldSections[oldIndex].items.length > 0)
+        .sort((a, b) => b.score - a.score);
+      if (candidates.length > 0 && candidates[0].score >= this.options.minSimilarity) {
+        matchOf.set(newIndex, candidates[0].oldIndex);
+        matchedOld.add(candidates[0].oldIndex);
+      }
+    });
+
+    // New document order, with removed sections where they stood in the old one
+    const results = [];
+    let nextOld = 0;
+    const emitRemovedBefore = limit => {
+      for (; nextOld < limit; nextOld++) {
+        if (!matchedOld.has(nextOld) && oldSections[nextOld].items.length > 0) {
+          results.push(this.sectionEntry(oldSections[nextOld], null, 'removed'));
+        }
+      }
+    };
+
+    newSections.forEach((section, newIndex) => {
+      if (!matchOf.has(newIndex)) {
+        if (section.items.length > 0) results.push(this.sectionEntry(null, section, 'added'));
+        return;
+      }
+      const oldIndex = matchOf.get(newIndex);
+      emitRemovedBefore(oldIndex);
+      nextOld = Math.max(nextOld, oldIndex + 1);
+      results.push(this.sectionEntry(oldSections[oldIndex], section));
+    });
+    emitRemovedBefore(oldSections.length);
+
+    return results;
+  }
+
+  sectionEntry(oldSection, newSection, status = null) {
+    const section = newSection || oldSection;
+    const changes = status === 'added' ? newSection.items.map(item => ({ type: 'added', text: item.text, page: item.page }))
+      : status === 'removed' ? oldSection.items.map(item => ({ type: 'removed', text: item.text, page: item.page }))
+        : this.compareItems(oldSection.items, newSection.items);
+
+    const renamed = oldSection && newSection && oldSection.path.join(' › ') !== newSection.path.join(' › ');
+    const edited = changes.some(change => change.type !== 'unchanged');
+    return {
+      heading: section.heading,
+      path: section.path,
+      ...(renamed ? { renamedFrom: oldSection.path } : {}),
+      status: status || (edited || renamed ? 'changed' : 'unchanged'),
+      changes: changes.filter(change => change.type !== 'unchanged'),
+      unchanged: changes.filter(change => change.type === 'unchanged').length
+    };
+  }
+
+  compareItems(oldItems, newItems) {
+    const ops = sequenceDiff(oldItems, newItems, (a, b) => a.text === b.text);
+    return this.pairChanges(ops, (a, b) => similarity(a.text, b.text)).map(op => {
+      if (op.type === 'changed') {
+        return { type: 'changed', old: op.old.text, new: op.new.text, page: op.new.page, words: wordDiff(op.old.text, op.new.text) };
+      }
+      const item = op.new || op.old;
+      return { type: op.type, text: item.text, page: item.page };
+    });
+  }
+
+  // Within each run of removals and additions, pair up the ones that are edits of each other
+  pairChanges(ops, score) {
+    const output = [];
+    let run = [];
+
+    const flush = () => {
+      const removed = run.filter(op => op.type === 'removed');
+      const added = run.filter(op => op.type === 'added');
+      const paired = new Map(); // added op → the removed op it replaces
+      let from = 0;
+      for (const op of removed) {
+        const match = added.findIndex((candidate, index) => index >= from && score(op.old, candidate.new) >= this.options.minSimilarity);
+        if (match !== -1) {
+          paired.set(added[match], op);
+          from = match + 1;
+        }
+      }
+
+      // Edits take the place of the removed item, so they keep the old order
+      const partnerOf = new Map([...paired].map(([addedOp, removedOp]) => [removedOp, addedOp]));
+      for (const op of run) {
+        if (paired.has(op)) continue;
+        output.push(partnerOf.has(op) ? { type: 'changed', old: op.old, new: partnerOf.get(op).new } : op);
+      }
+      run = [];
+    };
+
+    for (const op of ops) {
+      if (op.type === 'unchanged') {
+        flush();
+        output.push(op);
+      } else {
+        run.push(op);
+      }
+    }
+    flush();
+    return output;
+  }
+
+  compareTables(oldTables, newTables) {
+    // Most alike pairs first; ties go to tables in the same position
+    const pairs = [];
+    oldTables.forEach((oldTable, oldIndex) => {
+      newTables.forEach((newTable, newIndex) => {
+        const score = tableSimilarity(oldTable, newTable);
+        if (score >= this.options.minTableSimilarity) {
+          pairs.push({ oldIndex, newIndex, score: score - Math.abs(oldIndex - newIndex) * 0.001 });
+        }
+      });
+    });
+    pairs.sort((a, b) => b.score - a.score);
+
+    const matchOf = new Map();
+    const matchedOld = new Set();
+    for (const { oldIndex, newIndex } of pairs) {
+      if (matchOf.has(newIndex) || matchedOld.has(oldIndex)) continue;
+      matchOf.set(newIndex, oldIndex);
+      matchedOld.add(oldIndex);
+    }
+
+    return [
+      ...newTables.map((table, newIndex) => (matchOf.has(newIndex)
+        ? this.compareTable(oldTables[matchOf.get(newIndex)], table)
+        : { status: 'added', old: null, new: tableRef(table), rows: table.data.length, columns: table.columns })),
+      ...oldTables
+        .filter((table, oldIndex) => !matchedOld.has(oldIndex))
+        .map(table => ({ status: 'removed', old: tableRef(table), new: null, rows: table.data.length, columns: table.columns }))
+    ];
+  }
+
+  compareTable(oldTable, newTable) {
+    const oldColumns = columnNames(oldTable);
+    const newColumns = columnNames(newTable);
+    const oldBody = oldTable.data.slice(Number(oldTable.headerRows || 0));
+    const newBody = newTable.data.slice(Number(newTable.headerRows || 0));
+
+    // Columns line up by header name when both tables have one, otherwise by position
+    const byName = oldTable.headerRows > 0 && newTable.headerRows > 0;
+    const columns = newColumns
+      .map((name, newIndex) => ({ name, newIndex, oldIndex: byName ? oldColumns.indexOf(name) : (newIndex < oldColumns.length ? newIndex : -1) }))
+      .filter(column => column.oldIndex !== -1);
+    const columnsAdded = newColumns.filter((name, index) => !columns.some(column => column.newIndex === index));
+    const columnsRemoved = oldColumns.filter((name, index) => !columns.some(column => column.oldIndex === index));
+
+    const signature = (row, side) => JSON.stringify(columns.map(column => cellText(row[column[side]])));
+    const oldRows = oldBody.map((cells, index) => ({ cells, row: index + 1, key: signature(cells, 'oldIndex') }));
+    const newRows = newBody.map((cells, index) => ({ cells, row: index + 1, key: signature(cells, 'newIndex') }));
+
+    const ops = this.pairChanges(
+      sequenceDiff(oldRows, newRows, (a, b) => a.key === b.key),
+      (a, b) => similarity(a.cells.map(cellText).join(' '), b.cells.map(cellText).join(' '))
+    );
+
+    const cells = [];
+    const rowsAdded = [];
+    const rowsRemoved = [];
+    for (const op of ops) {
+      if (op.type === 'added') {
+        rowsAdded.push({ row: op.new.row, cells: op.new.cells.map(cellText) });
+      } else if (op.type === 'removed') {
+        rowsRemoved.push({ row: op.old.row, cells: op.old.cells.map(cellText) });
+      } else if (op.type === 'changed') {
+        for (const column of columns) {
+          const before = cellText(op.old.cells[column.oldIndex]);
+          const after = cellText(op.new.cells[column.newIndex]);
+          if (before !== after) {
+            cells.push({ row: op.new.row, label: cellText(op.new.cells[0]), column: column.name, old: before, new: after });
+          }
+        }
+      }
+    }
+
+    const changed = cells.length + rowsAdded.length + rowsRemoved.length + columnsAdded.length + columnsRemoved.length > 0;
+    return {
+      status: changed ? 'changed' : 'unchanged',
+      old: tableRef(oldTable),
+      new: tableRef(newTable),
+      cells,
+      rowsAdded,
+      rowsRemoved,
+      columnsAdded,
+      columnsRemoved
+    };
+  }
+
+  summarize(sections, tables) {
+    const changes = sections.flatMap(section => section.changes);
+    const count = (list, status) => list.filter(entry => entry.status === status).length;
+    return {
+      sectionsAdded: count(sections, 'added'),
+      sectionsRemoved: count(sections, 'removed'),
+      sectionsChanged: count(sections, 'changed'),
+      paragraphsAdded: changes.filter(change => change.type === 'added').length,
+      paragraphsRemoved: changes.filter(change => change.type === 'removed').length,
+      paragraphsChanged: changes.filter(change => change.type === 'changed').length,
+      tablesAdded: count(tables, 'added'),
+      tablesRemoved: count(tables, 'removed'),
+      tablesChanged: count(tables, 'changed'),
+      cellsChanged: tables.reduce((sum, table) => sum + (table.cells?.length || 0), 0),
+      identical: sections.every(section => section.status === 'unchanged') && tables.every(table => table.status === 'unchanged')
+    };
+  }
+
+  toMarkdown(diff) {
+    const { summary } = diff;
+    const lines = [
+      '# Document Comparison',
+      '',
+      `**Old:** ${diff.old.file}${diff.old.pages ? ` (${diff.old.pages} pages)` : ''}  `,
+      `**New:** ${diff.new.file}${diff.new.pages ? ` (${diff.new.pages} pages)` : ''}  `,
+      `**Changes:** ${summaryLine(summary)}`,
+      '',
+      '---',
+      ''
+    ];
+
+    if (summary.identical) {
+      lines.push('No differences found.');
+      return lines.join('\n') + '\n';
+    }
+
+    lines.push('Markers: **[ADDED]**, **[REMOVED]**, **[CHANGED]** (removed words ~~struck through~~, added words in **bold**)', '');
+
+    const sections = diff.sections.filter(section => section.status !== 'unchanged');
+    if (sections.length > 0) {
+      lines.push('## Text Changes', '');
+      for (const section of sections) {
+        const name = section.path.length > 0 ? section.path.join(' › ') : '(before the first heading)';
+        const renamed = section.renamedFrom ? `, was "${section.renamedFrom.join(' › ') || '(before the first heading)'}"` : '';
+        lines.push(`### ${name} [${section.status.toUpperCase()}${renamed}]`, '');
+        for (const change of section.changes) {
+          const page = change.page ? ` (page ${change.page})` : '';
+          if (change.type === 'changed') {
+            lines.push(`- **[CHANGED]**${page} ${change.words}`);
+          } else if (change.type === 'added') {
+            lines.push(`- **[ADDED]**${page} ${change.text}`);
+          } else {
+            lines.push(`- **[REMOVED]**${page} ~~${change.text}~~`);
+          }
+        }
+        if (section.changes.length === 0) {
+          lines.push('- Heading renamed; content unchanged');
+        }
+        lines.push('');
+      }
+    }
+
+    const tables = diff.tables.filter(table => table.status !== 'unchanged');
+    if (tables.length > 0) {
+      lines.push('## Table Changes', '');
+      for (const table of tables) {
+        lines.push(`### ${tableTitle(table)} [${table.status.toUpperCase()}]`, '');
+        if (table.status !== 'changed') {
+          lines.push(`${table.rows} rows × ${table.columns} columns`, '');
+          continue;
+        }
+
+        if (table.columnsAdded.length > 0) lines.push(`- **[ADDED]** column(s): ${table.columnsAdded.join(', ')}`);
+        if (table.columnsRemoved.length > 0) lines.push(`- **[REMOVED]** column(s): ${table.columnsRemoved.join(', ')}`);
+        table.rowsAdded.forEach(row => lines.push(`- **[ADDED]** row ${row.row}: ${row.cells.join(' | ')}`));
+        table.rowsRemoved.forEach(row => lines.push(`- **[REMOVED]** row ${row.row}: ~~${row.cells.join(' | ')}~~`));
+        if (table.columnsAdded.length + table.columnsRemoved.length + table.rowsAdded.length + table.rowsRemoved.length > 0) {
+          lines.push('');
+        }
+
+        if (table.cells.length > 0) {
+          lines.push('**[CHANGED]** cells:', '');
+          lines.push(markdownTable([
+            ['Row', 'Column', 'Old', 'New'],
+            ...table.cells.map(cell => [`${cell.row}${cell.label ? ` (${cell.label})` : ''}`, cell.column, cell.old, cell.new])
+          ]), '');
+        }
+      }
+    }
+
+    return lines.join('\n').trimEnd() + '\n';
+  }
+}
+
+// Longest common subsequence of two lists as unchanged/removed/added steps
+function sequenceDiff(before, after, equals) {
+  let start = 0;
+  while (start < before.length && start < after.length && equals(before[start], after[start])) start++;
+  let endBefore = before.length;
+  let endAfter = after.length;
+  while (endBefore > start && endAfter > start && equals(before[endBefore - 1], after[endAfter - 1])) {
+    endBefore--;
+    endAfter--;
+  }
+
+  const head = before.slice(0, start).map((item, index) => ({ type: 'unchanged', old: item, new: after[index] }));
+  const tail = before.slice(endBefore).map((item, index) => ({ type: 'unchanged', old: item, new: after[endAfter + index] }));
+  const a = before.slice(start, endBefore);
+  const b = after.slice(start, endAfter);
+
+  let middle;
+  if ((a.length + 1) * (b.length + 1) > MAX_LCS_CELLS) {
+    middle = [...a.map(item => ({ type: 'removed', old: item })), ...b.map(item => ({ type: 'added', new: item }))];
+  } else {
+    // lengths[i][j]: LCS of a[i..] and b[j..]
+    const width = b.length + 1;
+    const lengths = new Uint32Array((a.length + 1) * width);
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lengths[i * width + j] = equals(a[i], b[j])
+          ? lengths[(i + 1) * width + j + 1] + 1
+          : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+      }
+    }
+
+    middle = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+      if (equals(a[i], b[j])) {
+        middle.push({ type: 'unchanged', old: a[i++], new: b[j++] });
+      } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+        middle.push({ type: 'removed', old: a[i++] });
+      } else {
+        middle.push({ type: 'added', new: b[j++] });
+      }
+    }
+    while (i < a.length) middle.push({ type: 'removed', old: a[i++] });
+    while (j < b.length) middle.push({ type: 'added', new: b[j++] });
+  }
+
+  return [...head, ...middle, ...tail];
+}
+
+// Word-level rendering of an edit: ~~removed~~ **added**
+function wordDiff(before, after) {
+  const ops = sequenceDiff(before.split(/\s+/).filter(Boolean), after.split(/\s+/).filter(Boolean), (a, b) => a === b);
+  const parts = [];
+  let removed = [];
+  let added = [];
+  const flush = () => {
+    if (removed.length > 0) parts.push(`~~${removed.join(' ')}~~`);
+    if (added.length > 0) parts.push(`**${added.join(' ')}**`);
+    removed = [];
+    added = [];
+  };
+
+  for (const op of ops) {
+    if (op.type === 'unchanged') {
+      flush();
+      parts.push(op.new);
+    } else if (op.type === 'removed') {
+      removed.push(op.old);
+    } else {
+      added.push(op.new);
+    }
+  }
+  flush();
+  return parts.join(' ');
+}
+
+// Dice coefficient of the two texts' word sets
+function similarity(a, b) {
+  const words = text => new Set(String(text).toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean));
+  const first = words(a);
+  const second = words(b);
+  if (first.size === 0 && second.size === 0) return 1;
+  let shared = 0;
+  first.forEach(word => {
+    if (second.has(word)) shared++;
+  });
+  return (2 * shared) / (first.size + second.size);
+}
+
+function tableSimilarity(a, b) {
+  const cells = table => new Set((table.data || []).flat().map(cellText).filter(Boolean));
+  const first = cells(a);
+  const second = cells(b);
+  if (first.size === 0 || second.size === 0) return 0;
+  let shared = 0;
+  first.forEach(cell => {
+    if (second.has(cell)) shared++;
+  });
+  const sameHeader = a.headerRows > 0 && columnNames(a).join('|') === columnNames(b).join('|');
+  return Math.min(1, (2 * shared) / (first.size + second.size) + (sameHeader ? 0.2 : 0));
+}
+
+function columnNames(table) {
+  if (table.columnTypes) return table.columnTypes.map(column => column.name);
+  return headerNames(table.data || [], table.headerRows || 0);
+}
+
+function cellText(cell) {
+  return String(cell ?? '').replace(/\s+/g, ' ').trim();
+}
+
+function normalize(text) {
+  return String(text).replace(/\s+/g, ' ').trim();
+}
+
+function tableRef(table) {
+  return {
+    index: table.index,
+    ...(table.page ? { page: table.page } : {}),
+    ...(table.sheet ? { sheet: table.sheet } : {})
+  };
+}
+
+function tableTitle(table) {
+  const name = ref => `Table ${ref.index}` + (ref.sheet ? ` (sheet ${ref.sheet})` : ref.page ? ` (page ${ref.page})` : '');
+  if (table.old && table.new) {
+    return table.old.index === table.new.index && table.old.sheet === table.new.sheet
+      ? name(table.new)
+      : `${name(table.old)} → ${name(table.new)}`;
+  }
+  return name(table.new || table.old);
+}
+
+function describe(result) {
+  return {
+    file: path.basename(result.originalPath || ''),
+    path: result.originalPath || null,
+    pages: result.metadata?.pages || null,
+    tables: (result.tables || []).length
+  };
+}
+
+function summaryLine(summary) {
+  if (summary.identical) return 'none';
+  const parts = [];
+  const add = (count, label) => {
+    if (count > 0) parts.push(`${count} ${label}`);
+  };
+  add(summary.sectionsChanged, 'section(s) changed');
+  add(summary.sectionsAdded, 'section(s) added');
+  add(summary.sectionsRemoved, 'section(s) removed');
+  add(summary.paragraphsChanged, 'paragraph(s) changed');
+  add(summary.paragraphsAdded, 'paragraph(s) added');
+  add(summary.paragraphsRemoved, 'paragraph(s) removed');
+  add(summary.tablesChanged, `table(s) changed (${summary.cellsChanged} cell(s))`);
+  add(summary.tablesAdded, 'table(s) added');
+  add(summary.tablesRemoved, 'table(s) removed');
+  return parts.join(', ');
+}
+
+module.exports = DocumentDiffer;
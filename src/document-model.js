@@ -0,0 +1,264 @@
+const path = require('path');
+const { detectHeaderRow, htmlTableGrid } = require('./table-utils');
+
+const SCHEMA_VERSION = '1.0';
+
+class DocumentModel {
+  // Build the format-neutral document → sections → blocks structure for a result
+  static fromResult(result) {
+    const source = result.extractedText || '';
+    const sections = DocumentModel.looksLikeHtml(source)
+      ? DocumentModel.parseHtml(source)
+      : DocumentModel.parseText(source);
+
+    // Tables that were not found inline still belong in the model
+    const hasInlineTables = sections.some(section => section.blocks.some(block => block.type === 'table'));
+    if (!hasInlineTables && result.tables && result.tables.length > 0) {
+      sections.push({
+        heading: 'Tables',
+        level: 2,
+        page: null,
+        blocks: result.tables.map(table => ({
+          ...DocumentModel.tableBlock(table.data, table.page || null, table.hasHeader),
+          ...(table.headerRows > 1 ? { headerRows: table.headerRows } : {}),
+          ...(table.columnTypes ? { columnTypes: table.columnTypes } : {})
+        }))
+      });
+    }
+
+    return {
+      schemaVersion: SCHEMA_VERSION,
+      document: {
+        file: path.basename(result.originalPath || ''),
+        mimeType: result.mimeType || null,
+        processingMethod: result.processingMethod || null,
+        title: result.metadata?.info?.Title || null,
+        pages: result.metadata?.pages || null,
+        outline: result.outline || [],
+        quality: result.quality || null,
+        figures: result.metadata?.figures || [],
+        sections: sections
+          .filter(section => section.heading || section.blocks.length > 0)
+          .map(section => ({ ...section, page: section.page ?? section.blocks.find(block => block.page)?.page ?? null }))
+      }
+    };
+  }
+
+  static looksLikeHtml(text) {
+    return /^\s*<(p|h[1-6]|table|ul|ol|div|html|body)[\s>]/i.test(text);
+  }
+
+  static tableBlock(data, page, hasHeader = detectHeaderRow(data)) {
+    const columns = data.length > 0 ? Math.max(...data.map(row => row.length)) : 0;
+    return {
+      type: 'table',
+      page,
+      rows: data.length,
+      columns,
+      hasHeader: Boolean(hasHeader),
+      data
+    };
+  }
+
+  // Nesting levels are only kept for lists that have nested items
+  static listBlock({ type, page, ordered, items, levels }) {
+    return {
+      type,
+      page,
+      ordered,
+      items,
+      ...(levels.some(level => level > 0) ? { levels } : {})
+    };
+  }
+
+  static parseHtml(html) {
+    const cheerio = require('cheerio');
+    const $ = cheerio.load(html);
+    const sections = [{ heading: null, level: 0, page: null, blocks: [] }];
+    const current = () => sections[sections.length - 1];
+
+    const walk = (elements) => {
+      elements.each((index, element) => {
+        const tag = (element.tagName || '').toLowerCase();
+        const $element = $(element);
+
+        if (/^h[1-6]$/.test(tag)) {
+          sections.push({
+            heading: $element.text().trim(),
+            level: parseInt(tag[1], 10),
+            page: null,
+            blocks: []
+          });
+        } else if (tag === 'p') {
+          const text = $element.text().trim();
+          if (text) {
+            current().blocks.push({ type: 'paragraph', page: null, text });
+          }
+        } else if (tag === 'ul' || tag === 'ol') {
+          const list = { type: 'list', page: null, ordered: tag === 'ol', items: [], levels: [] };
+          const addItems = ($list, level) => {
+            $list.children('li').each((i, item) => {
+              const $item = $(item);
+              const text = $item.clone().children('ul, ol').remove().end().text().trim();
+              if (text) {
+                list.items.push(text);
+                list.levels.push(level);
+              }
+              $item.children('ul, ol').each((j, nested) => addItems($(nested), level + 1));
+            });
+          };
+          addItems($element, 0);
+          if (list.items.length > 0) {
+            current().blocks.push(DocumentModel.listBlock(list));
+          }
+        } else if (tag === 'table') {
+          const { data, headerRows } = htmlTableGrid($, $element);
+          if (data.length > 0) {
+            current().blocks.push(DocumentModel.tableBlock(data, null, headerRows > 0 || detectHeaderRow(data)));
+          }
+        } else if (element.type === 'tag') {
+          walk($element.children());
+        }
+      });
+    };
+
+    walk($('body').length > 0 ? $('body').children() : $.root().children());
+    return sections;
+  }
+
+  static parseText(text) {
+    const lines = DocumentModel.stripDocumentHeader(text).split('\n');
+    const sections = [{ heading: null, level: 0, page: null, blocks: [] }];
+    const current = () => sections[sections.length - 1];
+    let page = null;
+    let paragraph = [];
+    let list = null;
+
+    const flushParagraph = () => {
+      if (paragraph.length > 0) {
+        current().blocks.push({ type: 'paragraph', page, text: paragraph.join('\n') });
+      }
+      paragraph = [];
+    };
+
+    const flushList = () => {
+      if (list) {
+        current().blocks.push(DocumentModel.listBlock(list));
+      }
+      list = null;
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i].trim();
+
+      const pageMarker = /^---\s*Page\s+(\d+)\s*---$/i.exec(line);
+      if (pageMarker) {
+        flushParagraph();
+        flushList();
+        page = parseInt(pageMarker[1], 10);
+        continue;
+      }
+
+      if (!line || /^-{3,}$/.test(line)) {
+        flushParagraph();
+        flushList();
+        continue;
+      }
+
+      const heading = /^(#{1,6})\s+(.+)$/.exec(line);
+      if (heading) {
+        flushParagraph();
+        flushList();
+        sections.push({ heading: heading[2].trim(), level: heading[1].length, page, blocks: [] });
+        continue;
+      }
+
+      // Box-drawn tables (formatTable / table package output)
+      if (line.startsWith('┌')) {
+        flushParagraph();
+        flushList();
+        const data = [];
+        const rules = []; // row counts at each ├ rule
+        while (i + 1 < lines.length && !lines[i].trim().startsWith('└')) {
+          i++;
+          const row = lines[i].trim();
+          if (row.startsWith('│')) {
+            data.push(row.split('│').slice(1, -1).map(cell => cell.trim()));
+          } else if (row.startsWith('├')) {
+            rules.push(data.length);
+          }
+        }
+        if (data.length > 0) {
+          // A single rule under the first row marks a header; rules between all rows say nothing
+          const hasHeader = rules.length === 0 ? false
+            : rules.length === 1 && rules[0] === 1 ? true
+              : detectHeaderRow(data);
+          current().blocks.push(DocumentModel.tableBlock(data, page, hasHeader));
+        }
+        continue;
+      }
+
+      // GitHub-flavored Markdown tables
+      if (line.startsWith('|')) {
+        flushParagraph();
+        flushList();
+        const data = [];
+        while (i < lines.length && lines[i].trim().startsWith('|')) {
+          const row = lines[i].trim();
+          if (!/^\|?[\s:|-]+\|?$/.test(row) || !row.includes('-')) {
+            data.push(row.replace(/^\||\|$/g, '').split('|').map(cell => cell.trim()));
+          }
+          i++;
+        }
+        i--;
+        // Markdown always has a header row; a blank one means the table has none
+        const blankHeader = data.length > 0 && data[0].every(cell => !cell);
+        if (blankHeader) data.shift();
+        if (data.length > 0) {
+          current().blocks.push(DocumentModel.tableBlock(data, page, !blankHeader));
+        }
+        continue;
+      }
+
+      const listItem = /^(?:([-*•])|(\d+)[.)])\s+(.+)$/.exec(line);
+      if (listItem) {
+        flushParagraph();
+        const ordered = Boolean(listItem[2]);
+        const indent = /^[ \t]*/.exec(lines[i])[0].replace(/\t/g, '    ').length;
+        // Indented items belong to the list above whatever their marker; a new top-level kind starts a new list
+        if (list && list.ordered !== ordered && indent <= list.indents[0]) {
+          flushList();
+        }
+        if (!list) {
+          list = { type: 'list', page, ordered, items: [], levels: [], indents: [] };
+        }
+        while (list.indents.length > 1 && list.indents[list.indents.length - 1] > indent) {
+          list.indents.pop();
+        }
+        if (list.indents.length === 0 || list.indents[list.indents.length - 1] < indent) {
+          list.indents.push(indent);
+        }
+        list.items.push(listItem[3].trim());
+        list.levels.push(list.indents.length - 1);
+        continue;
+      }
+
+      flushList();
+      paragraph.push(line);
+    }
+
+    flushParagraph();
+    flushList();
+    return sections;
+  }
+
+  static stripDocumentHeader(text) {
+    // Drop the "# Document Analysis" preamble emitted by PDFProcessor.enhanceText
+    const match = /^\s*#{1,2} Document Analysis\n[\s\S]*?\n---\n/.exec(text);
+    return match ? text.slice(match[0].length) : text;
+  }
+}
+
+DocumentModel.SCHEMA_VERSION = SCHEMA_VERSION;
+
+module.exports = DocumentModel;
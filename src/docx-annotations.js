@@ -0,0 +1,311 @@
+const path = require('path');
+const JSZip = require('jszip');
+const cheerio = require('cheerio');
+const { InvalidOptionError } = require('./errors');
+
+const TRACK_CHANGES = ['accept', 'reject', 'markup'];
+
+// CriticMarkup, which survives the HTML conversion as plain text
+const INSERTED = ['{++', '++}'];
+const DELETED = ['{--', '--}'];
+
+const RELATIONSHIP = type => `[Type$="/relationships/${type}"]`;
+
+const escapeXml = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+const run = text => `<w:r><w:t xml:space="preserve">${escapeXml(text)}</w:t></w:r>`;
+const paragraph = text => `<w:p>${run(text)}</w:p>`;
+const oneLine = text => text.replace(/\s+/g, ' ').trim();
+
+// Rewrites a DOCX before mammoth sees it, so that review content mammoth drops ends up in the text:
+// footnote and endnote references become [^1] / [^e1], comments [^c1] (listed as notes with author
+// and anchored text), tracked changes are accepted, rejected or marked up, and header/footer text
+// is placed once at the start and end of each section that defines its own.
+class DocxAnnotations {
+  constructor(options = {}) {
+    this.options = {
+      comments: false,
+      trackChanges: 'accept', // 'accept' (mammoth's own view), 'reject' or 'markup' ({++inserted++} {--deleted--})
+      headersFooters: false,
+      ...options
+    };
+
+    if (!TRACK_CHANGES.includes(this.options.trackChanges)) {
+      throw new InvalidOptionError(`Invalid trackChanges mode: "${this.options.trackChanges}" (expected ${TRACK_CHANGES.join(', ')})`);
+    }
+  }
+
+  // { buffer, notes: [{label, text}], metadata }; the original buffer when nothing needed rewriting
+  async apply(buffer) {
+    const zip = await JSZip.loadAsync(buffer);
+    const $rels = await this.loadPart(zip, 'word/_rels/document.xml.rels');
+    const $ = await this.loadPart(zip, 'word/document.xml');
+    if (!$ || !$rels) {
+      return { buffer, notes: [], metadata: {} };
+    }
+
+    const partFor = async type => {
+      const target = $rels(`Relationship${RELATIONSHIP(type)}`).first().attr('Target');
+      return target ? this.loadPart(zip, path.posix.join('word', target)) : null;
+    };
+
+    const metadata = {};
+    const changes = this.applyChanges($);
+    if (changes.insertions + changes.deletions > 0) {
+      metadata.trackedChanges = { mode: this.options.trackChanges, ...changes };
+    }
+
+    const footnotes = this.linkNotes($, await partFor('footnotes'), 'footnote', number => String(number));
+    const endnotes = this.linkNotes($, await partFor('endnotes'), 'endnote', number => `e${number}`);
+    if (footnotes.length + endnotes.length > 0) {
+      metadata.notes = { footnotes: footnotes.length, endnotes: endnotes.length };
+    }
+
+    let comments = [];
+    if (this.options.comments) {
+      comments = this.linkComments($, await partFor('comments'), await partFor('commentsExtended'));
+      if (comments.length > 0) {
+        metadata.comments = comments.map(({ label, ...comment }) => comment);
+      }
+    }
+
+    if (this.options.headersFooters) {
+      const headersFooters = await this.placeHeadersFooters(zip, $, $rels);
+      if (headersFooters.length > 0) {
+        metadata.headersFooters = headersFooters;
+      }
+    }
+
+    const notes = [
+      ...footnotes,
+      ...endnotes,
+      ...comments.map(comment => ({ label: comment.label, text: this.commentNote(comment, comments) }))
+    ];
+    const changed = notes.length > 0 || metadata.headersFooters || (metadata.trackedChanges && this.options.trackChanges !== 'accept');
+    if (!changed) {
+      return { buffer, notes, metadata };
+    }
+
+    zip.file('word/document.xml', $.xml());
+    return { buffer: await zip.generateAsync({ type: 'nodebuffer' }), notes, metadata };
+  }
+
+  async loadPart(zip, partPath) {
+    const entry = zip.file(partPath);
+    return entry ? cheerio.load(await entry.async('string'), { xmlMode: true }) : null;
+  }
+
+  // Insertions and deletions, moves included; property-level marks (a deleted paragraph mark,
+  // an inserted table row) sit inside *Pr elements and are handled separately
+  applyChanges($) {
+    const mode = this.options.trackChanges;
+    const isContent = (index, element) => !/Pr$/.test(element.parent?.name || '');
+    const inserted = $('w\\:ins, w\\:moveTo').filter(isContent);
+    const deleted = $('w\\:del, w\\:moveFrom').filter(isContent);
+    const authors = new Set([...inserted.toArray(), ...deleted.toArray()].map(element => $(element).attr('w:author')).filter(Boolean));
+    const counts = { insertions: inserted.length, deletions: deleted.length, authors: [...authors] };
+
+    if (mode === 'accept') {
+      deleted.remove();
+      return counts;
+    }
+
+    // Keep deleted text: mammoth only reads w:t, and skips w:del and w:moveFrom altogether
+    deleted.find('w\\:delText').each((index, element) => { element.name = 'w:t'; });
+    deleted.find('w\\:delInstrText').each((index, element) => { element.name = 'w:instrText'; });
+
+    if (mode === 'markup') {
+      inserted.each((index, element) => {
+        $(element).prepend(run(INSERTED[0])).append(run(INSERTED[1]));
+      });
+      deleted.each((index, element) => {
+        $(element).prepend(run(DELETED[0])).append(run(DELETED[1]));
+        $(element).replaceWith($(element).contents());
+      });
+      // Deleted paragraph marks and table rows stay, their text is marked
+      $('w\\:pPr > w\\:rPr > w\\:del, w\\:trPr > w\\:del').remove();
+    } else {
+      inserted.remove();
+      deleted.each((index, element) => {
+        $(element).replaceWith($(element).contents());
+      });
+      // An inserted paragraph mark is rejected by merging the paragraph into the next one,
+      // which is what mammoth does for a deleted one
+      $('w\\:pPr > w\\:rPr > w\\:del, w\\:trPr > w\\:del').remove();
+      $('w\\:pPr > w\\:rPr > w\\:ins').each((index, element) => { element.name = 'w:del'; });
+      $('w\\:trPr > w\\:ins').closest('w\\:tr').remove();
+    }
+    return counts;
+  }
+
+  // References become [^label] runs, numbered in reading order like Word shows them
+  linkNotes($, $notes, kind, label) {
+    if (!$notes) return [];
+
+    const bodies = new Map();
+    $notes(`w\\:${kind}`).each((index, element) => {
+      const type = $notes(element).attr('w:type');
+      if (!type || type === 'normal') {
+        bodies.set($notes(element).attr('w:id'), element);
+      }
+    });
+    if (bodies.size > 0) {
+      this.applyChanges($notes);
+    }
+
+    const notes = [];
+    $(`w\\:${kind}Reference`).each((index, reference) => {
+      const body = bodies.get($(reference).attr('w:id'));
+      if (!body) return;
+      const note = { label: label(notes.length + 1), text: oneLine(this.elementText($notes, body)) };
+      notes.push(note);
+      $(reference).replaceWith(`<w:t xml:space="preserve">[^${note.label}]</w:t>`);
+    });
+    return notes;
+  }
+
+  linkComments($, $comments, $extended) {
+    if (!$comments) return [];
+    this.applyChanges($comments);
+
+    // Anchored text, from each range start to its end, paragraph breaks as spaces
+    const anchors = new Map();
+    const open = new Set();
+    $('w\\:body').find('w\\:commentRangeStart, w\\:commentRangeEnd, w\\:p, w\\:t, w\\:tab').each((index, element) => {
+      const id = $(element).attr('w:id');
+      if (element.name === 'w:commentRangeStart') {
+        open.add(id);
+        anchors.set(id, '');
+      } else if (element.name === 'w:commentRangeEnd') {
+        open.delete(id);
+      } else {
+        const text = element.name === 'w:t' ? $(element).text() : ' ';
+        open.forEach(openId => anchors.set(openId, anchors.get(openId) + text));
+      }
+    });
+
+    // Replies and resolved threads are recorded in commentsExtended.xml by paragraph id
+    const threads = new Map();
+    if ($extended) {
+      $extended('w15\\:commentEx').each((index, element) => {
+        threads.set($extended(element).attr('w15:paraId'), {
+          parent: $extended(element).attr('w15:paraIdParent') || null,
+          done: $extended(element).attr('w15:done') === '1'
+        });
+      });
+    }
+
+    const bodies = new Map($comments('w\\:comment').toArray().map(element => [$comments(element).attr('w:id'), element]));
+    const byParagraph = new Map();
+    const comments = [];
+
+    $('w\\:commentReference').each((index, reference) => {
+      const id = $(reference).attr('w:id');
+      const body = bodies.get(id);
+      if (!body || comments.some(comment => comment.id === id)) return;
+
+      const $body = $comments(body);
+      const paraId = $body.find('w\\:p').last().attr('w14:paraId');
+      const thread = threads.get(paraId) || {};
+      const number = comments.length + 1;
+      const comment = {
+        id,
+        number,
+        label: `c${number}`,
+        author: $body.attr('w:author') || null,
+        initials: $body.attr('w:initials') || null,
+        date: $body.attr('w:date') || null,
+        anchor: oneLine(anchors.get(id) || ''),
+        text: this.elementText($comments, body).trim(),
+        replyTo: byParagraph.get(thread.parent)?.number ?? null,
+        resolved: Boolean(thread.done)
+      };
+      comments.push(comment);
+      if (paraId) byParagraph.set(paraId, comment);
+
+      $(reference).replaceWith(`<w:t xml:space="preserve">[^${comment.label}]</w:t>`);
+    });
+
+    return comments.map(({ id, ...comment }) => comment);
+  }
+
+  // "Ana Ruiz (2024-03-05) on “anchored text”: Comment text"; replies point at their thread
+  commentNote(comment, comments) {
+    const date = comment.date ? ` (${comment.date.slice(0, 10)})` : '';
+    const anchor = comment.anchor.length > 100 ? `${comment.anchor.slice(0, 99)}…` : comment.anchor;
+    const target = comment.replyTo
+      ? ` replying to [^${comments[comment.replyTo - 1].label}]`
+      : (anchor ? ` on “${anchor}”` : '');
+    const status = comment.resolved ? ' [resolved]' : '';
+    return `${comment.author || 'Unknown'}${date}${target}${status}: ${oneLine(comment.text)}`;
+  }
+
+  // Each section lists the header/footer parts it defines; those it inherits were shown already
+  async placeHeadersFooters(zip, $, $rels) {
+    const placed = [];
+    const shown = new Map(); // kind + type → text last placed
+    const texts = new Map(); // relationship id → part text
+
+    const partText = async id => {
+      if (!texts.has(id)) {
+        const target = $rels(`Relationship[Id="${id}"]`).attr('Target');
+        const $part = target ? await this.loadPart(zip, path.posix.join('word', target)) : null;
+        if ($part) this.applyChanges($part);
+        texts.set(id, $part ? this.elementText($part, $part.root().children().first()[0]) : '');
+      }
+      return texts.get(id);
+    };
+
+    const sections = [];
+    let current = [];
+    $('w\\:body').children().each((index, element) => {
+      const sectPr = element.name === 'w:sectPr' ? $(element) : $(element).children('w\\:pPr').children('w\\:sectPr');
+      if (element.name !== 'w:sectPr') current.push(element);
+      if (sectPr.length > 0) {
+        sections.push({ elements: current, sectPr, final: element.name === 'w:sectPr' });
+        current = [];
+      }
+    });
+
+    for (const [index, section] of sections.entries()) {
+      const lines = { header: [], footer: [] };
+      for (const kind of ['header', 'footer']) {
+        for (const reference of section.sectPr.children(`w\\:${kind}Reference`).toArray()) {
+          const type = $(reference).attr('w:type') || 'default';
+          const text = (await partText($(reference).attr('r:id'))).split('\n').map(oneLine).filter(Boolean).join(' / ');
+          const key = `${kind}:${type}`;
+          if (!text || shown.get(key) === text) continue;
+
+          shown.set(key, text);
+          placed.push({ section: index + 1, kind, type, text });
+          const name = kind === 'header' ? 'Header' : 'Footer';
+          const qualifier = type === 'first' ? ' (first page)' : type === 'even' ? ' (even pages)' : '';
+          lines[kind].push(`[${name}${qualifier}: ${text}]`);
+        }
+      }
+
+      const first = section.elements[0];
+      const last = section.elements[section.elements.length - 1];
+      const headers = lines.header.map(paragraph).join('');
+      const footers = lines.footer.map(paragraph).join('');
+      if (headers) {
+        first ? $(first).before(headers) : section.sectPr.before(headers);
+      }
+      if (footers) {
+        last ? $(last).after(footers) : section.sectPr.before(footers);
+      }
+    }
+
+    return placed;
+  }
+
+  // Paragraphs of an element as lines of text
+  elementText($, element) {
+    return $(element).find('w\\:p').toArray().map(p => $(p).find('w\\:t, w\\:tab, w\\:br').toArray()
+      .map(node => node.name === 'w:t' ? $(node).text() : node.name === 'w:tab' ? '\t' : '\n')
+      .join('')).join('\n');
+  }
+}
+
+DocxAnnotations.TRACK_CHANGES = TRACK_CHANGES;
+
+module.exports = DocxAnnotations;
@@ -0,0 +1,121 @@
+const fs = require('fs-extra');
+const path = require('path');
+const JSZip = require('jszip');
+const cheerio = require('cheerio');
+
+const XHTML_TYPES = ['application/xhtml+xml', 'text/html'];
+
+class EpubProcessor {
+  constructor(options = {}) {
+    this.options = {
+      includeNonLinear: false, // spine items marked linear="no" (covers, pop-up notes)
+      ...options
+    };
+  }
+
+  async processDocument(filePath) {
+    try {
+      const zip = await JSZip.loadAsync(await fs.readFile(filePath));
+
+      const opfPath = await this.packagePath(zip);
+      const $opf = cheerio.load(await this.readEntry(zip, opfPath), { xmlMode: true });
+      const baseDir = path.posix.dirname(opfPath);
+      const resolve = href => path.posix.normalize(path.posix.join(baseDir, decodeURIComponent(href.split('#')[0])));
+
+      const manifest = new Map();
+      $opf('manifest > item').each((index, item) => {
+        const $item = $opf(item);
+        manifest.set($item.attr('id'), {
+          path: resolve($item.attr('href') || ''),
+          mediaType: $item.attr('media-type') || '',
+          properties: ($item.attr('properties') || '').split(/\s+/)
+        });
+      });
+
+      const titles = await this.tocTitles(zip, $opf, manifest);
+
+      const chapters = [];
+      const spine = $opf('spine > itemref').toArray();
+      for (const itemref of spine) {
+        const $itemref = $opf(itemref);
+        if ($itemref.attr('linear') === 'no' && !this.options.includeNonLinear) continue;
+
+        const item = manifest.get($itemref.attr('idref'));
+        if (!item || !XHTML_TYPES.includes(item.mediaType)) continue;
+
+        chapters.push({
+          path: item.path,
+          title: titles.get(item.path) || null,
+          html: await this.readEntry(zip, item.path)
+        });
+      }
+
+      const meta = name => $opf(`metadata > dc\\:${name}`).first().text().trim() || null;
+      const metadata = {
+        fileType: 'EPUB',
+        title: meta('title'),
+        author: meta('creator'),
+        language: meta('language'),
+        chapters: chapters.length
+      };
+
+      return { success: true, chapters, metadata };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        cause: error
+      };
+    }
+  }
+
+  async readEntry(zip, entryPath) {
+    const entry = zip.file(entryPath);
+    if (!entry) {
+      throw new Error(`EPUB is missing ${entryPath}`);
+    }
+    return entry.async('string');
+  }
+
+  // META-INF/container.xml names the package (.opf) file
+  async packagePath(zip) {
+    const $ = cheerio.load(await this.readEntry(zip, 'META-INF/container.xml'), { xmlMode: true });
+    const fullPath = $('rootfile').first().attr('full-path');
+    if (!fullPath) {
+      throw new Error('EPUB container.xml does not name a package file');
+    }
+    return fullPath;
+  }
+
+  // Chapter titles by file, from the EPUB 3 navigation document or the EPUB 2 NCX
+  async tocTitles(zip, $opf, manifest) {
+    const titles = new Map();
+    const add = (baseDir, href, title) => {
+      if (!href || !title) return;
+      const target = path.posix.normalize(path.posix.join(baseDir, decodeURIComponent(href.split('#')[0])));
+      if (!titles.has(target)) titles.set(target, title.replace(/\s+/g, ' ').trim());
+    };
+
+    const nav = [...manifest.values()].find(item => item.properties.includes('nav'));
+    if (nav && zip.file(nav.path)) {
+      const $ = cheerio.load(await this.readEntry(zip, nav.path), { xmlMode: true });
+      const toc = $('nav').filter((index, element) => $(element).attr('epub:type') === 'toc').first();
+      (toc.length > 0 ? toc : $('nav').first()).find('a').each((index, link) => {
+        add(path.posix.dirname(nav.path), $(link).attr('href'), $(link).text());
+      });
+    }
+
+    const ncx = manifest.get($opf('spine').attr('toc'));
+    if (titles.size === 0 && ncx && zip.file(ncx.path)) {
+      const $ = cheerio.load(await this.readEntry(zip, ncx.path), { xmlMode: true });
+      $('navPoint').each((index, point) => {
+        const $point = $(point);
+        add(path.posix.dirname(ncx.path), $point.children('content').attr('src'), $point.children('navLabel').text());
+      });
+    }
+
+    return titles;
+  }
+}
+
+module.exports = EpubProcessor;
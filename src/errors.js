@@ -0,0 +1,69 @@
+// Every error thrown by the library carries a stable code callers can branch on
+class DocumentEnhancerError extends Error {
+  constructor(message, code = 'DOCUMENT_ENHANCER_ERROR', details = {}) {
+    super(message, details.cause ? { cause: details.cause } : undefined);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+class UnsupportedFormatError extends DocumentEnhancerError {
+  constructor(message, details) {
+    super(message, 'UNSUPPORTED_FORMAT', details);
+  }
+}
+
+class InvalidOptionError extends DocumentEnhancerError {
+  constructor(message, details) {
+    super(message, 'INVALID_OPTION', details);
+  }
+}
+
+class ExtractionError extends DocumentEnhancerError {
+  constructor(message, details) {
+    super(message, 'EXTRACTION_FAILED', details);
+  }
+
+  // Keep library errors as they are, wrap anything thrown by a parser
+  static wrap(error, format) {
+    if (error instanceof DocumentEnhancerError) return error;
+    return new ExtractionError(error.message, { format, cause: error });
+  }
+}
+
+class OcrUnavailableError extends DocumentEnhancerError {
+  constructor(message, details) {
+    super(message, 'OCR_UNAVAILABLE', details);
+  }
+}
+
+class TimeoutError extends DocumentEnhancerError {
+  constructor(message, details) {
+    super(message, 'FILE_TIMEOUT', details);
+    this.timedOut = true;
+  }
+}
+
+class ConfigError extends DocumentEnhancerError {
+  constructor(message, details) {
+    super(message, 'INVALID_CONFIG', details);
+  }
+}
+
+class OutputConflictError extends DocumentEnhancerError {
+  constructor(message, details) {
+    super(message, 'OUTPUT_CONFLICT', details);
+  }
+}
+
+module.exports = {
+  DocumentEnhancerError,
+  UnsupportedFormatError,
+  InvalidOptionError,
+  ExtractionError,
+  OcrUnavailableError,
+  TimeoutError,
+  ConfigError,
+  OutputConflictError
+};
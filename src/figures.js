@@ -0,0 +1,59 @@
+// "Figure 3: Sales by region", "Fig. 2 – Layout", "Chart 1", "Exhibit 4."
+const CAPTION = /^(?:figure|fig\.|chart|exhibit|image|illustration|diagram)\s*\d+[a-z]?\b/i;
+// The label with its punctuation, which the placeholder's own "Figure N" replaces
+const CAPTION_LABEL = new RegExp(`${CAPTION.source}\\s*[:.\\-–—]?\\s*`, 'i');
+
+const EXTENSIONS = {
+  'image/png': '.png',
+  'image/jpeg': '.jpg',
+  'image/gif': '.gif',
+  'image/bmp': '.bmp',
+  'image/tiff': '.tif',
+  'image/svg+xml': '.svg',
+  'image/x-emf': '.emf',
+  'image/x-wmf': '.wmf'
+};
+
+function isCaption(text) {
+  return CAPTION.test(String(text || '').trim());
+}
+
+function imageExtension(contentType) {
+  return EXTENSIONS[contentType] || '.bin';
+}
+
+// Pixel size read from the PNG, GIF or JPEG header; null for other formats
+function imageSize(buffer) {
+  if (!buffer || buffer.length < 24) return null;
+
+  if (buffer.readUInt32BE(0) === 0x89504e47) {
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+  if (buffer.toString('ascii', 0, 4) === 'GIF8') {
+    return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+  }
+  if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+    // Walk the segments up to the start-of-frame marker
+    let offset = 2;
+    while (offset + 9 < buffer.length) {
+      if (buffer[offset] !== 0xff) return null;
+      const marker = buffer[offset + 1];
+      const isFrame = marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
+      if (isFrame) {
+        return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+      }
+      offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+  }
+  return null;
+}
+
+// "[Figure N: alt text / caption]", either part left out when missing or repeated; a "Figure 3:"
+// label of the document's own is dropped
+function figurePlaceholder(figure) {
+  const clean = text => (text || '').replace(/\s+/g, ' ').trim().replace(CAPTION_LABEL, '');
+  const parts = [clean(figure.alt), clean(figure.caption)].filter((part, index, all) => part && all.indexOf(part) === index);
+  return parts.length > 0 ? `[Figure ${figure.index}: ${parts.join(' / ')}]` : `[Figure ${figure.index}]`;
+}
+
+module.exports = { isCaption, imageExtension, imageSize, figurePlaceholder };
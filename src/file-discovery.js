@@ -0,0 +1,139 @@
+const fs = require('fs-extra');
+const path = require('path');
+const picomatch = require('picomatch');
+
+const DEFAULT_EXCLUDE = ['**/node_modules/**', '**/.git/**'];
+
+class FileDiscovery {
+  constructor(options = {}) {
+    this.options = {
+      recursive: true,
+      include: [],
+      exclude: [],
+      // Called with a file path; return true when some handler can process it
+      isSupported: () => true,
+      ...options
+    };
+
+    const matchOptions = { basename: true, dot: false };
+    this.isIncluded = this.options.include.length > 0
+      ? picomatch(this.options.include, matchOptions)
+      : () => true;
+    this.isExcluded = picomatch([...DEFAULT_EXCLUDE, ...this.options.exclude], matchOptions);
+  }
+
+  async discover(inputs) {
+    const files = [];
+    const skipped = [];
+    const roots = new Set();
+    const seen = new Set();
+
+    const addFile = (filePath, root) => {
+      const absolute = path.resolve(filePath);
+      roots.add(path.resolve(root));
+      if (seen.has(absolute)) return;
+      seen.add(absolute);
+      files.push({ path: filePath });
+    };
+
+    for (const input of inputs) {
+      const scan = picomatch.scan(input);
+
+      if (scan.isGlob) {
+        const base = scan.base || '.';
+        const matcher = picomatch(this.toPosix(path.relative(base, input)) || scan.glob, { dot: false });
+        const walked = await this.walk(base, skipped, true);
+        const matched = walked.filter(file => matcher(this.toPosix(path.relative(base, file))));
+        if (matched.length === 0) {
+          skipped.push({ path: input, reason: 'no files match pattern' });
+        }
+        matched.forEach(file => this.accept(file, base, addFile, skipped));
+        continue;
+      }
+
+      let stats;
+      try {
+        stats = await fs.stat(input);
+      } catch (error) {
+        skipped.push({ path: input, reason: 'not found' });
+        continue;
+      }
+
+      if (stats.isDirectory()) {
+        const walked = await this.walk(input, skipped, this.options.recursive);
+        walked.forEach(file => this.accept(file, input, addFile, skipped));
+      } else {
+        // Named files are kept even without a known extension; content sniffing decides later
+        addFile(input, path.dirname(input));
+      }
+    }
+
+    // Paths are relative to the folder all inputs share, so report.txt from d/2023 and d/2024
+    // becomes 2023/report.txt and 2024/report.txt rather than one report.txt twice
+    const commonRoot = this.commonDirectory([...roots]);
+    files.forEach(file => {
+      file.relativePath = this.toPosix(path.relative(commonRoot, file.path));
+    });
+
+    return { files, skipped };
+  }
+
+  accept(file, root, addFile, skipped) {
+    const relative = this.toPosix(path.relative(root, file));
+
+    if (this.isExcluded(relative) || !this.isIncluded(relative)) {
+      return;
+    }
+    if (!this.options.isSupported(file)) {
+      skipped.push({ path: file, reason: `unsupported type ${path.extname(file) || '(no extension)'}` });
+      return;
+    }
+    addFile(file, root);
+  }
+
+  async walk(directory, skipped, recursive) {
+    const files = [];
+    let entries;
+    try {
+      entries = await fs.readdir(directory, { withFileTypes: true });
+    } catch (error) {
+      skipped.push({ path: directory, reason: `unreadable directory (${error.code || error.message})` });
+      return files;
+    }
+
+    entries.sort((a, b) => a.name.localeCompare(b.name));
+    for (const entry of entries) {
+      // Hidden files and folders are never picked up by discovery
+      if (entry.name.startsWith('.')) continue;
+
+      const fullPath = path.join(directory, entry.name);
+      if (entry.isDirectory()) {
+        if (recursive && !this.isExcluded(this.toPosix(fullPath) + '/')) {
+          files.push(...await this.walk(fullPath, skipped, recursive));
+        }
+      } else if (entry.isFile()) {
+        files.push(fullPath);
+      }
+    }
+    return files;
+  }
+
+  commonDirectory(directories) {
+    if (directories.length === 0) return '.';
+
+    const split = directories.map(directory => path.resolve(directory).split(path.sep));
+    const common = [];
+    for (let i = 0; i < split[0].length; i++) {
+      const part = split[0][i];
+      if (!split.every(parts => parts[i] === part)) break;
+      common.push(part);
+    }
+    return common.join(path.sep) || path.sep;
+  }
+
+  toPosix(filePath) {
+    return filePath.split(path.sep).join('/');
+  }
+}
+
+module.exports = FileDiscovery;
@@ -0,0 +1,109 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { DocumentEnhancerError } = require('./errors');
+
+const SNIFF_BYTES = 8192;
+const TAIL_BYTES = 65536;
+
+class HandlerRegistry {
+  constructor() {
+    this.handlers = [];
+  }
+
+  register(handler) {
+    if (!handler || typeof handler.process !== 'function') {
+      throw new DocumentEnhancerError('A format handler needs a process(filePath, result) function', 'INVALID_HANDLER');
+    }
+    if (!Array.isArray(handler.extensions) || handler.extensions.length === 0) {
+      throw new DocumentEnhancerError('A format handler needs at least one extension', 'INVALID_HANDLER');
+    }
+
+    const normalized = {
+      mimeTypes: [],
+      ...handler,
+      name: handler.name || handler.extensions[0].replace(/^\./, ''),
+      extensions: handler.extensions.map(ext => (ext.startsWith('.') ? ext : `.${ext}`).toLowerCase())
+    };
+
+    // Later registrations take precedence for the same extension
+    this.handlers.unshift(normalized);
+    return normalized;
+  }
+
+  list() {
+    return [...this.handlers].reverse();
+  }
+
+  extensions() {
+    return this.list().flatMap(handler => handler.extensions);
+  }
+
+  findByExtension(extension) {
+    const ext = (extension || '').toLowerCase();
+    return this.handlers.find(handler => handler.extensions.includes(ext)) || null;
+  }
+
+  findByMimeType(mimeType) {
+    return this.handlers.find(handler => handler.mimeTypes.includes(mimeType)) || null;
+  }
+
+  // Match file content against each handler's sniff(buffer) check
+  sniff(buffer) {
+    const binary = this.handlers.find(handler => handler.sniff && !handler.textual && handler.sniff(buffer));
+    if (binary) return binary;
+    return this.handlers.find(handler => handler.sniff && handler.textual && handler.sniff(buffer)) || null;
+  }
+
+  async readSample(filePath) {
+    // The start holds most signatures; the end holds a ZIP's list of entry names
+    const { size } = await fs.stat(filePath);
+    const handle = await fs.open(filePath, 'r');
+    try {
+      const head = Buffer.alloc(Math.min(SNIFF_BYTES, size));
+      await fs.read(handle, head, 0, head.length, 0);
+      if (size <= SNIFF_BYTES) return head;
+
+      const tailLength = Math.min(TAIL_BYTES, size - SNIFF_BYTES);
+      const tail = Buffer.alloc(tailLength);
+      await fs.read(handle, tail, 0, tailLength, size - tailLength);
+      return Buffer.concat([head, tail]);
+    } finally {
+      await fs.close(handle);
+    }
+  }
+
+  async resolve(filePath, mimeType) {
+    const byExtension = this.findByExtension(path.extname(filePath)) || (mimeType && this.findByMimeType(mimeType));
+
+    let sniffed = null;
+    try {
+      sniffed = this.sniff(await this.readSample(filePath));
+    } catch (error) {
+      sniffed = null;
+    }
+
+    // Content wins over a wrong extension, except when it merely looks like text
+    if (byExtension && (!sniffed || sniffed === byExtension || sniffed.textual)) {
+      return byExtension;
+    }
+    return sniffed || byExtension;
+  }
+}
+
+// Content signatures shared by the built-in handlers
+HandlerRegistry.signatures = {
+  pdf: buffer => buffer.subarray(0, 1024).includes('%PDF-'),
+  zip: buffer => buffer.length >= 4 && buffer.readUInt32LE(0) === 0x04034b50,
+  ole2: buffer => buffer.length >= 8 && buffer.subarray(0, 8).equals(Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1])),
+  image: buffer => buffer.length >= 4 && (
+    buffer.subarray(0, 4).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47])) || // PNG
+    buffer.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff])) || // JPEG
+    ['II*\0', 'MM\0*'].includes(buffer.subarray(0, 4).toString('latin1')) // TIFF
+  ),
+  zipEntry: (buffer, entry) => HandlerRegistry.signatures.zip(buffer) && buffer.includes(entry),
+  text: buffer => buffer.length > 0 && !buffer.includes(0),
+  html: buffer => HandlerRegistry.signatures.text(buffer) &&
+    /^(\uFEFF)?\s*(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*<(!doctype html|html|head|body)[\s>]/i.test(buffer.subarray(0, 1024).toString('utf8'))
+};
+
+module.exports = HandlerRegistry;
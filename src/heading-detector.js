@@ -0,0 +1,148 @@
+const NUMBERED_HEADING = /^(\d{1,2}(?:\.\d{1,2})*)\.?\s+(\S.*)$/;
+const BOLD_FONT = /bold|black|heavy|semibold|demi/i;
+
+class HeadingDetector {
+  constructor(options = {}) {
+    this.options = {
+      maxHeadingLength: 100,
+      sizeRatio: 1.15, // how much larger than body text a heading must be
+      ...options
+    };
+  }
+
+  // The most common font size, weighted by characters, is the body text size
+  bodyFontSize(lines) {
+    const weights = new Map();
+    for (const line of lines) {
+      const size = Math.round(line.fontSize * 2) / 2;
+      weights.set(size, (weights.get(size) || 0) + line.text.length);
+    }
+
+    let best = 0;
+    let bestWeight = -1;
+    for (const [size, weight] of weights) {
+      if (weight > bestWeight) {
+        best = size;
+        bestWeight = weight;
+      }
+    }
+    return best;
+  }
+
+  isHeadingShaped(text) {
+    const trimmed = text.trim();
+    return trimmed.length > 0 &&
+      trimmed.length <= this.options.maxHeadingLength &&
+      /\p{L}/u.test(trimmed) &&
+      !/[.,;]$/.test(trimmed);
+  }
+
+  // Mark headings in positioned PDF lines using font size, weight and numbering
+  markPdfPages(pageLines) {
+    const allLines = pageLines.flatMap(page => page.lines);
+    const bodySize = this.bodyFontSize(allLines);
+
+    const candidates = [];
+    for (const line of allLines) {
+      if (!this.isHeadingShaped(line.text)) continue;
+
+      const bold = line.items.length > 0 && line.items.every(item => BOLD_FONT.test(item.fontName || ''));
+      const larger = line.fontSize >= bodySize * this.options.sizeRatio;
+      const numbered = NUMBERED_HEADING.exec(line.text.trim());
+      const deepNumber = numbered && numbered[1].includes('.') && !numbered[1].endsWith('.');
+
+      if (larger || (bold && line.text.length <= 80) || (deepNumber && /^\p{Lu}/u.test(numbered[2]))) {
+        candidates.push({ line, size: Math.round(line.fontSize * 2) / 2, numbered });
+      }
+    }
+
+    // Larger type ranks higher; numbering depth wins where present
+    const sizes = [...new Set(candidates.map(candidate => candidate.size))].sort((a, b) => b - a);
+    const levels = new Map();
+    for (const candidate of candidates) {
+      const level = candidate.numbered
+        ? candidate.numbered[1].split('.').filter(Boolean).length
+        : sizes.indexOf(candidate.size) + 1;
+      levels.set(candidate.line, Math.min(level, 6));
+    }
+
+    return pageLines.map(page => ({
+      number: page.number,
+      text: page.lines
+        .map(line => (levels.has(line) ? `${'#'.repeat(levels.get(line))} ${line.text.trim()}` : line.text))
+        .join('\n')
+    }));
+  }
+
+  // Without positions only numbering ("2.1 Scope") and all-caps titles are reliable
+  markPlainText(text) {
+    return text.split('\n').map(line => {
+      const trimmed = line.trim();
+      if (!this.isHeadingShaped(trimmed) || trimmed.startsWith('#')) return line;
+
+      const numbered = NUMBERED_HEADING.exec(trimmed);
+      if (numbered && numbered[1].includes('.') && !numbered[1].endsWith('.') && /^\p{Lu}/u.test(numbered[2])) {
+        return `${'#'.repeat(Math.min(numbered[1].split('.').length, 6))} ${trimmed}`;
+      }
+      if (trimmed.length <= 60 && /\p{L}{3}/u.test(trimmed) && trimmed === trimmed.toUpperCase()) {
+        return `## ${trimmed}`;
+      }
+      return line;
+    }).join('\n');
+  }
+
+  // Nested outline from Markdown-style headings, anchored by page and character offset
+  buildOutline(text) {
+    const root = { level: 0, children: [] };
+    const stack = [root];
+    const pattern = /^(#{1,6})[ \t]+(.+?)[ \t]*#*$|^---\s*Page\s+(\d+)\s*---$/gim;
+    let page = null;
+    let inFence = false;
+    let fenceCheckedTo = 0;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+      // Skip lines inside fenced code blocks
+      const between = text.slice(fenceCheckedTo, match.index);
+      inFence = (between.match(/^```/gm) || []).length % 2 === 1 ? !inFence : inFence;
+      fenceCheckedTo = match.index;
+      if (inFence) continue;
+
+      if (match[3]) {
+        page = parseInt(match[3], 10);
+        continue;
+      }
+
+      const entry = {
+        title: match[2].replace(/\*\*|__/g, '').trim(),
+        level: match[1].length,
+        page,
+        offset: match.index,
+        children: []
+      };
+
+      while (stack[stack.length - 1].level >= entry.level) {
+        stack.pop();
+      }
+      stack[stack.length - 1].children.push(entry);
+      stack.push(entry);
+    }
+
+    return root.children;
+  }
+
+  formatOutline(outline, depth = 0) {
+    return outline.map(entry => {
+      const page = entry.page ? ` (page ${entry.page})` : '';
+      const line = `${'  '.repeat(depth)}- ${entry.title}${page}`;
+      const children = entry.children.length > 0 ? '\n' + this.formatOutline(entry.children, depth + 1) : '';
+      return line + children;
+    }).join('\n');
+  }
+
+  countEntries(outline) {
+    return outline.reduce((sum, entry) => sum + 1 + this.countEntries(entry.children), 0);
+  }
+}
+
+module.exports = HeadingDetector;
@@ -0,0 +1,296 @@
+const cheerio = require('cheerio');
+const { detectHeaderRow, htmlTableGrid, htmlCellText, numberHtmlTables } = require('./table-utils');
+const { isCaption, figurePlaceholder } = require('./figures');
+
+// Never content
+const NON_CONTENT = 'script, style, noscript, template, iframe, object, embed, svg, canvas, link, meta';
+
+// Site chrome around the content of a saved web page
+const PAGE_CHROME = [
+  'nav', 'aside', 'form', 'button', 'dialog',
+  '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]', '[role="complementary"]', '[role="search"]',
+  '[aria-hidden="true"]', '[hidden]',
+  '.nav', '.navbar', '.menu', '.sidebar', '.breadcrumb', '.breadcrumbs', '.cookie', '.cookies', '.cookie-banner',
+  '.advert', '.ads', '.ad', '.share', '.social', '.related', '.comments', '#comments', '.skip-link'
+].join(', ');
+
+class HtmlToTextConverter {
+  constructor(options = {}) {
+    this.options = {
+      // Called as renderTable(data, index, headerRows) to produce the inline form of each table
+      renderTable: (data) => data.map(row => row.join(' | ')).join('\n'),
+      fillMergedCells: true, // repeat colspan/rowspan values into every cell they cover
+      figures: null, // Map of image src → figure; those images become "[Figure N: ...]" placeholders
+      ...options
+    };
+  }
+
+  // Strip scripts and styles (and with pageChrome, navigation, sidebars, site header and
+  // footer) and narrow to <main> or a lone <article>. Returns the cleaned body HTML and title.
+  extractContent(html, { pageChrome = true } = {}) {
+    const $ = cheerio.load(html);
+    const title = $('head > title').first().text().trim() || $('h1').first().text().trim() || null;
+
+    $(NON_CONTENT).remove();
+    $('*').contents().filter((index, node) => node.type === 'comment').remove();
+
+    if (pageChrome) {
+      $(PAGE_CHROME).remove();
+      // Headers and footers of the page itself, not those of an article or section
+      $('header, footer').filter((index, element) => $(element).parents('article, main, section').length === 0).remove();
+    }
+
+    const main = $('main');
+    const articles = $('article');
+    const root = main.length === 1 ? main
+      : articles.length === 1 ? articles
+        : $('body').length > 0 ? $('body') : $.root();
+
+    return { html: root.html() || '', title };
+  }
+
+  convert(html) {
+    const $ = cheerio.load(html);
+    this.$ = $;
+
+    const root = $('body').length > 0 ? $('body') : $.root();
+    this.tableNumbers = numberHtmlTables($, root);
+    this.deferredTables = []; // tables met inside inline content or list items
+    if (this.options.figures) {
+      this.attachCaptions(root);
+    }
+    const blocks = this.convertBlocks(root.contents(), 0);
+
+    return blocks
+      .join('\n\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+
+  convertBlocks(nodes, depth) {
+    const $ = this.$;
+    const blocks = [];
+    let inline = '';
+
+    // Tables found inside a paragraph, list or link follow the block that held them
+    const pushDeferredTables = () => {
+      const tables = this.deferredTables;
+      this.deferredTables = [];
+      tables.forEach($table => blocks.push(...this.convertTable($table)));
+    };
+
+    const flushInline = () => {
+      const text = this.cleanInline(inline);
+      if (text) {
+        blocks.push(text);
+      }
+      inline = '';
+      pushDeferredTables();
+    };
+
+    nodes.each((index, node) => {
+      const tag = (node.tagName || '').toLowerCase();
+      const $node = $(node);
+
+      if (/^h[1-6]$/.test(tag)) {
+        flushInline();
+        const text = this.cleanInline(this.convertInline($node.contents()));
+        if (text) {
+          blocks.push(`${'#'.repeat(parseInt(tag[1], 10))} ${text}`);
+        }
+        pushDeferredTables();
+      } else if (tag === 'p') {
+        flushInline();
+        const text = this.cleanInline(this.convertInline($node.contents()));
+        if (text) {
+          blocks.push(text);
+        }
+        pushDeferredTables();
+      } else if ((tag === 'ol' || tag === 'ul') && this.isNoteList($node)) {
+        flushInline();
+        blocks.push(this.convertNotes($node));
+        pushDeferredTables();
+      } else if (tag === 'ul' || tag === 'ol') {
+        flushInline();
+        blocks.push(this.convertList($node, depth));
+        pushDeferredTables();
+      } else if (tag === 'table') {
+        flushInline();
+        blocks.push(...this.convertTable($node));
+      } else if (tag === 'blockquote') {
+        flushInline();
+        const inner = this.convertBlocks($node.contents(), depth);
+        blocks.push(inner.join('\n\n').split('\n').map(line => `> ${line}`).join('\n'));
+      } else if (tag === 'pre') {
+        flushInline();
+        blocks.push('```\n' + $node.text().replace(/\n$/, '') + '\n```');
+      } else if (tag === 'hr') {
+        flushInline();
+        blocks.push('---');
+      } else if (['div', 'section', 'article', 'main', 'body', 'header', 'footer', 'figure', 'figcaption', 'details', 'summary', 'center'].includes(tag)) {
+        flushInline();
+        blocks.push(...this.convertBlocks($node.contents(), depth));
+      } else {
+        inline += this.convertInline($node);
+      }
+    });
+
+    flushInline();
+    return blocks;
+  }
+
+  convertInline(nodes) {
+    const $ = this.$;
+    let text = '';
+
+    nodes.each((index, node) => {
+      if (node.type === 'text') {
+        text += node.data.replace(/\s+/g, ' ');
+        return;
+      }
+      if (node.type !== 'tag') return;
+
+      const tag = node.tagName.toLowerCase();
+      const $node = $(node);
+      const inner = () => this.convertInline($node.contents());
+
+      if (tag === 'table') {
+        this.deferredTables.push($node);
+      } else if (tag === 'strong' || tag === 'b') {
+        text += this.wrap(inner(), '**');
+      } else if (tag === 'em' || tag === 'i') {
+        text += this.wrap(inner(), '*');
+      } else if (tag === 's' || tag === 'del' || tag === 'strike') {
+        text += this.wrap(inner(), '~~');
+      } else if (tag === 'br') {
+        text += '\n';
+      } else if (tag === 'a') {
+        text += this.convertLink($node, inner());
+      } else if (tag === 'img' && this.options.figures?.has($node.attr('src'))) {
+        text += ` ${figurePlaceholder(this.options.figures.get($node.attr('src')))} `;
+      } else if (tag === 'img') {
+        const alt = $node.attr('alt');
+        text += alt ? `[Image: ${alt}]` : '';
+      } else if (tag === 'sup' && $node.find('a[href^="#footnote-"], a[href^="#endnote-"]').length > 0) {
+        // Note references are already marked by convertLink
+        text += inner();
+      } else {
+        text += inner();
+      }
+    });
+
+    return text;
+  }
+
+  // A <figcaption>, or a caption paragraph right below (or above) the image's paragraph,
+  // moves into the figure so the placeholder carries it
+  attachCaptions(root) {
+    const $ = this.$;
+    root.find('img').each((index, img) => {
+      const figure = this.options.figures.get($(img).attr('src'));
+      if (!figure || figure.caption) return;
+
+      const $figure = $(img).closest('figure');
+      const $paragraph = $(img).closest('p');
+      const candidates = $figure.length > 0
+        ? [$figure.find('figcaption').first()]
+        : [$paragraph.next('p'), $paragraph.prev('p')];
+      const $caption = candidates.find($candidate => $candidate.length > 0 &&
+        ($candidate.is('figcaption, .caption') || isCaption($candidate.text())) &&
+        $candidate.find('img').length === 0);
+
+      if ($caption) {
+        figure.caption = this.cleanInline($caption.text());
+        $caption.remove();
+      }
+    });
+  }
+
+  convertLink($link, label) {
+    const href = $link.attr('href') || '';
+    const note = /^#(footnote|endnote)-(\d+)$/.exec(href);
+    if (note) {
+      return `[^${this.noteLabel(note[1], note[2])}]`;
+    }
+
+    // Back-links from notes and internal bookmarks carry no information in text
+    if (/^#(footnote|endnote)-ref-/.test(href)) return '';
+    if (!href || href.startsWith('#')) return label;
+
+    const text = label.trim();
+    return text && text !== href ? `[${text}](${href})` : `<${href}>`;
+  }
+
+  noteLabel(kind, number) {
+    return kind === 'endnote' ? `e${number}` : number;
+  }
+
+  isNoteList($list) {
+    const items = $list.children('li');
+    return items.length > 0 && items.toArray().every(item => /^(footnote|endnote)-\d+$/.test(this.$(item).attr('id') || ''));
+  }
+
+  convertNotes($list) {
+    return $list.children('li').toArray().map(item => {
+      const [, kind, number] = /^(footnote|endnote)-(\d+)$/.exec(this.$(item).attr('id'));
+      const text = this.cleanInline(this.convertInline(this.$(item).contents()));
+      return `[^${this.noteLabel(kind, number)}]: ${text}`;
+    }).join('\n');
+  }
+
+  convertList($list, depth) {
+    const $ = this.$;
+    const ordered = $list.is('ol');
+    const indent = '  '.repeat(depth);
+    const lines = [];
+
+    $list.children('li').each((index, item) => {
+      const $item = $(item);
+      const nested = $item.children('ul, ol');
+      const text = this.cleanInline(this.convertInline($item.contents().not('ul, ol')));
+      lines.push(`${indent}${ordered ? `${index + 1}.` : '-'} ${text}`);
+
+      nested.each((i, list) => {
+        lines.push(this.convertList($(list), depth + 1));
+      });
+    });
+
+    return lines.join('\n');
+  }
+
+  // The table, then the tables nested in its cells, each numbered in document order
+  convertTable($table) {
+    const $ = this.$;
+    const { data, headerRows } = this.tableData($table);
+    const blocks = [this.options.renderTable(data, this.tableNumbers.get($table[0]), headerRows || Number(detectHeaderRow(data)))];
+
+    $table.find('table')
+      .filter((index, nested) => $(nested).parents('table').first()[0] === $table[0])
+      .each((index, nested) => blocks.push(...this.convertTable($(nested))));
+    return blocks;
+  }
+
+  tableData($table) {
+    const $ = this.$;
+    return htmlTableGrid($, $table, cell => this.cleanInline(htmlCellText($, cell, this.tableNumbers)), {
+      fillMerged: this.options.fillMergedCells
+    });
+  }
+
+  wrap(text, marker) {
+    // Keep surrounding spaces outside the markers so Markdown still parses them
+    const match = /^(\s*)([\s\S]*?)(\s*)$/.exec(text);
+    return match[2] ? `${match[1]}${marker}${match[2]}${marker}${match[3]}` : text;
+  }
+
+  cleanInline(text) {
+    return text
+      .split('\n')
+      .map(line => line.replace(/[ \t]+/g, ' ').trim())
+      .join('\n')
+      .replace(/\s*↑\s*$/, '')
+      .trim();
+  }
+}
+
+module.exports = HtmlToTextConverter;
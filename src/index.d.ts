@@ -0,0 +1,673 @@
+import { EventEmitter } from 'events';
+
+type OutputFormat = 'enhanced-text' | 'text' | 'markdown' | 'json' | (string & {});
+type OcrMode = 'auto' | 'always' | 'never';
+
+interface Logger {
+  debug(message: string): void;
+  info(message: string): void;
+  warn(message: string): void;
+  error(message: string): void;
+}
+
+interface ProcessorOptions {
+  preserveLineBreaks?: boolean;
+  preserveOnlyMultipleLineBreaks?: boolean;
+  extractTables?: boolean;
+  outputFormat?: OutputFormat;
+  /** Split output into parts of about this many tokens; 0 disables chunking */
+  chunkTokens?: number;
+  /** Files processed at the same time by processMultipleFiles */
+  concurrency?: number;
+  /** Milliseconds per file; 0 disables the timeout */
+  fileTimeout?: number;
+  cache?: boolean;
+  cacheDir?: string;
+  tableOfContents?: boolean;
+  /** PDF table detection */
+  tableDetection?: 'layout' | 'heuristic';
+  /** PDF page selection such as "3-10,15" */
+  pages?: string | number[] | null;
+  /** "--- Page N ---" before each PDF page's text (default true) */
+  pageMarkers?: boolean;
+  stripBoilerplate?: boolean;
+  detectHeadings?: boolean;
+  ocr?: OcrMode;
+  /** Pages with fewer visible characters count as image-only */
+  ocrMinChars?: number;
+  /** Tesseract language codes, e.g. "eng+deu" */
+  ocrLanguages?: string;
+  /** Folder holding <lang>.traineddata.gz for every language; defaults to the @tesseract.js-data packages */
+  ocrLangPath?: string | null;
+  maxSheetRows?: number;
+  largeSheetMode?: 'summarize' | 'page';
+  fillMergedCells?: boolean;
+  /** Save tables as <name>_tables/table-NN.csv plus <name>_tables.json records */
+  exportTables?: boolean;
+  /** Save DOCX and PDF images to assets/ and mark them "[Figure N: alt / caption]" in the text */
+  extractImages?: boolean;
+  /** DOCX comments as [^c1] notes with author and anchored text */
+  comments?: boolean;
+  /** DOCX tracked changes: accepted (Word's final view), rejected, or {++inserted++} {--deleted--} */
+  trackChanges?: 'accept' | 'reject' | 'markup';
+  /** DOCX header and footer text as [Header: ...] / [Footer: ...], once per section */
+  headersFooters?: boolean;
+  /** Results with a lower quality score (0-100) get quality.passed = false */
+  minQuality?: number;
+  /** Replace personal data after extraction: [EMAIL_1], [EMAIL:1a2b3c4d] or nothing */
+  redact?: 'off' | RedactionMode;
+  /** Built-in detectors to run; all of them by default */
+  redactTypes?: RedactionType[];
+  /** Names and other terms, matched whole-word and case-insensitively */
+  redactWords?: string[];
+  /** Extra regular expressions as "name=regex" */
+  redactPatterns?: string[];
+  /** HMAC key for hash mode; random per processor unless set */
+  redactSalt?: string;
+  /** Receives progress and error messages; the library prints nothing by default */
+  logger?: Partial<Logger>;
+}
+
+interface ColumnType {
+  /** Header text (stacked header rows joined), or "Column N" */
+  name: string;
+  type: 'number' | 'currency' | 'percent' | 'date' | 'text' | 'empty';
+  /** Currency symbol seen in the column */
+  currency?: string;
+  /** Slashed dates in this column are day/month/year */
+  dayFirst?: boolean;
+}
+
+interface Table {
+  index: number;
+  rows: number;
+  columns: number;
+  hasHeader: boolean;
+  /** Leading rows that form the header, 0 when there is none */
+  headerRows: number;
+  columnTypes: ColumnType[];
+  data: string[][];
+  page?: number;
+  endPage?: number;
+  sheet?: string;
+  /** Merged ranges such as "A1:B2" (spreadsheet merges, DOCX colspan/rowspan) */
+  merges?: string[];
+  truncated?: boolean;
+  totalRows?: number;
+  rowRange?: [number, number];
+  summary?: ColumnSummary[];
+}
+
+interface ColumnSummary {
+  column: string;
+  filled: number;
+  distinct?: number;
+  min?: number;
+  max?: number;
+  sum?: number;
+}
+
+interface OutlineEntry {
+  title: string;
+  level: number;
+  page: number | null;
+  /** Character offset of the heading in extractedText */
+  offset: number;
+  children: OutlineEntry[];
+}
+
+interface OcrPage {
+  page: number;
+  confidence: number;
+  characters: number;
+  /** The page had a text layer of its own; OCR lines it lacked were added after it */
+  merged?: boolean;
+}
+
+interface OcrMetadata {
+  mode?: OcrMode;
+  engine?: string;
+  languages?: string[];
+  imageOnlyPages?: number[];
+  pages: OcrPage[];
+  error?: string;
+}
+
+interface Figure {
+  /** N in the "[Figure N: ...]" placeholder */
+  index: number;
+  /** PDF page; null for DOCX */
+  page: number | null;
+  /** Pixels; null when the format's header could not be read (e.g. EMF) */
+  width: number | null;
+  height: number | null;
+  alt: string | null;
+  caption: string | null;
+  contentType: string;
+  /** Relative to the output folder, e.g. "assets/report_figure-01.png"; set once saved */
+  file?: string;
+}
+
+interface FigureAsset {
+  index: number;
+  contentType: string;
+  extension: string;
+  /** Base64 image bytes */
+  data: string;
+}
+
+interface DocumentMetadata {
+  pages?: number;
+  pagesProcessed?: number[];
+  fileType?: string;
+  tablesFound?: number;
+  info?: Record<string, unknown>;
+  /** HTML <title> or EPUB dc:title */
+  title?: string | null;
+  /** EPUB dc:creator and dc:language */
+  author?: string | null;
+  language?: string | null;
+  /** EPUB spine documents included */
+  chapters?: number;
+  ocr?: OcrMetadata;
+  figures?: Figure[];
+  /** Why PDF images could not be read, when they could not */
+  figureError?: string;
+  redaction?: RedactionLog;
+  /** DOCX notes, linked from the text as [^1] and [^e1] */
+  notes?: { footnotes: number; endnotes: number };
+  comments?: DocxComment[];
+  trackedChanges?: { mode: 'accept' | 'reject' | 'markup'; insertions: number; deletions: number; authors: string[] };
+  headersFooters?: Array<{ section: number; kind: 'header' | 'footer'; type: 'default' | 'first' | 'even'; text: string }>;
+  boilerplate?: {
+    linesRemoved: number;
+    removed: Array<{ zone: 'header' | 'footer'; pattern: string; examples: string[]; pages: number[] }>;
+  };
+  [key: string]: unknown;
+}
+
+interface DocxComment {
+  /** Referenced as [^cN] in the text */
+  number: number;
+  author: string | null;
+  initials: string | null;
+  date: string | null;
+  /** The commented text; empty for replies and comments on a single point */
+  anchor: string;
+  text: string;
+  /** Number of the comment this one replies to */
+  replyTo: number | null;
+  resolved: boolean;
+}
+
+type RedactionMode = 'mask' | 'hash' | 'remove';
+type RedactionType = 'email' | 'credit-card' | 'national-id' | 'phone';
+
+/** What was redacted, by type; never the original values */
+interface RedactionLog {
+  mode: RedactionMode;
+  /** Built-in types, custom pattern names and "name" for the word list */
+  types: string[];
+  total: number;
+  /** Occurrences per type */
+  counts: Record<string, number>;
+  /** Different values per type */
+  distinct: Record<string, number>;
+}
+
+interface QualityReport {
+  /** 0-100; 100 means no problems were found */
+  score: number;
+  passed: boolean;
+  /** Visible (non-whitespace) characters extracted */
+  characters: number;
+  /** page is null when the text has no page markers and only the average is known */
+  pages: Array<{ page: number | null; characters: number; sparse: boolean }>;
+  sparsePages: number[];
+  garbledCharacters: number;
+  garbledRatio: number;
+  raggedTables: Array<{ index: number; page?: number; sheet?: string; minColumns: number; maxColumns: number; paddedRows: number }>;
+  warnings: Array<{ type: string; message: string }>;
+  ocrConfidence: number | null;
+  /** Human-readable reasons for lost points */
+  issues: string[];
+}
+
+interface Chunk {
+  index: number;
+  sectionPath: string[];
+  estimatedTokens: number;
+  text: string;
+}
+
+interface ProcessingResult {
+  originalPath: string;
+  relativePath?: string;
+  mimeType: string | null;
+  processingMethod: string;
+  extractedText: string;
+  plainText?: string;
+  tables: Table[];
+  tablesInline?: boolean;
+  outline: OutlineEntry[];
+  quality: QualityReport;
+  metadata: DocumentMetadata;
+  claudeReady: string;
+  chunks?: Chunk[];
+  /** Figure images waiting to be written by saveResults; left out of the data JSON */
+  assets?: FigureAsset[];
+  fromCache?: boolean;
+  durationMs?: number;
+}
+
+interface FailedResult {
+  originalPath: string;
+  relativePath?: string;
+  error: string;
+  code: ErrorCode | null;
+  timedOut: boolean;
+  durationMs: number;
+  success: false;
+}
+
+interface BatchReport {
+  generatedAt: string;
+  totals: {
+    files: number;
+    successful: number;
+    failed: number;
+    timedOut: number;
+    lowQuality: number;
+    durationMs: number;
+    pages: number;
+    tables: number;
+  };
+  files: Array<{
+    file: string;
+    relativePath?: string;
+    status: 'ok' | 'failed' | 'timed-out' | 'low-quality';
+    durationMs: number | null;
+    cached: boolean;
+    pages: number | null;
+    tables: number;
+    quality: number | null;
+    issues?: string[];
+    error?: string;
+    code?: ErrorCode | null;
+  }>;
+}
+
+interface FormatHandler {
+  name?: string;
+  description?: string;
+  extensions: string[];
+  mimeTypes?: string[];
+  /** True when sniff only recognizes plain text, so binary formats are tried first */
+  textual?: boolean;
+  sniff?(sample: Buffer): boolean;
+  /** context.signal aborts when the file times out; long-running handlers should stop then */
+  process(filePath: string, result: ProcessingResult, processor: DocumentProcessor, context: { signal?: AbortSignal }): Promise<ProcessingResult>;
+}
+
+interface Renderer {
+  name: string;
+  extension?: string;
+  suffix?: string;
+  /** Output can be split by chunkTokens: a header ended by a --- rule and # headings */
+  chunkable?: boolean;
+  render(result: ProcessingResult, options: ProcessorOptions): string;
+}
+
+interface ProgressEvent {
+  completed: number;
+  total: number;
+  filePath: string;
+  result: ProcessingResult | FailedResult;
+}
+
+interface ProcessorEvents {
+  'file:start': [{ filePath: string; mimeType: string | null; handler: string | null }];
+  'table:found': [{ filePath: string; table: Table }];
+  'file:done': [{ filePath: string; result: ProcessingResult; durationMs: number }];
+  'file:error': [{ filePath: string; error: DocumentEnhancerError | Error }];
+  'output:saved': [{
+    kind: 'document' | 'parts' | 'data' | 'tables' | 'assets' | 'report';
+    /** originalPath of the document the file was written for (absent for the report) */
+    source?: string;
+    path: string;
+    written: boolean;
+    parts?: number;
+    /** Number of tables, for kind 'tables' */
+    tables?: number;
+    /** Number of figures, for kind 'assets' (path is the shared assets folder) */
+    figures?: number;
+    /** Chunk files for 'parts', CSV files for 'tables', images for 'assets' */
+    partPaths?: string[];
+  }];
+  /** An output that was not written, e.g. because it would replace the source document */
+  'output:skipped': [{ kind: 'document'; source: string; path: string; reason: string }];
+}
+
+declare class DocumentProcessor extends EventEmitter {
+  constructor(options?: ProcessorOptions);
+  options: Required<Omit<ProcessorOptions, 'logger'>>;
+  logger: Logger;
+  handlers: HandlerRegistry;
+  renderers: RendererRegistry;
+  /** Set when redact is not 'off'; shared by every document the processor handles */
+  redactor: Redactor | null;
+
+  processDocument(filePath: string, options?: { originalPath?: string; signal?: AbortSignal }): Promise<ProcessingResult>;
+  processBuffer(buffer: Buffer, source?: { filename?: string; mimeType?: string; signal?: AbortSignal }): Promise<ProcessingResult>;
+  processMultipleFiles(
+    filePaths: string[],
+    options?: { onProgress?(progress: ProgressEvent): void }
+  ): Promise<Array<ProcessingResult | FailedResult>>;
+  /** Throws OutputConflictError before writing anything when two results share an output name */
+  saveResults(results: Array<ProcessingResult | FailedResult>, outputDir?: string, options?: { report?: boolean }): Promise<void>;
+  /** Output folder and file name stem of a document, relative to the output directory */
+  outputName(entry: { originalPath: string; relativePath?: string }): string;
+  /** Throws OutputConflictError when two entries would write the same output files */
+  checkOutputConflicts(entries: Array<{ originalPath: string; relativePath?: string }>): void;
+  buildReport(results: Array<ProcessingResult | FailedResult>): BatchReport;
+  formatForClaude(result: ProcessingResult): string;
+  registerHandler(handler: FormatHandler): this;
+  registerRenderer(renderer: Renderer): this;
+
+  on<E extends keyof ProcessorEvents>(event: E, listener: (...args: ProcessorEvents[E]) => void): this;
+  once<E extends keyof ProcessorEvents>(event: E, listener: (...args: ProcessorEvents[E]) => void): this;
+  off<E extends keyof ProcessorEvents>(event: E, listener: (...args: ProcessorEvents[E]) => void): this;
+  emit<E extends keyof ProcessorEvents>(event: E, ...args: ProcessorEvents[E]): boolean;
+}
+
+declare class HandlerRegistry {
+  register(handler: FormatHandler): FormatHandler;
+  list(): FormatHandler[];
+  extensions(): string[];
+  findByExtension(extension: string): FormatHandler | null;
+  findByMimeType(mimeType: string): FormatHandler | null;
+  resolve(filePath: string, mimeType?: string | null): Promise<FormatHandler | null>;
+  static signatures: Record<string, (sample: Buffer, ...args: any[]) => boolean>;
+}
+
+declare class RendererRegistry {
+  register(renderer: Renderer): this;
+  get(name: string): Required<Renderer>;
+  names(): string[];
+  static withDefaults(): RendererRegistry;
+}
+
+interface ServerOptions {
+  port?: number;
+  host?: string;
+  /** Larger uploads are rejected with 413 */
+  maxBodyBytes?: number;
+  /** Larger uploads to /convert are turned into background jobs */
+  asyncThresholdBytes?: number;
+  /** Conversions waiting for a slot before requests get 503 */
+  maxQueue?: number;
+  /** Milliseconds finished jobs are kept */
+  jobTtl?: number;
+  processorOptions?: ProcessorOptions;
+}
+
+declare class DocumentServer {
+  constructor(options?: ServerOptions);
+  listen(): Promise<{ address: string; port: number; family: string }>;
+  close(): Promise<void>;
+}
+
+interface WatcherOptions {
+  /** Files, directories or glob patterns, as for FileDiscovery */
+  inputs?: string[];
+  outputDir?: string;
+  /** Milliseconds between scans */
+  interval?: number;
+  /** Milliseconds a file must stay unchanged before it is processed */
+  debounce?: number;
+}
+
+interface WatcherEvents {
+  'watch:ready': [{ files: number }];
+  'watch:change': [{ added: string[]; changed: string[] }];
+  'watch:processed': [{ results: Array<ProcessingResult | FailedResult> }];
+  'watch:removed': [{ path: string; outputs: string[] }];
+  'watch:error': [{ error: Error }];
+}
+
+declare class DocumentWatcher extends EventEmitter {
+  constructor(
+    processor: DocumentProcessor,
+    discovery: { discover(inputs: string[]): Promise<{ files: Array<{ path: string; relativePath?: string }> }> },
+    options?: WatcherOptions
+  );
+  start(): Promise<void>;
+  stop(): void;
+
+  on<E extends keyof WatcherEvents>(event: E, listener: (...args: WatcherEvents[E]) => void): this;
+  once<E extends keyof WatcherEvents>(event: E, listener: (...args: WatcherEvents[E]) => void): this;
+  off<E extends keyof WatcherEvents>(event: E, listener: (...args: WatcherEvents[E]) => void): this;
+}
+
+interface DiffOptions {
+  /** Removed/added paragraphs, rows and sections at least this alike (0-1) are reported as changed */
+  minSimilarity?: number;
+  /** Tables less alike than this are reported as removed and added */
+  minTableSimilarity?: number;
+}
+
+type TextChange =
+  | { type: 'added' | 'removed'; text: string; page: number | null }
+  | { type: 'changed'; old: string; new: string; page: number | null; /** ~~removed~~ **added** words */ words: string };
+
+interface SectionDiff {
+  heading: string | null;
+  /** Heading titles from the top level down; empty before the first heading */
+  path: string[];
+  renamedFrom?: string[];
+  status: 'added' | 'removed' | 'changed' | 'unchanged';
+  changes: TextChange[];
+  /** Paragraphs and list items left as they were */
+  unchanged: number;
+}
+
+interface TableRef {
+  index: number;
+  page?: number;
+  sheet?: string;
+}
+
+type TableDiff =
+  | { status: 'added' | 'removed'; old: TableRef | null; new: TableRef | null; rows: number; columns: number }
+  | {
+    status: 'changed' | 'unchanged';
+    old: TableRef;
+    new: TableRef;
+    /** row is the 1-based body row in the new table; label is its first cell */
+    cells: Array<{ row: number; label: string; column: string; old: string; new: string }>;
+    rowsAdded: Array<{ row: number; cells: string[] }>;
+    rowsRemoved: Array<{ row: number; cells: string[] }>;
+    columnsAdded: string[];
+    columnsRemoved: string[];
+  };
+
+interface DocumentDiff {
+  old: { file: string; path: string | null; pages: number | null; tables: number };
+  new: { file: string; path: string | null; pages: number | null; tables: number };
+  summary: {
+    sectionsAdded: number;
+    sectionsRemoved: number;
+    sectionsChanged: number;
+    paragraphsAdded: number;
+    paragraphsRemoved: number;
+    paragraphsChanged: number;
+    tablesAdded: number;
+    tablesRemoved: number;
+    tablesChanged: number;
+    cellsChanged: number;
+    identical: boolean;
+  };
+  sections: SectionDiff[];
+  tables: TableDiff[];
+}
+
+declare class DocumentDiffer {
+  constructor(options?: DiffOptions);
+  options: Required<DiffOptions>;
+  compare(oldResult: ProcessingResult, newResult: ProcessingResult): DocumentDiff;
+  /** Claude-ready Markdown with [ADDED], [REMOVED] and [CHANGED] markers */
+  toMarkdown(diff: DocumentDiff): string;
+}
+
+interface RedactorOptions {
+  mode?: RedactionMode;
+  types?: RedactionType[];
+  words?: string[];
+  patterns?: string[];
+  salt?: string;
+}
+
+declare class Redactor {
+  constructor(options?: RedactorOptions);
+  options: Required<RedactorOptions>;
+  redactText(text: string): string;
+  /** Redacts text, tables and metadata in place and records metadata.redaction */
+  redactResult<T extends ProcessingResult>(result: T): T;
+  static DETECTORS: Record<RedactionType, { label: string; pattern: RegExp }>;
+  static MODES: RedactionMode[];
+}
+
+/** Contents of .docenhancerrc / docenhancer.config.js */
+interface ConfigOptions extends Omit<ProcessorOptions, 'logger' | 'pages'> {
+  pages?: string;
+  outputDir?: string;
+  recursive?: boolean;
+  include?: string[];
+  exclude?: string[];
+}
+
+interface ConfigFile extends ConfigOptions {
+  profiles?: Record<string, ConfigOptions>;
+}
+
+interface ResolvedConfig {
+  /** null when no config file was found */
+  file: string | null;
+  profile: string | null;
+  profiles: string[];
+  /** Top-level options with the profile laid over them; relative paths resolved against the file */
+  options: ConfigOptions;
+}
+
+declare class ConfigLoader {
+  constructor(options?: { cwd?: string; file?: string | null });
+  /** Searches from cwd upward unless a file was given */
+  find(): Promise<string | null>;
+  load(file: string): Promise<ConfigFile>;
+  /** Problems found, empty when the config is valid */
+  validate(config: unknown): string[];
+  resolve(profile?: string | null): Promise<ResolvedConfig>;
+}
+
+interface DocumentBlock {
+  type: 'paragraph' | 'list' | 'table';
+  page: number | null;
+  text?: string;
+  ordered?: boolean;
+  items?: string[];
+  /** Nesting level of each item (0 = top level), present when the list has nested items */
+  levels?: number[];
+  rows?: number;
+  columns?: number;
+  hasHeader?: boolean;
+  headerRows?: number;
+  columnTypes?: ColumnType[];
+  data?: string[][];
+}
+
+interface DocumentJson {
+  schemaVersion: string;
+  document: {
+    file: string;
+    mimeType: string | null;
+    processingMethod: string | null;
+    title: string | null;
+    pages: number | null;
+    outline: OutlineEntry[];
+    quality: QualityReport | null;
+    figures: Figure[];
+    sections: Array<{ heading: string | null; level: number; page: number | null; blocks: DocumentBlock[] }>;
+  };
+}
+
+declare class DocumentModel {
+  static fromResult(result: ProcessingResult): DocumentJson;
+}
+
+type ErrorCode =
+  | 'DOCUMENT_ENHANCER_ERROR'
+  | 'UNSUPPORTED_FORMAT'
+  | 'INVALID_OPTION'
+  | 'EXTRACTION_FAILED'
+  | 'OCR_UNAVAILABLE'
+  | 'FILE_TIMEOUT'
+  | 'INVALID_HANDLER'
+  | 'INVALID_RENDERER'
+  | 'INVALID_CONFIG'
+  | 'BAD_REQUEST'
+  | 'NOT_FOUND'
+  | 'JOB_NOT_READY'
+  | 'PAYLOAD_TOO_LARGE'
+  | 'SERVER_BUSY'
+  | 'OUTPUT_CONFLICT';
+
+declare class DocumentEnhancerError extends Error {
+  constructor(message: string, code?: ErrorCode, details?: Record<string, unknown>);
+  code: ErrorCode;
+  details: Record<string, unknown>;
+}
+declare class UnsupportedFormatError extends DocumentEnhancerError {
+  code: 'UNSUPPORTED_FORMAT';
+}
+declare class InvalidOptionError extends DocumentEnhancerError {
+  code: 'INVALID_OPTION';
+}
+declare class ExtractionError extends DocumentEnhancerError {
+  code: 'EXTRACTION_FAILED';
+  static wrap(error: Error, format: string): DocumentEnhancerError;
+}
+declare class OcrUnavailableError extends DocumentEnhancerError {
+  code: 'OCR_UNAVAILABLE';
+}
+declare class TimeoutError extends DocumentEnhancerError {
+  code: 'FILE_TIMEOUT';
+  timedOut: true;
+}
+
+declare class ConfigError extends DocumentEnhancerError {
+  code: 'INVALID_CONFIG';
+}
+declare class OutputConflictError extends DocumentEnhancerError {
+  code: 'OUTPUT_CONFLICT';
+  details: { conflicts: Array<{ name: string; paths: [string, string] }> };
+}
+
+/** require('claude-document-enhancer') is the processor class itself, with the rest attached */
+declare namespace DocumentProcessor {
+  export {
+    DocumentProcessor,
+    DocumentProcessor as default,
+    OutputFormat, OcrMode, Logger, ProcessorOptions, ColumnType, Table, ColumnSummary,
+    OutlineEntry, OcrPage, OcrMetadata, Figure, FigureAsset, DocumentMetadata, DocxComment,
+    RedactionMode, RedactionType, RedactionLog, QualityReport, Chunk, ProcessingResult,
+    FailedResult, BatchReport, FormatHandler, Renderer, ProgressEvent, ProcessorEvents,
+    HandlerRegistry, RendererRegistry, ServerOptions, DocumentServer, WatcherOptions,
+    WatcherEvents, DocumentWatcher, DiffOptions, TextChange, SectionDiff, TableRef, TableDiff,
+    DocumentDiff, DocumentDiffer, RedactorOptions, Redactor, ConfigOptions, ConfigFile,
+    ResolvedConfig, ConfigLoader, DocumentBlock, DocumentJson, DocumentModel, ErrorCode,
+    DocumentEnhancerError, UnsupportedFormatError, InvalidOptionError, ExtractionError,
+    OcrUnavailableError, TimeoutError, ConfigError, OutputConflictError
+  };
+}
+
+export = DocumentProcessor;
@@ -0,0 +1,26 @@
+const DocumentProcessor = require('./processor');
+const DocumentModel = require('./document-model');
+const HandlerRegistry = require('./handler-registry');
+const { RendererRegistry } = require('./renderers');
+const DocumentServer = require('./server');
+const DocumentWatcher = require('./watcher');
+const DocumentDiffer = require('./document-diff');
+const Redactor = require('./redactor');
+const { ConfigLoader } = require('./config');
+const errors = require('./errors');
+
+// require('claude-document-enhancer') is the processor class itself, with the rest attached
+module.exports = DocumentProcessor;
+Object.assign(module.exports, {
+  default: DocumentProcessor,
+  DocumentProcessor,
+  DocumentModel,
+  HandlerRegistry,
+  RendererRegistry,
+  DocumentServer,
+  DocumentWatcher,
+  DocumentDiffer,
+  Redactor,
+  ConfigLoader,
+  ...errors
+});
@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { OcrUnavailableError } = require('./errors');
+
+class OcrEngine {
+  constructor(options = {}) {
+    this.options = {
+      languages: 'eng', // tesseract language codes, e.g. 'eng+deu'
+      langPath: null, // folder holding <lang>.traineddata(.gz); defaults to the @tesseract.js-data packages
+      dataDir: path.join(os.tmpdir(), 'docenhancer-ocr-data'), // where languages from separate packages are gathered
+      ...options
+    };
+  }
+
+  static isAvailable() {
+    try {
+      require.resolve('tesseract.js');
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  languages() {
+    return String(this.options.languages).split('+').map(lang => lang.trim()).filter(Boolean);
+  }
+
+  // Language data is only ever read from disk, never downloaded
+  async languageData() {
+    if (this.options.langPath) {
+      return { langPath: path.resolve(this.options.langPath), gzip: true };
+    }
+
+    const packages = this.languages().map(lang => {
+      try {
+        return require(`@tesseract.js-data/${lang}`);
+      } catch (error) {
+        throw new OcrUnavailableError(`No local OCR data for "${lang}". Install @tesseract.js-data/${lang} or pass an OCR language path`);
+      }
+    });
+
+    const folders = [...new Set(packages.map(data => data.langPath))];
+    if (folders.length === 1) {
+      return { langPath: folders[0], gzip: packages[0].gzip };
+    }
+    if (packages.some(data => data.gzip !== packages[0].gzip)) {
+      throw new OcrUnavailableError('OCR languages mix compressed and uncompressed data; pass an OCR language path holding all .traineddata files');
+    }
+
+    // tesseract.js reads every language from one folder, so each package's file is linked (or
+    // copied where links are not allowed) into a folder named after the package folders
+    const extension = packages[0].gzip ? '.traineddata.gz' : '.traineddata';
+    const key = crypto.createHash('sha256').update(folders.join('\n')).digest('hex').slice(0, 16);
+    const shared = path.join(this.options.dataDir, key);
+    await fs.ensureDir(shared);
+
+    for (const [index, lang] of this.languages().entries()) {
+      const target = path.join(shared, lang + extension);
+      if (await fs.pathExists(target)) continue;
+
+      const source = path.join(packages[index].langPath, lang + extension);
+      try {
+        await fs.symlink(source, target);
+      } catch (error) {
+        if (error.code === 'EEXIST') continue;
+        // Copy under a temp name so a concurrent worker never loads half a file
+        const temp = `${target}.${process.pid}-${crypto.randomBytes(6).toString('hex')}.tmp`;
+        try {
+          await fs.copy(source, temp);
+          await fs.move(temp, target, { overwrite: true });
+        } finally {
+          await fs.remove(temp);
+        }
+      }
+    }
+    return { langPath: shared, gzip: packages[0].gzip };
+  }
+
+  // Recognize a list of images (file paths or encoded image buffers) with one worker; aborting
+  // signal terminates the worker, which stops the recognition in progress
+  async recognizeAll(images, { signal } = {}) {
+    if (!OcrEngine.isAvailable()) {
+      throw new OcrUnavailableError('OCR needs the tesseract.js package (npm install tesseract.js @tesseract.js-data/eng)');
+    }
+
+    const { createWorker } = require('tesseract.js');
+    const { langPath, gzip } = await this.languageData();
+    signal?.throwIfAborted();
+    const worker = await createWorker(this.languages().join('+'), 1, {
+      langPath,
+      gzip,
+      cacheMethod: 'none'
+    });
+
+    let onAbort;
+    const aborted = new Promise((resolve, reject) => {
+      onAbort = () => reject(signal.reason);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+    aborted.catch(() => {});
+
+    try {
+      const results = [];
+      for (const image of images) {
+        signal?.throwIfAborted();
+        const { data } = await Promise.race([worker.recognize(image), aborted]);
+        results.push({
+          text: data.text.replace(/[ \t]+\n/g, '\n').trim(),
+          confidence: Math.round(data.confidence * 10) / 10
+        });
+      }
+      return results;
+    } finally {
+      signal?.removeEventListener('abort', onAbort);
+      await worker.terminate();
+    }
+  }
+}
+
+module.exports = OcrEngine;
@@ -0,0 +1,105 @@
+const PAGE_NUMBER = /^(?:page\s*)?[-–—]?\s*\d+\s*[-–—]?(?:\s*(?:of|\/)\s*\d+)?$/i;
+
+class PDFBoilerplateDetector {
+    constructor(options = {}) {
+        this.options = {
+            edgeLines: 3, // lines at the top and bottom of each page that may be boilerplate
+            edgeZone: 0.08, // share of the page height counted as top or bottom margin
+            minPageShare: 0.5, // share of pages a line must repeat on
+            positionTolerance: 2, // points a repeated line may move between pages
+            ...options
+        };
+    }
+
+    normalize(text) {
+        // Page numbers, dates and counters vary from page to page
+        return text.toLowerCase().replace(/\d+/g, '#').replace(/\s+/g, ' ').trim();
+    }
+
+    edgeLines(page) {
+        const lines = (page.lines || []).filter(line => line.text.trim());
+        const positioned = page.height && lines.every(line => typeof line.y === 'number');
+
+        if (positioned) {
+            // Only lines inside the top and bottom margins of the page
+            const sorted = [...lines].sort((a, b) => b.y - a.y);
+            const top = sorted.filter(line => line.y > page.height * (1 - this.options.edgeZone));
+            const bottom = sorted.filter(line => line.y < page.height * this.options.edgeZone);
+            return [
+                ...top.slice(0, this.options.edgeLines).map(line => ({ line, zone: 'header' })),
+                ...bottom.slice(-this.options.edgeLines).map(line => ({ line, zone: 'footer' }))
+            ];
+        }
+
+        const count = Math.min(this.options.edgeLines, Math.floor(lines.length / 2));
+        return [
+            ...lines.slice(0, count).map(line => ({ line, zone: 'header' })),
+            ...lines.slice(lines.length - count).map(line => ({ line, zone: 'footer' }))
+        ];
+    }
+
+    positionKey(line) {
+        if (typeof line.y !== 'number') return '';
+        return String(Math.round(line.y / this.options.positionTolerance));
+    }
+
+    strip(pages) {
+        const candidates = new Map();
+
+        pages.forEach(page => {
+            for (const { line, zone } of this.edgeLines(page)) {
+                const key = `${zone}|${this.positionKey(line)}|${this.normalize(line.text)}`;
+                if (!candidates.has(key)) {
+                    candidates.set(key, { zone, pattern: this.normalize(line.text), examples: new Set(), pages: new Set(), lines: new Set() });
+                }
+                const candidate = candidates.get(key);
+                candidate.pages.add(page.number);
+                candidate.examples.add(line.text.trim());
+                candidate.lines.add(line);
+            }
+        });
+
+        // Repeated lines, and bare page numbers in the header/footer area
+        const minPages = Math.max(2, Math.ceil(pages.length * this.options.minPageShare));
+        const removed = [];
+        const removedLines = new Set();
+        for (const candidate of candidates.values()) {
+            const repeated = candidate.pages.size >= minPages;
+            const pageNumber = PAGE_NUMBER.test(candidate.pattern.replace(/#/g, '1')) &&
+                (pages.length > 1 || /of|\//.test(candidate.pattern));
+            if (!repeated && !pageNumber) continue;
+
+            candidate.lines.forEach(line => removedLines.add(line));
+            removed.push({
+                zone: candidate.zone,
+                pattern: candidate.pattern,
+                examples: [...candidate.examples].slice(0, 3),
+                pages: [...candidate.pages]
+            });
+        }
+
+        return {
+            pages: pages.map(page => this.removeLines(page, removedLines)),
+            removed,
+            linesRemoved: removedLines.size
+        };
+    }
+
+    removeLines(page, removedLines) {
+        const kept = (page.lines || []).filter(line => !removedLines.has(line));
+        if (kept.length === (page.lines || []).length) return page;
+
+        const removedY = (page.lines || [])
+            .filter(line => removedLines.has(line) && typeof line.y === 'number')
+            .map(line => line.y);
+
+        return {
+            ...page,
+            lines: kept,
+            text: kept.map(line => line.text).join('\n'),
+            items: (page.items || []).filter(item => !removedY.some(y => Math.abs(item.transform[5] - y) < 0.5))
+        };
+    }
+}
+
+module.exports = PDFBoilerplateDetector;
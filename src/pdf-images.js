@@ -0,0 +1,229 @@
+const zlib = require('zlib');
+
+// pdf.js ImageKind values
+const GRAYSCALE_1BPP = 1;
+const RGB_24BPP = 2;
+const RGBA_32BPP = 3;
+
+const CRC_TABLE = Array.from({ length: 256 }, (value, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+}
+
+// Encode 8-bit grey (1 channel), RGB (3) or RGBA (4) pixels as a PNG
+function encodePng(width, height, channels, pixels) {
+    const colorType = { 1: 0, 3: 2, 4: 6 }[channels];
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8;
+    header[9] = colorType;
+
+    // Every scanline starts with filter type 0 (none)
+    const stride = width * channels;
+    const raw = Buffer.alloc((stride + 1) * height);
+    for (let y = 0; y < height; y++) {
+        raw[y * (stride + 1)] = 0;
+        Buffer.from(pixels.buffer, pixels.byteOffset + y * stride, stride).copy(raw, y * (stride + 1) + 1);
+    }
+
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        pngChunk('IHDR', header),
+        pngChunk('IDAT', zlib.deflateSync(raw)),
+        pngChunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+function multiply([a1, b1, c1, d1, e1, f1], [a2, b2, c2, d2, e2, f2]) {
+    // The new matrix applies before the current one, as in PDF's cm operator
+    return [
+        a2 * a1 + b2 * c1,
+        a2 * b1 + b2 * d1,
+        c2 * a1 + d2 * c1,
+        c2 * b1 + d2 * d1,
+        e2 * a1 + f2 * c1 + e1,
+        e2 * b1 + f2 * d1 + f1
+    ];
+}
+
+class PDFImageExtractor {
+    constructor(options = {}) {
+        this.options = {
+            minImageSize: 32, // smaller images are icons and rules, not page scans
+            ...options
+        };
+    }
+
+    loadPdfjs() {
+        // The pdf.js build bundled with pdf-parse; its own JPEG decoder works without a DOM
+        const pdfjs = require('pdf-parse/lib/pdf.js/v1.10.100/build/pdf.js');
+        pdfjs.disableWorker = true;
+        return pdfjs;
+    }
+
+    // The largest image drawn on each page, as PNG, for OCR
+    async pageImages(buffer, pageNumbers) {
+        const pdfjs = this.loadPdfjs();
+        const doc = await pdfjs.getDocument({
+            data: new Uint8Array(buffer),
+            nativeImageDecoderSupport: 'none'
+        });
+
+        try {
+            const images = [];
+            for (const number of pageNumbers) {
+                const page = await doc.getPage(number);
+                const image = await this.largestImage(page, pdfjs.OPS);
+                images.push({ number, ...(image ? { width: image.width, height: image.height, png: this.toPng(image) } : {}) });
+            }
+            return images;
+        } finally {
+            doc.destroy();
+        }
+    }
+
+    // Every image drawn on the given pages with its position in page space
+    // (points from the bottom-left corner), as PNG
+    async pageFigures(buffer, pageNumbers) {
+        const pdfjs = this.loadPdfjs();
+        const doc = await pdfjs.getDocument({
+            data: new Uint8Array(buffer),
+            nativeImageDecoderSupport: 'none'
+        });
+
+        try {
+            const figures = [];
+            for (const number of pageNumbers) {
+                const page = await doc.getPage(number);
+                for (const image of await this.placedImages(page, pdfjs.OPS)) {
+                    try {
+                        figures.push({ page: number, ...image.box, width: image.width, height: image.height, png: this.toPng(image) });
+                    } catch (error) {
+                        // Image kinds toPng cannot encode are left out
+                    }
+                }
+            }
+            return figures;
+        } finally {
+            doc.destroy();
+        }
+    }
+
+    async placedImages(page, OPS) {
+        const operatorList = await page.getOperatorList();
+        const images = [];
+        const stack = [];
+        let ctm = [1, 0, 0, 1, 0, 0];
+
+        for (let i = 0; i < operatorList.fnArray.length; i++) {
+            const fn = operatorList.fnArray[i];
+            const args = operatorList.argsArray[i];
+
+            if (fn === OPS.save) {
+                stack.push(ctm);
+            } else if (fn === OPS.restore) {
+                ctm = stack.pop() || ctm;
+            } else if (fn === OPS.transform) {
+                ctm = multiply(ctm, args);
+            } else if (fn === OPS.paintImageXObject || fn === OPS.paintJpegXObject || fn === OPS.paintInlineImageXObject) {
+                const image = fn === OPS.paintInlineImageXObject ? args[0] : await this.resolveObject(page, args[0]);
+                if (!image || !image.data || image.width < this.options.minImageSize || image.height < this.options.minImageSize) {
+                    continue;
+                }
+
+                // Images are drawn into the unit square, mapped to the page by the current matrix
+                const xs = [ctm[4], ctm[4] + ctm[0], ctm[4] + ctm[2], ctm[4] + ctm[0] + ctm[2]];
+                const ys = [ctm[5], ctm[5] + ctm[1], ctm[5] + ctm[3], ctm[5] + ctm[1] + ctm[3]];
+                images.push({
+                    ...image,
+                    box: { left: Math.min(...xs), right: Math.max(...xs), bottom: Math.min(...ys), top: Math.max(...ys) }
+                });
+            }
+        }
+
+        return images;
+    }
+
+    async largestImage(page, OPS) {
+        const operatorList = await page.getOperatorList();
+        let largest = null;
+
+        for (let i = 0; i < operatorList.fnArray.length; i++) {
+            const fn = operatorList.fnArray[i];
+            const args = operatorList.argsArray[i];
+
+            let image = null;
+            if (fn === OPS.paintImageXObject || fn === OPS.paintJpegXObject) {
+                image = await this.resolveObject(page, args[0]);
+            } else if (fn === OPS.paintInlineImageXObject) {
+                image = args[0];
+            }
+
+            if (!image || !image.data || image.width < this.options.minImageSize || image.height < this.options.minImageSize) {
+                continue;
+            }
+            if (!largest || image.width * image.height > largest.width * largest.height) {
+                largest = image;
+            }
+        }
+
+        return largest;
+    }
+
+    resolveObject(page, id) {
+        return new Promise(resolve => {
+            try {
+                page.objs.get(id, resolve);
+            } catch (error) {
+                resolve(null);
+            }
+        });
+    }
+
+    toPng(image) {
+        const { width, height, data, kind } = image;
+
+        if (kind === RGB_24BPP) {
+            return encodePng(width, height, 3, data);
+        }
+        if (kind === RGBA_32BPP) {
+            return encodePng(width, height, 4, data);
+        }
+        if (kind === GRAYSCALE_1BPP) {
+            // Packed bits, rows padded to whole bytes, set bits are white
+            const rowBytes = Math.ceil(width / 8);
+            const grey = Buffer.alloc(width * height);
+            for (let y = 0; y < height; y++) {
+                for (let x = 0; x < width; x++) {
+                    const bit = data[y * rowBytes + (x >> 3)] & (0x80 >> (x & 7));
+                    grey[y * width + x] = bit ? 255 : 0;
+                }
+            }
+            return encodePng(width, height, 1, grey);
+        }
+        throw new Error(`Unsupported PDF image kind: ${kind}`);
+    }
+}
+
+module.exports = { PDFImageExtractor, encodePng };
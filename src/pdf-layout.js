@@ -0,0 +1,307 @@
+const { detectHeaderRow } = require('./table-utils');
+
+class PDFLayoutAnalyzer {
+    constructor(options = {}) {
+        this.options = {
+            lineTolerance: 0.4, // fraction of font size two items may differ in y and share a line
+            cellGap: 0.8, // gap (in font sizes) that separates two cells on one line
+            edgeZone: 0.1, // top/bottom share of the page treated as header/footer area
+            ...options
+        };
+    }
+
+    // Turn pdf.js text items into positioned lines, keeping content-stream order
+    buildLines(items) {
+        const lines = [];
+        let current = null;
+
+        for (const item of items) {
+            if (!item.str) continue;
+
+            const fontSize = item.height || Math.hypot(item.transform[2], item.transform[3]) || 10;
+            const positioned = {
+                str: item.str,
+                x: item.transform[4],
+                y: item.transform[5],
+                width: item.width || item.str.length * fontSize * 0.5,
+                fontSize,
+                fontName: item.fontName
+            };
+
+            if (current && Math.abs(current.y - positioned.y) <= fontSize * this.options.lineTolerance) {
+                current.items.push(positioned);
+                current.fontSize = Math.max(current.fontSize, fontSize);
+            } else {
+                current = { y: positioned.y, fontSize, items: [positioned] };
+                lines.push(current);
+            }
+        }
+
+        lines.forEach(line => {
+            line.items.sort((a, b) => a.x - b.x);
+            line.segments = this.buildSegments(line);
+            line.text = line.segments.map(segment => segment.text).join('  ');
+            line.x0 = line.segments.length > 0 ? line.segments[0].x0 : 0;
+        });
+
+        return lines.filter(line => line.text.trim());
+    }
+
+    buildSegments(line) {
+        const segments = [];
+        let current = null;
+
+        for (const item of this.splitItems(line.items)) {
+            const gap = current ? item.x - current.x1 : Infinity;
+            if (current && gap <= item.fontSize * this.options.cellGap) {
+                current.text += (gap > item.fontSize * 0.15 && !/\s$/.test(current.text) ? ' ' : '') + item.str;
+                current.x1 = Math.max(current.x1, item.x + item.width);
+            } else {
+                current = { text: item.str, x0: item.x, x1: item.x + item.width };
+                segments.push(current);
+            }
+        }
+
+        return segments
+            .map(segment => ({ ...segment, text: segment.text.trim() }))
+            .filter(segment => segment.text);
+    }
+
+    splitItems(items) {
+        // Text drawn as one string with padded spaces still holds several cells
+        const split = [];
+        for (const item of items) {
+            if (!/\S\s{2,}\S/.test(item.str)) {
+                split.push(item);
+                continue;
+            }
+
+            const charWidth = item.width / item.str.length;
+            const pattern = /\S+(?:\s\S+)*/g;
+            let match;
+            while ((match = pattern.exec(item.str)) !== null) {
+                split.push({
+                    ...item,
+                    str: match[0],
+                    x: item.x + match.index * charWidth,
+                    width: match[0].length * charWidth
+                });
+            }
+        }
+        return split;
+    }
+
+    analyzePage(page) {
+        const lines = this.buildLines(page.items || []);
+        const regions = this.findTableRegions(lines);
+        const tables = [];
+        const tableLines = new Set();
+
+        for (const region of regions) {
+            const table = this.buildTable(region);
+            if (!table) continue;
+
+            region.lines.forEach(line => tableLines.add(line));
+            tables.push({
+                ...table,
+                firstLine: region.lines[0],
+                lastLine: region.lines[region.lines.length - 1]
+            });
+        }
+
+        const bodyLines = lines.filter(line => !tableLines.has(line));
+        return {
+            lines,
+            bodyLines,
+            tables,
+            text: bodyLines.map(line => line.text).join('\n'),
+            height: page.height || 792
+        };
+    }
+
+    findTableRegions(lines) {
+        const regions = [];
+        let i = 0;
+
+        while (i < lines.length) {
+            if (lines[i].segments.length < 2) {
+                i++;
+                continue;
+            }
+
+            const region = [lines[i]];
+            let j = i + 1;
+            while (j < lines.length) {
+                const line = lines[j];
+                const previous = lines[j - 1];
+                const closeEnough = Math.abs(previous.y - line.y) <= Math.max(previous.fontSize, line.fontSize) * 2.2;
+                if (!closeEnough) break;
+
+                if (line.segments.length >= 2) {
+                    region.push(line);
+                    j++;
+                    continue;
+                }
+
+                // Single-cell lines only belong to the table as wrapped cell text
+                const next = lines[j + 1];
+                const indented = line.x0 > region[0].segments[0].x1;
+                const followedByRow = next && next.segments.length >= 2 &&
+                    Math.abs(line.y - next.y) <= Math.max(line.fontSize, next.fontSize) * 2.2;
+                if (!indented && !followedByRow) break;
+
+                region.push(line);
+                j++;
+            }
+
+            const rowLines = region.filter(line => line.segments.length >= 2);
+            if (rowLines.length >= 2) {
+                regions.push({ lines: region });
+            }
+            i = j;
+        }
+
+        return regions;
+    }
+
+    clusterColumns(lines) {
+        // Merge overlapping cell extents across rows into column bands
+        const extents = lines
+            .filter(line => line.segments.length >= 2)
+            .flatMap(line => line.segments.map(segment => [segment.x0, segment.x1]))
+            .sort((a, b) => a[0] - b[0]);
+
+        const columns = [];
+        for (const [x0, x1] of extents) {
+            const last = columns[columns.length - 1];
+            if (last && x0 <= last.x1) {
+                last.x1 = Math.max(last.x1, x1);
+            } else {
+                columns.push({ x0, x1 });
+            }
+        }
+        return columns;
+    }
+
+    columnIndex(columns, segment) {
+        const center = (segment.x0 + segment.x1) / 2;
+        let best = 0;
+        let bestDistance = Infinity;
+        columns.forEach((column, index) => {
+            const distance = center < column.x0 ? column.x0 - center : center > column.x1 ? center - column.x1 : 0;
+            if (distance < bestDistance) {
+                best = index;
+                bestDistance = distance;
+            }
+        });
+        return best;
+    }
+
+    buildTable(region) {
+        const columns = this.clusterColumns(region.lines);
+        if (columns.length < 2) return null;
+
+        // Rows whose cells collapse into one band are aligned prose, not a table
+        const rowLines = region.lines.filter(line => line.segments.length >= 2);
+        const spread = rowLines.filter(line => new Set(line.segments.map(segment => this.columnIndex(columns, segment))).size >= 2);
+        if (spread.length / rowLines.length < 0.7) return null;
+
+        const rows = [];
+        let previousLine = null;
+        for (const line of region.lines) {
+            const cells = new Array(columns.length).fill('');
+            line.segments.forEach(segment => {
+                const index = this.columnIndex(columns, segment);
+                cells[index] = cells[index] ? `${cells[index]} ${segment.text}` : segment.text;
+            });
+
+            const filled = cells.filter(cell => cell).length;
+            const lineGap = previousLine ? Math.abs(previousLine.y - line.y) : Infinity;
+            const tight = lineGap <= Math.max(line.fontSize, previousLine?.fontSize || 0) * 1.4;
+            const continuation = rows.length > 0 && (!cells[0] || (filled === 1 && tight));
+
+            if (continuation) {
+                // Wrapped cell text continues the row above
+                const row = rows[rows.length - 1];
+                cells.forEach((cell, index) => {
+                    if (cell) {
+                        row[index] = row[index] ? `${row[index]} ${cell}` : cell;
+                    }
+                });
+            } else {
+                rows.push(cells);
+            }
+            previousLine = line;
+        }
+
+        if (rows.length < 2) return null;
+
+        return {
+            columns: columns.length,
+            columnBands: columns,
+            data: rows
+        };
+    }
+
+    // Tables that end a page and start the next one with matching columns are one table
+    continuesOnNextPage(previousPage, table, nextPage, nextTable) {
+        if (table.columns !== nextTable.columns) return false;
+
+        const footerLimit = previousPage.height * this.options.edgeZone;
+        const headerLimit = nextPage.height * (1 - this.options.edgeZone);
+        const belowTable = previousPage.bodyLines.some(line => line.y < table.lastLine.y && line.y > footerLimit);
+        const aboveTable = nextPage.bodyLines.some(line => line.y > nextTable.firstLine.y && line.y < headerLimit);
+        if (belowTable || aboveTable) return false;
+
+        const tolerance = table.lastLine.fontSize * 2;
+        return table.columnBands.every((band, index) => Math.abs(band.x0 - nextTable.columnBands[index].x0) <= tolerance);
+    }
+
+    analyze(pages) {
+        const analyzed = pages.map(page => ({ number: page.number, ...this.analyzePage(page) }));
+        const tables = [];
+        let open = null;
+
+        analyzed.forEach((page, pageIndex) => {
+            page.tables.forEach((table, tableIndex) => {
+                const previousPage = analyzed[pageIndex - 1];
+                const canContinue = open && tableIndex === 0 && previousPage &&
+                    open.endPage === previousPage.number && page.number === previousPage.number + 1 &&
+                    this.continuesOnNextPage(previousPage, open.source, page, table);
+
+                if (canContinue) {
+                    // Skip a header row repeated at the top of the new page
+                    const repeatedHeader = open.data[0].join('|') === table.data[0].join('|');
+                    open.data.push(...(repeatedHeader ? table.data.slice(1) : table.data));
+                    open.endPage = page.number;
+                    open.source = table;
+                    return;
+                }
+
+                open = {
+                    page: page.number,
+                    endPage: page.number,
+                    data: table.data,
+                    source: table
+                };
+                tables.push(open);
+            });
+        });
+
+        return {
+            tables: tables.map((table, index) => ({
+                index: index + 1,
+                page: table.page,
+                ...(table.endPage !== table.page ? { endPage: table.endPage } : {}),
+                rows: table.data.length,
+                columns: table.source.columns,
+                hasHeader: detectHeaderRow(table.data),
+                data: table.data
+            })),
+            pageTexts: analyzed.map(page => ({ number: page.number, text: page.text })),
+            pageLines: analyzed.map(page => ({ number: page.number, lines: page.bodyLines }))
+        };
+    }
+}
+
+module.exports = PDFLayoutAnalyzer;
@@ -1,16 +1,34 @@
 const fs = require('fs');
 const path = require('path');
+const { detectHeaderRow } = require('./table-utils');
+const PDFLayoutAnalyzer = require('./pdf-layout');
+const PDFBoilerplateDetector = require('./pdf-boilerplate');
+const HeadingDetector = require('./heading-detector');
+const OcrEngine = require('./ocr-engine');
+const { PDFImageExtractor } = require('./pdf-images');
+const { isCaption, figurePlaceholder } = require('./figures');
+const { InvalidOptionError } = require('./errors');
 
 class PDFProcessor {
     constructor(options = {}) {
         this.options = {
             extractTables: true,
+            tableDetection: 'layout', // 'layout' (text positions) or 'heuristic' (whitespace)
+            pageMarkers: true, // "--- Page N ---" before each page's text
+            pages: null, // page selection such as "3-10,15"
+            stripBoilerplate: true, // remove repeated headers, footers and page numbers
+            detectHeadings: true, // mark headings found from font size, weight and numbering
+            ocr: 'auto', // 'auto' (image-only pages), 'always' or 'never'
+            ocrMinChars: 25, // pages with fewer visible characters count as image-only
+            ocrLanguages: 'eng',
+            ocrLangPath: null,
+            extractImages: true, // embedded images become "[Figure N]" placeholders and PNG files
             outputFormat: 'enhanced-text',
             ...options
         };
     }
 
-    async processDocument(filePath) {
+    async processDocument(filePath, { signal } = {}) {
         try {
             // Dynamic import of pdf-parse (pure JavaScript, no external deps)
             const pdfParse = await import('pdf-parse/lib/pdf-parse.js');
@@ -18,20 +36,78 @@ class PDFProcessor {
             // Read the PDF file
             const buffer = fs.readFileSync(filePath);
             
-            // Parse the PDF
-            const data = await pdfParse.default(buffer);
+            // Parse the PDF, keeping the text of each selected page
+            const selected = this.parsePageRanges(this.options.pages);
+            const pages = [];
+            const data = await pdfParse.default(buffer, {
+                // pdf-parse swallows errors from pagerender, so an aborted run skips the remaining pages instead
+                pagerender: pageData => (signal?.aborted ? '' : this.renderPage(pageData, pages, selected)),
+                max: selected ? Math.max(...selected) : 0
+            });
+            signal?.throwIfAborted();
+            pages.sort((a, b) => a.number - b.number);
+
+            if (selected && pages.length === 0) {
+                throw new InvalidOptionError(`No pages in range ${this.options.pages} (document has ${data.numpages})`);
+            }
+
+            // Scanned pages carry little or no text layer; read them from their page image instead
+            const ocr = await this.recognizePages(buffer, pages, signal);
+            signal?.throwIfAborted();
+
+            // Drop running headers, footers and page numbers before looking for tables
+            const boilerplate = this.options.stripBoilerplate && pages.length > 0
+                ? new PDFBoilerplateDetector(this.options.boilerplate).strip(pages)
+                : null;
+            if (boilerplate) {
+                pages.splice(0, pages.length, ...boilerplate.pages);
+            }
+            
+            // Find tables page by page so each one knows where it came from
+            const extraction = this.options.extractTables
+                ? this.extractTablesFromPages(pages, data.text)
+                : this.extractText(pages, data.text);
+            if (this.options.detectHeadings) {
+                extraction.pageTexts = this.markHeadings(extraction);
+            }
+            if (ocr) {
+                extraction.pageTexts = this.insertOcrText(extraction.pageTexts, ocr);
+            }
+            const figures = this.options.extractImages
+                ? await this.extractFigures(buffer, pages, extraction.pageTexts, ocr)
+                : null;
+            signal?.throwIfAborted();
+            if (figures) {
+                extraction.pageTexts = figures.pageTexts;
+            }
+            extraction.textWithoutTables = this.joinPages(extraction.pageTexts);
             
             // Process the extracted text
-            const processedResult = this.enhanceText(data.text, data);
+            const processedResult = this.enhanceText(extraction.textWithoutTables, data, extraction);
             
             return {
                 success: true,
                 claudeReady: processedResult,
+                text: extraction.textWithoutTables,
+                tables: extraction.tables,
+                figures: figures ? figures.figures : [],
                 metadata: {
                     pages: data.numpages,
+                    ...(selected ? { pagesProcessed: pages.map(page => page.number) } : {}),
                     info: data.info,
                     fileType: 'PDF',
-                    tablesFound: this.countTables(data.text)
+                    tablesFound: extraction.tables.length,
+                    ...(ocr ? { ocr: ocr.metadata } : {}),
+                    ...(figures ? {
+                        figures: figures.figures.map(({ png, top, bottom, ...figure }) => figure),
+                        ...(figures.error ? { figureError: figures.error } : {})
+                    } : {}),
+                    ...(boilerplate ? {
+                        boilerplate: {
+                            linesRemoved: boilerplate.linesRemoved,
+                            removed: boilerplate.removed
+                        }
+                    } : {})
                 }
             };
             
@@ -39,12 +115,297 @@ class PDFProcessor {
             return {
                 success: false,
                 error: error.message,
+                cause: error,
                 claudeReady: `Error processing PDF: ${error.message}`
             };
         }
     }
 
-    enhanceText(text, metadata) {
+    isImageOnly(page) {
+        return page.text.replace(/\s/g, '').length < this.options.ocrMinChars;
+    }
+
+    async recognizePages(buffer, pages, signal) {
+        const mode = this.options.ocr || 'never';
+        if (!['auto', 'always', 'never'].includes(mode)) {
+            throw new InvalidOptionError(`Invalid OCR mode: "${mode}" (expected auto, always or never)`);
+        }
+
+        const imageOnlyPages = pages.filter(page => this.isImageOnly(page)).map(page => page.number);
+        const targets = mode === 'always' ? pages.map(page => page.number) : mode === 'auto' ? imageOnlyPages : [];
+        if (targets.length === 0) {
+            return imageOnlyPages.length > 0 ? { texts: new Map(), scanned: new Set(), metadata: { mode, imageOnlyPages, pages: [] } } : null;
+        }
+
+        const engine = new OcrEngine({ languages: this.options.ocrLanguages, langPath: this.options.ocrLangPath });
+        const metadata = { mode, engine: 'tesseract.js', languages: engine.languages(), imageOnlyPages, pages: [] };
+        const texts = new Map();
+
+        try {
+            const images = (await new PDFImageExtractor().pageImages(buffer, targets)).filter(image => image.png);
+            signal?.throwIfAborted();
+            const recognized = await engine.recognizeAll(images.map(image => image.png), { signal });
+
+            const hasText = new Set(pages.filter(page => page.text.trim()).map(page => page.number));
+            images.forEach((image, index) => {
+                const { text, confidence } = recognized[index];
+                texts.set(image.number, text);
+                metadata.pages.push({
+                    page: image.number,
+                    confidence,
+                    characters: text.length,
+                    ...(hasText.has(image.number) ? { merged: true } : {})
+                });
+            });
+        } catch (error) {
+            // A missing OCR engine only fails the document when OCR was asked for explicitly
+            if (mode === 'always' || signal?.aborted) throw error;
+            metadata.error = error.message;
+        }
+
+        // Only one image per page is read, so OCR text stands in for the text layer only where
+        // there is none; elsewhere the text layer is kept and the OCR text merged into it
+        for (const page of pages) {
+            if (texts.has(page.number) && !page.text.trim()) {
+                Object.assign(page, { text: '', lines: [], items: [] });
+            }
+        }
+        // Image-only pages that were read: their page image is the scan, not a figure
+        const scanned = new Set(imageOnlyPages.filter(number => texts.has(number)));
+        return { texts, scanned, metadata };
+    }
+
+    async extractFigures(buffer, pages, pageTexts, ocr) {
+        // Scanned pages were read by OCR; their page image is not a figure
+        const numbers = pages.map(page => page.number).filter(number => !ocr?.scanned.has(number));
+        let placed;
+        try {
+            placed = numbers.length > 0 ? await new PDFImageExtractor().pageFigures(buffer, numbers) : [];
+        } catch (error) {
+            return { pageTexts, figures: [], error: error.message };
+        }
+
+        // Numbered in reading order: by page, then top to bottom
+        placed.sort((a, b) => a.page - b.page || b.top - a.top);
+        const lines = new Map(pages.map(page => [page.number, page.lines || []]));
+        const figures = placed.map((image, index) => ({
+            index: index + 1,
+            page: image.page,
+            width: image.width,
+            height: image.height,
+            alt: null,
+            caption: this.figureCaption(lines.get(image.page), image),
+            contentType: 'image/png',
+            png: image.png,
+            top: image.top,
+            bottom: image.bottom
+        }));
+
+        return {
+            figures,
+            pageTexts: pageTexts.map(page => {
+                // Bottom figure first, so figures sharing an anchor line keep their order
+                const onPage = figures.filter(figure => figure.page === page.number).reverse();
+                const text = onPage.reduce((current, figure) => this.placeFigure(current, figure, lines.get(page.number)), page.text);
+                return { number: page.number, text };
+            })
+        };
+    }
+
+    // A "Figure N" line just below the image, or failing that just above it
+    figureCaption(lines = [], image) {
+        const reach = 36; // about three lines of body text
+        const captions = lines.filter(line => isCaption(line.text));
+        const below = captions
+            .filter(line => line.y < image.bottom && line.y > image.bottom - reach)
+            .sort((a, b) => b.y - a.y)[0];
+        const above = captions
+            .filter(line => line.y > image.top && line.y < image.top + reach)
+            .sort((a, b) => a.y - b.y)[0];
+        const caption = below || above;
+        return caption ? caption.text.replace(/\s+/g, ' ').trim() : null;
+    }
+
+    placeFigure(text, figure, lines = []) {
+        const rows = text ? text.split('\n') : [];
+        const placeholder = figurePlaceholder(figure);
+
+        // The caption line is replaced by the placeholder that now carries it
+        const captionRow = figure.caption ? rows.findIndex(row => row.replace(/\s+/g, ' ').includes(figure.caption)) : -1;
+        if (captionRow !== -1) {
+            rows[captionRow] = placeholder;
+            return rows.join('\n');
+        }
+
+        // Otherwise after the nearest line above the image; lines are not found when they became table rows
+        const above = lines
+            .filter(line => line.y > figure.top && line.text.trim())
+            .sort((a, b) => a.y - b.y)[0];
+        const anchor = above ? rows.findIndex(row => row.includes(above.text.trim())) : -1;
+        if (!above) {
+            rows.unshift(placeholder);
+        } else if (anchor === -1) {
+            rows.push(placeholder);
+        } else {
+            rows.splice(anchor + 1, 0, placeholder);
+        }
+        return rows.join('\n');
+    }
+
+    insertOcrText(pageTexts, ocr) {
+        return pageTexts.map(page => {
+            if (!ocr.texts.has(page.number)) return page;
+            const recognized = ocr.texts.get(page.number);
+            if (!page.text.trim()) return { number: page.number, text: recognized };
+
+            // Lines the text layer already has (headings and table rows included) are not repeated
+            const normalize = text => text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+            const known = normalize(page.text);
+            const added = recognized.split('\n')
+                .filter(line => normalize(line) && !known.includes(normalize(line)))
+                .join('\n');
+            return { number: page.number, text: added ? `${page.text}\n\n${added}` : page.text };
+        });
+    }
+
+    parsePageRanges(spec) {
+        if (spec === undefined || spec === null || spec === '') return null;
+        if (Array.isArray(spec)) return new Set(spec.map(Number));
+
+        // "3-10,15" → {3, 4, ..., 10, 15}
+        const selected = new Set();
+        for (const part of String(spec).split(',').map(value => value.trim()).filter(Boolean)) {
+            const match = /^(\d+)(?:\s*-\s*(\d+))?$/.exec(part);
+            if (!match) {
+                throw new InvalidOptionError(`Invalid page range: "${part}" (expected e.g. 3-10,15)`);
+            }
+
+            const start = parseInt(match[1], 10);
+            const end = match[2] ? parseInt(match[2], 10) : start;
+            if (start < 1 || end < start) {
+                throw new InvalidOptionError(`Invalid page range: "${part}"`);
+            }
+            for (let page = start; page <= end; page++) {
+                selected.add(page);
+            }
+        }
+        return selected.size > 0 ? selected : null;
+    }
+
+    async renderPage(pageData, pages, selected) {
+        const number = pageData.pageIndex + 1;
+        if (selected && !selected.has(number)) return '';
+
+        // Same line joining as pdf-parse's default renderer
+        const textContent = await pageData.getTextContent({
+            normalizeWhitespace: false,
+            disableCombineTextItems: false
+        });
+
+        let lastY;
+        let text = '';
+        const lines = [];
+        for (const item of textContent.items) {
+            if (lastY === item.transform[5] || !lastY) {
+                text += item.str;
+            } else {
+                text += '\n' + item.str;
+            }
+            if (lastY === item.transform[5] && lines.length > 0) {
+                lines[lines.length - 1].text += item.str;
+            } else {
+                lines.push({ text: item.str, y: item.transform[5] });
+            }
+            lastY = item.transform[5];
+        }
+
+        pages.push({
+            number,
+            text,
+            lines,
+            items: textContent.items,
+            height: pageData.view ? pageData.view[3] - pageData.view[1] : undefined
+        });
+        return text;
+    }
+
+    pageTexts(pages, fullText) {
+        if (pages.length === 0) {
+            return [{ number: 1, text: fullText.trim() }];
+        }
+        return pages.map(page => ({ number: page.number, text: page.text.trim() }));
+    }
+
+    extractText(pages, fullText) {
+        // Positioned lines keep the font details heading detection relies on
+        if (this.options.detectHeadings && pages.some(page => page.items.length > 0)) {
+            const analyzer = new PDFLayoutAnalyzer(this.options.layout);
+            const pageLines = pages.map(page => ({ number: page.number, lines: analyzer.buildLines(page.items) }));
+            return {
+                tables: [],
+                pageTexts: pageLines.map(page => ({ number: page.number, text: page.lines.map(line => line.text).join('\n') })),
+                pageLines
+            };
+        }
+        return { tables: [], pageTexts: this.pageTexts(pages, fullText) };
+    }
+
+    markHeadings(extraction) {
+        const detector = new HeadingDetector(this.options.headings);
+        if (extraction.pageLines) {
+            return detector.markPdfPages(extraction.pageLines);
+        }
+
+        // Without positions only numbering and capitalisation are left to go on
+        return extraction.pageTexts.map(page => ({ number: page.number, text: detector.markPlainText(page.text) }));
+    }
+
+    joinPages(pageTexts) {
+        if (!this.options.pageMarkers) {
+            return pageTexts.map(page => page.text).filter(text => text).join('\n\n');
+        }
+        return pageTexts
+            .map(page => `--- Page ${page.number} ---\n${page.text}`.trim())
+            .join('\n\n');
+    }
+
+    extractTablesFromPages(pages, fullText) {
+        if (pages.length === 0) {
+            return this.extractTables([{ number: 1, text: fullText }]);
+        }
+
+        // Whitespace heuristic when asked for, or when pages carry no positioned text
+        const hasPositions = pages.some(page => page.items.length > 0);
+        if (this.options.tableDetection === 'heuristic' || !hasPositions) {
+            return this.extractTables(pages);
+        }
+
+        return new PDFLayoutAnalyzer(this.options.layout).analyze(pages);
+    }
+
+    extractTables(pages) {
+        const tables = [];
+        const pageTexts = [];
+
+        pages.forEach(page => {
+            const detected = this.detectTables(page.text || '');
+            detected.tables.forEach(data => {
+                tables.push({
+                    index: tables.length + 1,
+                    page: page.number,
+                    rows: data.length,
+                    columns: Math.max(...data.map(row => row.length)),
+                    hasHeader: detectHeaderRow(data),
+                    data
+                });
+            });
+            pageTexts.push({ number: page.number, text: detected.textWithoutTables });
+        });
+
+        return { tables, pageTexts };
+    }
+
+    enhanceText(text, metadata, extraction) {
         let enhanced = '';
         
         // Add document header
@@ -56,24 +417,19 @@ class PDFProcessor {
         }
         enhanced += `\n---\n\n`;
 
-        // Detect and format tables
-        if (this.options.extractTables) {
-            const tablesData = this.detectTables(text);
-            if (tablesData.tables.length > 0) {
-                enhanced += `## Extracted Tables (${tablesData.tables.length})\n\n`;
-                tablesData.tables.forEach((table, index) => {
-                    enhanced += `### Table ${index + 1}\n\n`;
-                    enhanced += this.formatTable(table);
-                    enhanced += `\n\n`;
-                });
-                enhanced += `## Document Content\n\n`;
-                enhanced += tablesData.textWithoutTables;
-            } else {
-                enhanced += text;
-            }
-        } else {
-            enhanced += text;
+        // Format detected tables
+        const tables = extraction?.tables || [];
+        if (tables.length > 0) {
+            enhanced += `## Extracted Tables (${tables.length})\n\n`;
+            tables.forEach((table, index) => {
+                const pages = table.endPage ? `pages ${table.page}-${table.endPage}` : `page ${table.page}`;
+                enhanced += `### Table ${index + 1} (${pages})\n\n`;
+                enhanced += this.formatTable(table.data, table.hasHeader);
+                enhanced += `\n\n`;
+            });
+            enhanced += `## Document Content\n\n`;
         }
+        enhanced += text;
 
         return enhanced;
     }
@@ -82,9 +438,17 @@ class PDFProcessor {
         const lines = text.split('\n');
         const tables = [];
         let currentTable = [];
-        let textWithoutTables = '';
+        const textLines = [];
         let inTable = false;
 
+        const endTable = () => {
+            if (currentTable.length >= 2) { // At least 2 rows to be a table
+                tables.push(currentTable);
+            }
+            currentTable = [];
+            inTable = false;
+        };
+
         for (let i = 0; i < lines.length; i++) {
             const line = lines[i].trim();
             
@@ -92,34 +456,34 @@ class PDFProcessor {
             const hasTableStructure = this.isTableRow(line);
             
             if (hasTableStructure && !inTable) {
-                // Start of a new table
+                // Start of a new table, pulling in a header line directly above it
                 inTable = true;
                 currentTable = [line];
+                const previous = textLines[textLines.length - 1];
+                if (previous && this.isHeaderRow(previous, line)) {
+                    currentTable.unshift(textLines.pop());
+                }
             } else if (hasTableStructure && inTable) {
                 // Continue current table
                 currentTable.push(line);
             } else if (inTable && !hasTableStructure) {
                 // End of table
-                if (currentTable.length >= 2) { // At least 2 rows to be a table
-                    tables.push(currentTable);
-                }
-                currentTable = [];
-                inTable = false;
-                textWithoutTables += line + '\n';
+                endTable();
+                textLines.push(line);
             } else {
                 // Regular text
-                textWithoutTables += line + '\n';
+                textLines.push(line);
             }
         }
 
         // Handle table at end of document
-        if (inTable && currentTable.length >= 2) {
-            tables.push(currentTable);
+        if (inTable) {
+            endTable();
         }
 
         return {
             tables: tables.map(table => this.parseTableRows(table)),
-            textWithoutTables: textWithoutTables.trim()
+            textWithoutTables: textLines.join('\n').trim()
         };
     }
 
@@ -142,6 +506,13 @@ class PDFProcessor {
         return false;
     }
 
+    isHeaderRow(line, firstRow) {
+        // A label line with the same column count as the row below it
+        const [header] = this.parseTableRows([line]);
+        const [row] = this.parseTableRows([firstRow]);
+        return header.length >= 2 && header.length === row.length && !header.some(cell => /\d/.test(cell));
+    }
+
     parseTableRows(tableLines) {
         return tableLines.map(line => {
             // Split by tabs first, then by multiple spaces
@@ -153,7 +524,7 @@ class PDFProcessor {
         });
     }
 
-    formatTable(tableRows) {
+    formatTable(tableRows, hasHeader = false) {
         if (!tableRows || tableRows.length === 0) return '';
         
         // Find the maximum number of columns
@@ -182,20 +553,13 @@ class PDFProcessor {
         // Top border
         table += '┌' + colWidths.map(width => '─'.repeat(width + 2)).join('┬') + '┐\n';
         
-        // First row (header)
-        if (normalizedRows.length > 0) {
-            table += '│' + normalizedRows[0].map((cell, i) => ` ${cell.padEnd(colWidths[i])} `).join('│') + '│\n';
-            
-            if (normalizedRows.length > 1) {
-                // Header separator
+        // Rows, with a separator under the first one only when it is a header
+        normalizedRows.forEach((row, i) => {
+            table += '│' + row.map((cell, j) => ` ${cell.padEnd(colWidths[j])} `).join('│') + '│\n';
+            if (i === 0 && hasHeader && normalizedRows.length > 1) {
                 table += '├' + colWidths.map(width => '─'.repeat(width + 2)).join('┼') + '┤\n';
-                
-                // Data rows
-                for (let i = 1; i < normalizedRows.length; i++) {
-                    table += '│' + normalizedRows[i].map((cell, j) => ` ${cell.padEnd(colWidths[j])} `).join('│') + '│\n';
-                }
             }
-        }
+        });
         
         // Bottom border
         table += '└' + colWidths.map(width => '─'.repeat(width + 2)).join('┴') + '┘';
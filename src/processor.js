@@ -1,34 +1,136 @@
+const EventEmitter = require('events');
 const mammoth = require('mammoth');
 const fs = require('fs-extra');
+const os = require('os');
 const path = require('path');
 const mime = require('mime');
-const { table } = require('table');
-const markdownTable = require('markdown-table');
 const PDFProcessor = require('./pdf-processor');
+const SpreadsheetProcessor = require('./spreadsheet-processor');
+const EpubProcessor = require('./epub-processor');
+const DocxAnnotations = require('./docx-annotations');
+const DocumentChunker = require('./chunker');
+const HtmlToTextConverter = require('./html-converter');
+const HandlerRegistry = require('./handler-registry');
+const ProcessingCache = require('./cache');
+const HeadingDetector = require('./heading-detector');
+const OcrEngine = require('./ocr-engine');
+const QualityAnalyzer = require('./quality');
+const Redactor = require('./redactor');
+const { RendererRegistry, boxTable, markdownTable } = require('./renderers');
+const { detectHeaderRow, htmlTableGrid, htmlCellText, numberHtmlTables, normalizeTable, tableToCsv, tableToRecords } = require('./table-utils');
+const { imageExtension, imageSize } = require('./figures');
+const { UnsupportedFormatError, ExtractionError, OcrUnavailableError, TimeoutError, InvalidOptionError, OutputConflictError } = require('./errors');
 
-class DocumentProcessor {
+const PAGE_MARKER_LINE = /^--- Page \d+ ---$/m;
+const PAGE_MARKER_LINES = /^--- Page \d+ ---$\n?/gm;
+
+// Libraries stay quiet unless the caller hands in a logger
+const silentLogger = { debug() {}, info() {}, warn() {}, error() {} };
+
+class DocumentProcessor extends EventEmitter {
   constructor(options = {}) {
+    super();
+    const { logger, ...processingOptions } = options;
+    this.logger = { ...silentLogger, ...logger };
+
     this.options = {
       preserveLineBreaks: true,
       preserveOnlyMultipleLineBreaks: false,
       extractTables: true,
       outputFormat: 'enhanced-text', // 'text', 'markdown', 'json', 'enhanced-text'
-      ...options
+      chunkTokens: 0, // 0 disables chunking
+      pageMarkers: true, // "--- Page N ---" before each PDF page's text
+      concurrency: 2, // files processed at the same time
+      fileTimeout: 120000, // ms per file, 0 disables the timeout
+      cache: false, // reuse results for files whose content and options did not change
+      tableOfContents: true, // list detected headings at the top of the output
+      ocr: 'auto', // 'auto' (scanned PDF pages), 'always' or 'never'
+      ocrLanguages: 'eng', // tesseract language codes, e.g. 'eng+deu'
+      minQuality: 0, // results scoring lower are reported as low quality
+      exportTables: true, // also save tables as CSV files and JSON records
+      extractImages: true, // save DOCX and PDF images to assets/ and mark them "[Figure N: ...]"
+      comments: false, // DOCX comments as [^c1] notes with author and anchored text
+      trackChanges: 'accept', // DOCX tracked changes: 'accept', 'reject' or 'markup'
+      headersFooters: false, // DOCX header/footer text once per section
+      redact: 'off', // 'mask', 'hash' or 'remove' personal data before output
+      redactTypes: Object.keys(Redactor.DETECTORS), // built-in detectors to run
+      redactWords: [], // names and terms to redact as well
+      redactPatterns: [], // extra "name=regex" patterns
+      ...processingOptions
     };
     
-    // Initialize PDF processor
-    this.pdfProcessor = new PDFProcessor(this.options);
+    // Initialize PDF processor; page markers are always extracted (and cached) and taken out
+    // afterwards when pageMarkers is off
+    this.pdfProcessor = new PDFProcessor({ ...this.options, pageMarkers: true });
+
+    // Initialize spreadsheet processor
+    this.spreadsheetProcessor = new SpreadsheetProcessor(this.options);
+
+    // Initialize EPUB processor
+    this.epubProcessor = new EpubProcessor(this.options);
+
+    // DOCX review content: notes, comments, tracked changes, headers and footers
+    this.docxAnnotations = new DocxAnnotations(this.options);
+
+    // Output renderers selectable through outputFormat
+    this.renderers = RendererRegistry.withDefaults();
+
+    // Only formats with a header block and # headings can be split into parts
+    const chunkable = name => this.renderers.get(name).chunkable;
+    if (this.options.chunkTokens > 0 && this.renderers.names().includes(this.options.outputFormat) && !chunkable(this.options.outputFormat)) {
+      throw new InvalidOptionError(
+        `Output format "${this.options.outputFormat}" cannot be split into parts; use chunkTokens with ` +
+        this.renderers.names().filter(chunkable).join(', ')
+      );
+    }
+
+    // One redactor for the processor's lifetime, so pseudonyms stay consistent across a batch
+    this.redactor = this.options.redact && this.options.redact !== 'off'
+      ? new Redactor({
+        mode: this.options.redact,
+        types: this.options.redactTypes,
+        words: this.options.redactWords,
+        patterns: this.options.redactPatterns,
+        ...(this.options.redactSalt ? { salt: this.options.redactSalt } : {})
+      })
+      : null;
+
+    // Cache of extraction results keyed by file content and options
+    this.cache = this.options.cache
+      ? new ProcessingCache(this.options.cacheDir ? { directory: this.options.cacheDir } : {})
+      : null;
+
+    // Format handlers, looked up by extension, MIME type or content
+    this.handlers = new HandlerRegistry();
+    this.registerBuiltInHandlers();
   }
 
-  async processDocument(filePath) {
-    const mimeType = mime.getType(filePath);
-    const fileExtension = path.extname(filePath).toLowerCase();
+  // originalPath names the document in results and events when filePath is a temporary copy;
+  // aborting signal stops the handler at its next check (see withTimeout)
+  async processDocument(filePath, { originalPath = filePath, signal } = {}) {
+    const extensionMimeType = mime.getType(filePath);
+    const handler = await this.handlers.resolve(filePath, extensionMimeType);
+
+    // Trust the handler's MIME type when content sniffing overrode the extension
+    const mimeType = handler && !handler.mimeTypes.includes(extensionMimeType)
+      ? handler.mimeTypes[0] || extensionMimeType
+      : extensionMimeType;
     
-    console.log(`Processing: ${filePath} (${mimeType})`);
+    const startedAt = Date.now();
+    this.logger.info(`Processing: ${originalPath} (${mimeType})`);
+    this.emit('file:start', { filePath: originalPath, mimeType, handler: handler ? handler.name : null });
 
     try {
+      if (!handler) {
+        const fileExtension = path.extname(filePath).toLowerCase() || '(none)';
+        throw new UnsupportedFormatError(
+          `Unsupported file type: ${fileExtension}. Supported types: ${this.handlers.extensions().join(', ')}`,
+          { extension: fileExtension, mimeType }
+        );
+      }
+
       let result = {
-        originalPath: filePath,
+        originalPath,
         mimeType,
         extractedText: '',
         tables: [],
@@ -36,85 +138,433 @@ class DocumentProcessor {
         processingMethod: 'enhanced-javascript'
       };
 
-      // Choose processing method based on file type
-      switch (fileExtension) {
-        case '.docx':
-          result = await this.processDocx(filePath, result);
-          break;
-        case '.pdf':
-          result = await this.processPdf(filePath, result);
-          break;
-        case '.txt':
-        case '.md':
-          result = await this.processText(filePath, result);
-          break;
-        default:
-          throw new Error(`Unsupported file type: ${fileExtension}. Supported types: .pdf, .docx, .txt, .md`);
+      // Serve unchanged files from the cache, otherwise hand off to the format's handler
+      const cacheKey = this.cache ? await this.cache.keyFor(filePath, this.options, handler.name) : null;
+      const cached = cacheKey ? await this.cache.get(cacheKey) : null;
+
+      if (cached) {
+        result = { ...cached, originalPath, fromCache: true };
+      } else {
+        try {
+          result = await handler.process(filePath, result, this, { signal });
+          signal?.throwIfAborted();
+        } catch (error) {
+          throw signal?.aborted ? signal.reason : ExtractionError.wrap(error, handler.name);
+        }
+
+        // Header names and column types for every table, whatever format it came from
+        result.tables = (result.tables || []).map(normalizeTable);
+
+        // Heading hierarchy with page and character offset anchors
+        result.outline = new HeadingDetector().buildOutline(result.extractedText || '');
+
+        // A cache that cannot be written only costs the next run some time. Extractions are cached
+        // before redaction, so runs that redact never write one: personal data stays off the disk
+        if (cacheKey && !this.redactor) {
+          try {
+            await this.cache.set(cacheKey, result);
+          } catch (error) {
+            this.logger.warn(`Could not cache ${originalPath}: ${error.message}`);
+          }
+        }
+      }
+
+      if (!this.options.pageMarkers && PAGE_MARKER_LINE.test(result.extractedText || '')) {
+        result = {
+          ...result,
+          extractedText: result.extractedText.replace(PAGE_MARKER_LINES, '').replace(/\n{3,}/g, '\n\n').trim()
+        };
+        result.outline = new HeadingDetector().buildOutline(result.extractedText);
       }
 
+      // Personal data goes before anything is scored, rendered or saved; extractions cached by runs
+      // without redaction are redacted here too, with pseudonyms handed out fresh for each batch
+      if (this.redactor) {
+        result = this.redactor.redactResult(result);
+        result.tables = result.tables.map(normalizeTable);
+        result.outline = new HeadingDetector().buildOutline(result.extractedText || '');
+      }
+
+      // Score how trustworthy the extraction looks
+      result.quality = new QualityAnalyzer().analyze(result);
+      result.quality.passed = result.quality.score >= this.options.minQuality;
+
       // Post-process to enhance for Claude
       result.claudeReady = this.formatForClaude(result);
-      
+
+      // Split long output into context-sized parts
+      if (this.options.chunkTokens > 0 && this.renderers.get(this.options.outputFormat).chunkable) {
+        result.chunks = this.chunkForClaude(result.claudeReady);
+      }
+
+      for (const table of result.tables || []) {
+        this.emit('table:found', { filePath: originalPath, table });
+      }
+      this.emit('file:done', { filePath: originalPath, result, durationMs: Date.now() - startedAt });
+
       return result;
     } catch (error) {
-      console.error(`Error processing ${filePath}:`, error);
+      this.logger.error(`Error processing ${originalPath}: ${error.message}`);
+      this.emit('file:error', { filePath: originalPath, error });
       throw error;
     }
   }
 
+  // Process in-memory content; filename (or mimeType) tells which handler applies
+  async processBuffer(buffer, { filename, mimeType, signal } = {}) {
+    const extension = path.extname(filename || '') || (mimeType && mime.getExtension(mimeType) ? `.${mime.getExtension(mimeType)}` : '');
+    const baseName = filename ? path.basename(filename, path.extname(filename)) : 'document';
+
+    // Handlers read from disk, so the content goes through a private temp folder
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'docenhancer-'));
+    const tempPath = path.join(tempDir, baseName + extension);
+
+    try {
+      await fs.writeFile(tempPath, buffer);
+      return await this.processDocument(tempPath, { originalPath: filename || path.basename(tempPath), signal });
+    } finally {
+      await fs.remove(tempDir);
+    }
+  }
+
+  registerHandler(handler) {
+    this.handlers.register(handler);
+    return this;
+  }
+
+  registerBuiltInHandlers() {
+    const { signatures } = HandlerRegistry;
+
+    this.registerHandler({
+      name: 'pdf',
+      description: 'PDF documents',
+      extensions: ['.pdf'],
+      mimeTypes: ['application/pdf'],
+      sniff: signatures.pdf,
+      process: (filePath, result, processor, { signal } = {}) => this.processPdf(filePath, result, { signal })
+    });
+    this.registerHandler({
+      name: 'docx',
+      description: 'Word documents',
+      extensions: ['.docx'],
+      mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+      sniff: buffer => signatures.zipEntry(buffer, 'word/'),
+      process: (filePath, result) => this.processDocx(filePath, result)
+    });
+    this.registerHandler({
+      name: 'spreadsheet',
+      description: 'Excel workbooks and CSV files',
+      extensions: ['.xlsx', '.xls', '.csv'],
+      mimeTypes: [
+        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        'application/vnd.ms-excel',
+        'text/csv'
+      ],
+      sniff: buffer => signatures.zipEntry(buffer, 'xl/') || signatures.ole2(buffer),
+      process: (filePath, result) => this.processSpreadsheet(filePath, result)
+    });
+    this.registerHandler({
+      name: 'epub',
+      description: 'EPUB e-books',
+      extensions: ['.epub'],
+      mimeTypes: ['application/epub+zip'],
+      sniff: buffer => signatures.zipEntry(buffer, 'application/epub+zip'),
+      process: (filePath, result) => this.processEpub(filePath, result)
+    });
+    this.registerHandler({
+      name: 'image',
+      description: 'Images (OCR)',
+      extensions: ['.png', '.jpg', '.jpeg', '.tif', '.tiff'],
+      mimeTypes: ['image/png', 'image/jpeg', 'image/tiff'],
+      sniff: signatures.image,
+      process: (filePath, result, processor, { signal } = {}) => this.processImage(filePath, result, { signal })
+    });
+    this.registerHandler({
+      name: 'text',
+      description: 'Plain text',
+      extensions: ['.txt'],
+      mimeTypes: ['text/plain'],
+      textual: true,
+      sniff: signatures.text,
+      process: (filePath, result) => this.processText(filePath, result)
+    });
+    this.registerHandler({
+      name: 'markdown',
+      description: 'Markdown',
+      extensions: ['.md'],
+      mimeTypes: ['text/markdown'],
+      process: (filePath, result) => this.processText(filePath, result)
+    });
+    this.registerHandler({
+      name: 'html',
+      description: 'Web pages',
+      extensions: ['.html', '.htm', '.xhtml'],
+      mimeTypes: ['text/html', 'application/xhtml+xml'],
+      textual: true,
+      sniff: signatures.html,
+      process: (filePath, result) => this.processHtml(filePath, result)
+    });
+  }
+
   async processDocx(filePath, result) {
     try {
-      // Use mammoth for better table handling
-      const buffer = await fs.readFile(filePath);
-      
-      // Extract with table-aware style mapping
+      // Notes, comments, tracked changes and headers/footers are written into the document
+      // first, since mammoth drops or separates them
+      const annotated = await this.docxAnnotations.apply(await fs.readFile(filePath));
+      const { buffer } = annotated;
+
+      // Images are collected as figures and referenced from the HTML as figure:N
+      const figures = new Map();
+      const images = [];
+      const convertImage = mammoth.images.imgElement(async image => {
+        const index = figures.size + 1;
+        const src = `figure:${index}`;
+        figures.set(src, { index, page: null, alt: image.altText || null, caption: null, contentType: image.contentType });
+        images[index - 1] = await image.read();
+        return { src };
+      });
+
+      // Tables stay HTML tables, colspan/rowspan and header rows included
       const mammothResult = await mammoth.convertToHtml(buffer, {
-        styleMap: [
-          "p[style-name='Table Grid'] => table > tr > td",
-          "table => table:separator('\\n\\n')",
-          "tr => tr:separator('\\n')",
-          "td => td:separator('\\t')"
-        ],
         includeDefaultStyleMap: true,
-        preserveEmptyParagraphs: false
+        preserveEmptyParagraphs: false,
+        styleMap: ["p[style-name='Caption'] => p.caption:fresh"],
+        ...(this.options.extractImages ? { convertImage } : {})
       });
 
-      result.extractedText = mammothResult.value;
       result.metadata.warnings = mammothResult.messages;
+      Object.assign(result.metadata, annotated.metadata);
       result.processingMethod = 'mammoth';
 
-      // Extract tables from HTML
-      if (this.options.extractTables) {
-        result.tables = this.extractTablesFromHtml(mammothResult.value);
+      // Convert the HTML body to Markdown-style text with tables rendered in place,
+      // followed by the notes their [^label] references point to
+      const notes = annotated.notes.map(note => `[^${note.label}]: ${note.text}`).join('\n');
+      const text = this.convertHtml(mammothResult.value, result, 0, this.options.extractImages ? figures : null);
+      result.extractedText = [text, notes].filter(Boolean).join('\n\n');
+      result.tablesInline = true;
+
+      if (this.options.extractImages) {
+        const list = [...figures.values()];
+        result.metadata.figures = list.map(({ index, page, alt, caption, contentType }) => ({
+          index,
+          page,
+          ...(imageSize(images[index - 1]) || { width: null, height: null }),
+          alt,
+          caption,
+          contentType
+        }));
+        result.assets = list.map(figure => this.figureAsset(figure, images[figure.index - 1]));
       }
 
       // Also get plain text version
       const plainTextResult = await mammoth.extractRawText(buffer);
-      result.plainText = plainTextResult.value;
+      result.plainText = notes ? `${plainTextResult.value.trimEnd()}\n\n${notes}` : plainTextResult.value;
 
       return result;
     } catch (error) {
-      console.error('DOCX processing failed:', error);
+      this.logger.error(`DOCX processing failed: ${error.message}`);
       throw error;
     }
   }
 
-  async processPdf(filePath, result) {
+  async processPdf(filePath, result, { signal } = {}) {
     try {
       // Use our pure JavaScript PDF processor
-      const pdfResult = await this.pdfProcessor.processDocument(filePath);
+      const pdfResult = await this.pdfProcessor.processDocument(filePath, { signal });
       
       if (!pdfResult.success) {
-        throw new Error(pdfResult.error || 'PDF processing failed');
+        throw pdfResult.cause || new ExtractionError(pdfResult.error || 'PDF processing failed', { format: 'pdf' });
       }
 
-      result.extractedText = pdfResult.claudeReady;
+      result.extractedText = pdfResult.text;
       result.metadata = pdfResult.metadata;
-      result.processingMethod = 'pdf-parse-js';
+      result.processingMethod = pdfResult.metadata.ocr?.pages.length > 0 ? 'pdf-parse-js+tesseract' : 'pdf-parse-js';
+
+      // Tables share the {index, rows, columns, data} shape of the DOCX path
+      if (this.options.extractTables) {
+        result.tables = pdfResult.tables;
+      }
+      if (pdfResult.figures.length > 0) {
+        result.assets = pdfResult.figures.map(figure => this.figureAsset(figure, figure.png));
+      }
+
+      return result;
+    } catch (error) {
+      this.logger.error(`PDF processing failed: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async processImage(filePath, result, { signal } = {}) {
+    try {
+      if (this.options.ocr === 'never') {
+        throw new OcrUnavailableError('Images can only be read with OCR, which is turned off (ocr: never)');
+      }
+
+      const engine = new OcrEngine({ languages: this.options.ocrLanguages, langPath: this.options.ocrLangPath });
+      const [recognized] = await engine.recognizeAll([await fs.readFile(filePath)], { signal });
+
+      result.extractedText = recognized.text;
+      result.processingMethod = 'tesseract';
+      result.metadata = {
+        fileType: 'Image',
+        ocr: {
+          engine: 'tesseract.js',
+          languages: engine.languages(),
+          pages: [{ page: 1, confidence: recognized.confidence, characters: recognized.text.length }]
+        }
+      };
+
+      return result;
+    } catch (error) {
+      this.logger.error(`Image processing failed: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async processSpreadsheet(filePath, result) {
+    try {
+      const sheetResult = await this.spreadsheetProcessor.processDocument(filePath);
+
+      if (!sheetResult.success) {
+        throw sheetResult.cause || new ExtractionError(sheetResult.error || 'Spreadsheet processing failed', { format: 'spreadsheet' });
+      }
+
+      result.metadata = sheetResult.metadata;
+      result.processingMethod = 'sheetjs';
+
+      // Every sheet is a table, so they are shown in place under their sheet name
+      result.tables = sheetResult.tables;
+      result.tablesInline = true;
+      result.extractedText = this.formatSheets(sheetResult.tables);
+
+      return result;
+    } catch (error) {
+      this.logger.error(`Spreadsheet processing failed: ${error.message}`);
+      throw error;
+    }
+  }
+
+  formatSheets(tables) {
+    let text = '';
+    let currentSheet = null;
+
+    for (const table of tables) {
+      if (table.sheet !== currentSheet) {
+        currentSheet = table.sheet;
+        text += `## Sheet: ${table.sheet}\n\n`;
+      }
+
+      if (table.rowRange) {
+        text += `Rows ${table.rowRange[0]}-${table.rowRange[1]} of ${table.totalRows}\n\n`;
+      }
+      text += this.renderInlineTable(table.data, table.index, table.hasHeader) + '\n\n';
+
+      if (table.truncated) {
+        // totalRows counts body rows, so the header row is left out of the shown count too
+        text += `Showing ${table.rows - Number(table.hasHeader)} of ${table.totalRows} rows. Column summary:\n\n`;
+        text += table.summary.map(column => {
+          const stats = column.sum !== undefined
+            ? `min ${column.min}, max ${column.max}, sum ${column.sum}`
+            : `${column.distinct} distinct values`;
+          return `- ${column.column}: ${column.filled} filled, ${stats}`;
+        }).join('\n') + '\n\n';
+      }
+    }
+
+    return text.trim();
+  }
+
+  // Image bytes kept with the result (base64, so cached results keep them) until saveResults
+  // writes them to assets/
+  figureAsset(figure, data) {
+    return {
+      index: figure.index,
+      contentType: figure.contentType,
+      extension: imageExtension(figure.contentType),
+      data: data.toString('base64')
+    };
+  }
+
+  // HTML body to Markdown-style text with tables rendered in place and collected in
+  // result.tables, numbered from tableOffset + 1; images listed in figures become placeholders
+  convertHtml(html, result, tableOffset = 0, figures = null) {
+    if (this.options.extractTables) {
+      const tables = this.extractTablesFromHtml(html);
+      tables.forEach(table => {
+        table.index += tableOffset;
+      });
+      result.tables.push(...tables);
+    }
+
+    const converter = new HtmlToTextConverter({
+      renderTable: (data, index, headerRows) => this.renderInlineTable(data, tableOffset + index, headerRows),
+      fillMergedCells: this.options.fillMergedCells !== false,
+      figures
+    });
+    return converter.convert(html);
+  }
+
+  async processHtml(filePath, result) {
+    try {
+      const page = await fs.readFile(filePath, 'utf8');
+      const { html, title } = new HtmlToTextConverter().extractContent(page);
+
+      result.extractedText = this.convertHtml(html, result);
+      result.tablesInline = true;
+      result.processingMethod = 'cheerio';
+      result.metadata = {
+        fileType: 'HTML',
+        ...(title ? { title, info: { Title: title } } : {})
+      };
 
       return result;
     } catch (error) {
-      console.error('PDF processing failed:', error);
+      this.logger.error(`HTML processing failed: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async processEpub(filePath, result) {
+    try {
+      const epubResult = await this.epubProcessor.processDocument(filePath);
+
+      if (!epubResult.success) {
+        throw epubResult.cause || new ExtractionError(epubResult.error || 'EPUB processing failed', { format: 'epub' });
+      }
+
+      // Chapters in spine order, each under its table-of-contents title
+      const extractor = new HtmlToTextConverter();
+      const parts = [];
+      for (const chapter of epubResult.chapters) {
+        const { html, title } = extractor.extractContent(chapter.html, { pageChrome: false });
+        const text = this.convertHtml(html, result, result.tables.length);
+        const heading = chapter.title || title;
+
+        // Skip the title when the chapter opens with the same heading
+        const firstHeading = /^#{1,6} (.+)$/m.exec(text);
+        const repeatsTitle = firstHeading && heading && text.startsWith(firstHeading[0]) &&
+          firstHeading[1].trim().toLowerCase() === heading.toLowerCase();
+
+        if (heading && !repeatsTitle) {
+          parts.push(`# ${heading}`);
+        }
+        if (text) {
+          parts.push(text);
+        }
+      }
+
+      result.extractedText = parts.join('\n\n');
+      result.tablesInline = true;
+      result.processingMethod = 'epub';
+      result.metadata = {
+        ...epubResult.metadata,
+        ...(epubResult.metadata.title ? { info: { Title: epubResult.metadata.title, Author: epubResult.metadata.author } } : {})
+      };
+
+      return result;
+    } catch (error) {
+      this.logger.error(`EPUB processing failed: ${error.message}`);
       throw error;
     }
   }
@@ -132,35 +582,43 @@ class DocumentProcessor {
 
       return result;
     } catch (error) {
-      console.error('Text processing failed:', error);
+      this.logger.error(`Text processing failed: ${error.message}`);
       throw error;
     }
   }
 
+  renderInlineTable(data, index, headerRows = Number(detectHeaderRow(data))) {
+    if (this.options.outputFormat === 'enhanced-text') {
+      const columns = Math.max(...data.map(row => row.length));
+      return `**Table ${index}** (${data.length} rows × ${columns} columns)\n\n${boxTable(data, headerRows)}`;
+    }
+    return markdownTable(data, headerRows);
+  }
+
   extractTablesFromHtml(htmlContent) {
     const cheerio = require('cheerio');
     const $ = cheerio.load(htmlContent);
     const tables = [];
 
+    // Numbered like the converter's inline tables; a nested table is a table of its own that
+    // the outer cell refers to as "[Table N]"
+    const numbers = numberHtmlTables($, $.root());
+    const cellText = cell => htmlCellText($, cell, numbers).replace(/[ \t]{2,}/g, ' ').trim();
     $('table').each((index, element) => {
-      const table = [];
-      
-      $(element).find('tr').each((rowIndex, row) => {
-        const rowData = [];
-        $(row).find('td, th').each((cellIndex, cell) => {
-          rowData.push($(cell).text().trim());
-        });
-        if (rowData.length > 0) {
-          table.push(rowData);
-        }
+      const { data, merges, headerRows } = htmlTableGrid($, $(element), cellText, {
+        fillMerged: this.options.fillMergedCells !== false
       });
 
-      if (table.length > 0) {
+      if (data.length > 0) {
+        const hasHeader = headerRows > 0 || detectHeaderRow(data);
         tables.push({
-          index: index + 1,
-          rows: table.length,
-          columns: table[0]?.length || 0,
-          data: table
+          index: numbers.get(element),
+          rows: data.length,
+          columns: Math.max(...data.map(row => row.length)),
+          hasHeader,
+          headerRows: headerRows || Number(hasHeader),
+          ...(merges.length > 0 ? { merges } : {}),
+          data
         });
       }
     });
@@ -182,8 +640,9 @@ class DocumentProcessor {
       const hasMultipleSpaces = /\s{3,}/.test(line);
       const hasTabsOrPipes = /[\t|]/.test(line);
       const isTableLike = hasMultipleSpaces || hasTabsOrPipes;
+      const isMarkdownRow = /^\|.*\|$/.test(line);
 
-      if (isTableLike && line.length > 10) {
+      if ((isTableLike && line.length > 10) || isMarkdownRow) {
         if (!inTable) {
           inTable = true;
           currentTable = [];
@@ -191,7 +650,9 @@ class DocumentProcessor {
         
         // Split by multiple spaces, tabs, or pipes
         const cells = line.split(/\s{3,}|\t+|\|+/).map(cell => cell.trim()).filter(cell => cell);
-        if (cells.length > 1) {
+        // Markdown's |---|---| line separates the header, it is not a row
+        const isRule = cells.every(cell => /^:?-{3,}:?$/.test(cell));
+        if (cells.length > 1 && !isRule) {
           currentTable.push(cells);
         }
       } else {
@@ -200,6 +661,7 @@ class DocumentProcessor {
             index: tables.length + 1,
             rows: currentTable.length,
             columns: Math.max(...currentTable.map(row => row.length)),
+            hasHeader: detectHeaderRow(currentTable),
             data: currentTable
           });
         }
@@ -214,6 +676,7 @@ class DocumentProcessor {
         index: tables.length + 1,
         rows: currentTable.length,
         columns: Math.max(...currentTable.map(row => row.length)),
+        hasHeader: detectHeaderRow(currentTable),
         data: currentTable
       });
     }
@@ -222,110 +685,343 @@ class DocumentProcessor {
   }
 
   formatForClaude(result) {
-    let output = '';
+    return this.renderers.get(this.options.outputFormat).render(result, this.options);
+  }
 
-    // Add document metadata
-    output += `## Document Analysis\n`;
-    output += `**File:** ${path.basename(result.originalPath)}\n`;
-    output += `**Type:** ${result.mimeType}\n`;
-    output += `**Processing Method:** ${result.processingMethod}\n`;
-    
-    if (result.metadata?.pages) {
-      output += `**Pages:** ${result.metadata.pages}\n`;
-    }
-    
-    output += `\n---\n\n`;
+  registerRenderer(renderer) {
+    this.renderers.register(renderer);
+    return this;
+  }
 
-    // Add tables in readable format
-    if (result.tables && result.tables.length > 0) {
-      output += `## Extracted Tables (${result.tables.length})\n\n`;
-      
-      result.tables.forEach((table, index) => {
-        output += `### Table ${table.index} (${table.rows} rows × ${table.columns} columns)\n\n`;
-        
-        if (this.options.outputFormat === 'markdown') {
-          output += markdownTable(table.data) + '\n\n';
-        } else {
-          // Enhanced text format with nice borders
-          const config = {
-            border: {
-              topBody: '─',
-              topJoin: '┬',
-              topLeft: '┌',
-              topRight: '┐',
-              bottomBody: '─',
-              bottomJoin: '┴',
-              bottomLeft: '└',
-              bottomRight: '┘',
-              bodyLeft: '│',
-              bodyRight: '│',
-              bodyJoin: '│',
-              joinBody: '─',
-              joinLeft: '├',
-              joinRight: '┤',
-              joinJoin: '┼'
-            }
+  chunkForClaude(claudeReady) {
+    const chunker = new DocumentChunker({ chunkTokens: this.options.chunkTokens });
+    return chunker.chunk(claudeReady);
+  }
+
+  async processMultipleFiles(filePaths, { onProgress } = {}) {
+    const results = new Array(filePaths.length);
+    const concurrency = Math.max(1, this.options.concurrency || 1);
+    let nextIndex = 0;
+    let completed = 0;
+
+    const worker = async () => {
+      while (nextIndex < filePaths.length) {
+        const index = nextIndex++;
+        const filePath = filePaths[index];
+        const startedAt = Date.now();
+
+        try {
+          const result = await this.withTimeout(signal => this.processDocument(filePath, { signal }), filePath);
+          result.durationMs = Date.now() - startedAt;
+          results[index] = result;
+        } catch (error) {
+          results[index] = {
+            originalPath: filePath,
+            error: error.message,
+            code: error.code || null,
+            timedOut: Boolean(error.timedOut),
+            durationMs: Date.now() - startedAt,
+            success: false
           };
-          
-          try {
-            output += table(table.data, config) + '\n\n';
-          } catch (e) {
-            // Fallback to simple format
-            output += table.data.map(row => row.join(' | ')).join('\n') + '\n\n';
-          }
         }
+
+        completed++;
+        if (onProgress) {
+          onProgress({ completed, total: filePaths.length, filePath, result: results[index] });
+        }
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(concurrency, filePaths.length) }, worker));
+
+    return results;
+  }
+
+  // Runs task(signal). Past fileTimeout the signal aborts, and once the task has actually stopped
+  // (PDF pages and OCR workers check it) this rejects with a TimeoutError, so a caller holding a
+  // concurrency slot keeps it until the work is gone
+  async withTimeout(task, filePath) {
+    const controller = new AbortController();
+    const timeout = this.options.fileTimeout;
+    const timer = timeout > 0
+      ? setTimeout(() => {
+        controller.abort(new TimeoutError(`Timed out after ${timeout / 1000}s: ${filePath}`, { filePath, timeout }));
+      }, timeout)
+      : null;
+
+    try {
+      const result = await task(controller.signal);
+      controller.signal.throwIfAborted();
+      return result;
+    } catch (error) {
+      throw controller.signal.aborted ? controller.signal.reason : error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  buildReport(results) {
+    const status = result => {
+      if (result.error) return result.timedOut ? 'timed-out' : 'failed';
+      return result.quality?.passed === false ? 'low-quality' : 'ok';
+    };
+
+    const files = results.map(result => ({
+      file: result.originalPath,
+      ...(result.relativePath ? { relativePath: result.relativePath } : {}),
+      status: status(result),
+      durationMs: result.durationMs ?? null,
+      cached: Boolean(result.fromCache),
+      pages: result.metadata?.pages || null,
+      tables: result.tables?.length || 0,
+      quality: result.quality?.score ?? null,
+      ...(result.quality?.issues?.length ? { issues: result.quality.issues } : {}),
+      ...(result.error ? { error: result.error, code: result.code || null } : {})
+    }));
+
+    return {
+      generatedAt: new Date().toISOString(),
+      totals: {
+        files: files.length,
+        successful: files.filter(file => file.status === 'ok').length,
+        failed: files.filter(file => file.status === 'failed').length,
+        timedOut: files.filter(file => file.status === 'timed-out').length,
+        lowQuality: files.filter(file => file.status === 'low-quality').length,
+        durationMs: files.reduce((sum, file) => sum + (file.durationMs || 0), 0),
+        pages: files.reduce((sum, file) => sum + (file.pages || 0), 0),
+        tables: files.reduce((sum, file) => sum + file.tables, 0)
+      },
+      files
+    };
+  }
+
+  async writeIfChanged(filePath, content) {
+    // Leave identical outputs untouched so their timestamps stay meaningful
+    try {
+      const existing = await fs.readFile(filePath);
+      if (existing.length === Buffer.byteLength(content) && existing.equals(Buffer.from(content))) {
+        return false;
+      }
+    } catch (error) {
+      // Missing file, write it
+    }
+
+    await fs.writeFile(filePath, content);
+    return true;
+  }
+
+  // <name>_tables/table-NN.csv per table plus <name>_tables.json with rows as records keyed by header
+  async saveTables(result, targetDir, baseName) {
+    const csvDir = path.join(targetDir, `${baseName}_tables`);
+    const recordsPath = path.join(targetDir, `${baseName}_tables.json`);
+    const isTableFile = file => /^table-\d+\.csv$/.test(file);
+    const exported = this.options.exportTables ? result.tables || [] : [];
+
+    // No tables (any more, or not exported): the files of an earlier run go
+    if (exported.length === 0) {
+      await this.removeStaleFiles(csvDir, isTableFile, []);
+      await fs.remove(recordsPath);
+      return;
+    }
+    await fs.ensureDir(csvDir);
+
+    const csvPaths = [];
+    const tables = [];
+    for (const table of exported) {
+      const csvName = `table-${String(table.index).padStart(2, '0')}.csv`;
+      csvPaths.push(path.join(csvDir, csvName));
+      await this.writeIfChanged(path.join(csvDir, csvName), tableToCsv(table.data));
+
+      tables.push({
+        index: table.index,
+        ...(table.page ? { page: table.page } : {}),
+        ...(table.sheet ? { sheet: table.sheet } : {}),
+        csv: `${baseName}_tables/${csvName}`,
+        hasHeader: table.hasHeader,
+        columns: table.columnTypes,
+        records: tableToRecords(table)
       });
     }
 
-    // Add extracted text
-    if (result.extractedText) {
-      if (result.tables && result.tables.length > 0) {
-        output += `## Document Content\n\n`;
+    // Tables that disappeared since the last run
+    await this.removeStaleFiles(csvDir, isTableFile, csvPaths);
+
+    const written = await this.writeIfChanged(recordsPath, JSON.stringify({ source: path.basename(result.originalPath), tables }, null, 2));
+    this.emit('output:saved', { kind: 'tables', source: result.originalPath, path: recordsPath, tables: tables.length, partPaths: csvPaths, written });
+  }
+
+  // Parts that disappeared since the last run, when the document got shorter
+  async removeStaleParts(targetDir, baseName, partPaths) {
+    const current = new Set(partPaths.map(partPath => path.basename(partPath)));
+    const isOwnPart = file => file.startsWith(`${baseName}_part-`) && /^_part-\d+\.\w+$/.test(file.slice(baseName.length));
+    for (const file of await fs.readdir(targetDir)) {
+      if (isOwnPart(file) && !current.has(file)) {
+        await fs.remove(path.join(targetDir, file));
       }
-      output += result.extractedText;
     }
+  }
+
+  // Files matching isOwn in a folder that the current run did not write; the folder goes once empty
+  async removeStaleFiles(directory, isOwn, currentPaths) {
+    if (!(await fs.pathExists(directory))) return;
 
-    return output;
+    const current = new Set(currentPaths.map(currentPath => path.basename(currentPath)));
+    for (const file of await fs.readdir(directory)) {
+      if (isOwn(file) && !current.has(file)) {
+        await fs.remove(path.join(directory, file));
+      }
+    }
+    if ((await fs.readdir(directory)).length === 0) {
+      await fs.remove(directory);
+    }
   }
 
-  async processMultipleFiles(filePaths) {
-    const results = [];
-    
-    for (const filePath of filePaths) {
-      try {
-        const result = await this.processDocument(filePath);
-        results.push(result);
-      } catch (error) {
-        results.push({
-          originalPath: filePath,
-          error: error.message,
-          success: false
-        });
+  // assets/<name>_figure-NN.<ext> per figure, shared by every document in the folder
+  async saveAssets(result, targetDir, baseName) {
+    const assetDir = path.join(targetDir, 'assets');
+    const isOwnFigure = file => file.startsWith(`${baseName}_figure-`) && /^_figure-\d+\.\w+$/.test(file.slice(baseName.length));
+    const assets = result.assets || [];
+
+    // No figures (any more, or images turned off): only this document's earlier ones go
+    if (assets.length === 0) {
+      await this.removeStaleFiles(assetDir, isOwnFigure, []);
+      return;
+    }
+    await fs.ensureDir(assetDir);
+
+    const assetPaths = [];
+    let written = false;
+    for (const asset of assets) {
+      const fileName = `${baseName}_figure-${String(asset.index).padStart(2, '0')}${asset.extension}`;
+      assetPaths.push(path.join(assetDir, fileName));
+      written = (await this.writeIfChanged(path.join(assetDir, fileName), Buffer.from(asset.data, 'base64'))) || written;
+
+      const figure = (result.metadata.figures || []).find(entry => entry.index === asset.index);
+      if (figure) {
+        figure.file = `assets/${fileName}`;
       }
     }
 
-    return results;
+    // Figures that disappeared since the last run
+    await this.removeStaleFiles(assetDir, isOwnFigure, assetPaths);
+
+    this.emit('output:saved', { kind: 'assets', source: result.originalPath, path: assetDir, figures: assetPaths.length, partPaths: assetPaths, written });
+  }
+
+  // Output folder and file name stem saveResults uses for a document, relative to the output directory
+  outputName({ originalPath, relativePath }) {
+    const baseName = path.basename(originalPath, path.extname(originalPath));
+    return relativePath ? path.posix.join(path.posix.dirname(relativePath), baseName) : baseName;
+  }
+
+  // Documents sharing an output name would overwrite each other's files, so refuse before writing any
+  checkOutputConflicts(entries) {
+    const owners = new Map();
+    const conflicts = [];
+    for (const entry of entries) {
+      const name = this.outputName(entry);
+      // Compared case-insensitively, as macOS and Windows file systems do
+      const owner = owners.get(name.toLowerCase());
+      if (!owner) {
+        owners.set(name.toLowerCase(), entry.originalPath);
+      } else if (path.resolve(owner) !== path.resolve(entry.originalPath)) {
+        conflicts.push({ name, paths: [owner, entry.originalPath] });
+      }
+    }
+
+    if (conflicts.length > 0) {
+      const list = conflicts.map(conflict => `${conflict.paths.join(' and ')} (${conflict.name})`).join('; ');
+      throw new OutputConflictError(`Documents would overwrite each other's outputs: ${list}`, { conflicts });
+    }
   }
 
-  async saveResults(results, outputDir = './output') {
+  async saveResults(results, outputDir = './output', { report = true } = {}) {
+    this.checkOutputConflicts(results.filter(result => !result.error));
     await fs.ensureDir(outputDir);
+    const renderer = this.renderers.get(this.options.outputFormat);
 
     for (const result of results) {
       if (result.error) continue;
 
       const baseName = path.basename(result.originalPath, path.extname(result.originalPath));
+      // Timing and cache flags change every run and would defeat unchanged-output detection
+      const { chunks, durationMs, fromCache, assets, ...data } = result;
+
+      // Keep same-named files from different folders apart
+      const targetDir = result.relativePath
+        ? path.join(outputDir, path.dirname(result.relativePath))
+        : outputDir;
+      await fs.ensureDir(targetDir);
       
-      // Save enhanced text
-      const textPath = path.join(outputDir, `${baseName}_enhanced.txt`);
-      await fs.writeFile(textPath, result.claudeReady);
+      if (chunks && chunks.length > 0) {
+        // Save one file per chunk plus a manifest describing them
+        const manifest = {
+          source: path.basename(result.originalPath),
+          format: renderer.name,
+          chunkTokens: this.options.chunkTokens,
+          totalParts: chunks.length,
+          parts: []
+        };
+
+        const partPaths = [];
+        for (const chunk of chunks) {
+          const partName = `${baseName}_part-${String(chunk.index).padStart(2, '0')}${renderer.extension}`;
+          partPaths.push(path.join(targetDir, partName));
+          await this.writeIfChanged(path.join(targetDir, partName), chunk.text);
+          manifest.parts.push({
+            index: chunk.index,
+            file: partName,
+            estimatedTokens: chunk.estimatedTokens,
+            sectionPath: chunk.sectionPath
+          });
+        }
+
+        const manifestPath = path.join(targetDir, `${baseName}_manifest.json`);
+        await this.writeIfChanged(manifestPath, JSON.stringify(manifest, null, 2));
+        await this.removeStaleParts(targetDir, baseName, partPaths);
+
+        this.emit('output:saved', { kind: 'parts', source: result.originalPath, path: manifestPath, parts: chunks.length, partPaths, written: true });
+      } else {
+        // Save output in the selected format
+        const outputPath = path.join(targetDir, `${baseName}${renderer.suffix}${renderer.extension}`);
+        // Text and Markdown outputs have no suffix: notes.md converted into its own folder is notes.md
+        const isSource = path.resolve(outputPath) === path.resolve(result.originalPath);
+        if (isSource) {
+          const reason = 'it would overwrite the source document; choose another output directory';
+          this.logger.warn(`Not writing ${outputPath}: ${reason}`);
+          this.emit('output:skipped', { kind: 'document', source: result.originalPath, path: outputPath, reason });
+        }
+        const written = isSource ? false : await this.writeIfChanged(outputPath, result.claudeReady);
+
+        // Parts and manifest of an earlier run that did split the document
+        const manifestPath = path.join(targetDir, `${baseName}_manifest.json`);
+        if (await fs.pathExists(manifestPath)) {
+          await this.removeStaleParts(targetDir, baseName, []);
+          await fs.remove(manifestPath);
+        }
+
+        if (!isSource) {
+          this.emit('output:saved', { kind: 'document', source: result.originalPath, path: outputPath, written });
+        }
+      }
+
+      // Images first, so the data JSON can point at their files
+      await this.saveAssets(result, targetDir, baseName);
 
       // Save JSON with all data
-      const jsonPath = path.join(outputDir, `${baseName}_data.json`);
-      await fs.writeFile(jsonPath, JSON.stringify(result, null, 2));
+      const jsonPath = path.join(targetDir, `${baseName}_data.json`);
+      const written = await this.writeIfChanged(jsonPath, JSON.stringify(data, null, 2));
+
+      this.emit('output:saved', { kind: 'data', source: result.originalPath, path: jsonPath, written });
 
-      console.log(`✅ Saved: ${textPath}`);
-      console.log(`📊 Saved: ${jsonPath}`);
+      await this.saveTables(result, targetDir, baseName);
     }
+
+    // Save the aggregate report for the whole batch
+    if (!report) return;
+    const reportPath = path.join(outputDir, 'batch_report.json');
+    await fs.writeFile(reportPath, JSON.stringify(this.buildReport(results), null, 2));
+    this.emit('output:saved', { kind: 'report', path: reportPath, written: true });
   }
 }
 
@@ -0,0 +1,139 @@
+const PAGE_MARKER = /^--- Page (\d+) ---$/gm;
+
+// U+FFFD, control characters other than tab/newline, private-use glyphs and UTF-8 read as Latin-1
+const GARBLED = /[\uFFFD\u0000-\u0008\u000B\u000C\u000E-\u001F\uE000-\uF8FF]|\u00C3[\u0080-\u00BF]|\u00E2\u20AC/g;
+
+class QualityAnalyzer {
+  constructor(options = {}) {
+    this.options = {
+      minPageChars: 100, // pages with less visible text count as sparse
+      minOcrConfidence: 80,
+      ...options
+    };
+  }
+
+  analyze(result) {
+    const text = result.extractedText || '';
+    const pages = this.pageDensity(text, result.metadata);
+    const garbled = this.garbledCharacters(text);
+    const raggedTables = this.raggedTables(result.tables || []);
+    const warnings = (result.metadata?.warnings || []).map(warning => ({
+      type: warning.type || 'warning',
+      message: warning.message || String(warning)
+    }));
+    const ocrPages = result.metadata?.ocr?.pages || [];
+
+    const report = {
+      score: 0,
+      characters: garbled.visible,
+      pages,
+      sparsePages: pages.filter(page => page.sparse).map(page => page.page),
+      garbledCharacters: garbled.count,
+      garbledRatio: garbled.visible > 0 ? round(garbled.count / garbled.visible, 4) : 0,
+      raggedTables,
+      warnings,
+      ocrConfidence: ocrPages.length > 0
+        ? Math.round(ocrPages.reduce((sum, page) => sum + page.confidence, 0) / ocrPages.length)
+        : null,
+      issues: []
+    };
+
+    report.score = this.score(report, ocrPages.length);
+    return report;
+  }
+
+  // Visible characters per page, from the "--- Page N ---" markers when present
+  pageDensity(text, metadata = {}) {
+    const markers = [...text.matchAll(PAGE_MARKER)];
+    const visible = value => value.replace(/\s/g, '').length;
+
+    let pages;
+    if (markers.length > 0) {
+      pages = markers.map((marker, i) => {
+        const end = i + 1 < markers.length ? markers[i + 1].index : text.length;
+        return { page: Number(marker[1]), characters: visible(text.slice(marker.index + marker[0].length, end)) };
+      });
+    } else if (metadata.pages > 0) {
+      // No markers: only the average density is known
+      const count = metadata.pagesProcessed?.length || metadata.pages;
+      return [{ page: null, characters: Math.round(visible(text) / count), sparse: visible(text) / count < this.options.minPageChars }];
+    } else {
+      return [];
+    }
+
+    return pages.map(page => ({ ...page, sparse: page.characters < this.options.minPageChars }));
+  }
+
+  garbledCharacters(text) {
+    const matches = text.match(GARBLED) || [];
+    return { count: matches.length, visible: text.replace(PAGE_MARKER, '').replace(/\s/g, '').length };
+  }
+
+  // Tables whose rows do not all have the same number of cells; renderers pad them silently
+  raggedTables(tables) {
+    return tables
+      .filter(table => Array.isArray(table.data) && table.data.length > 0)
+      .map(table => {
+        const counts = table.data.map(row => row.length);
+        const columns = Math.max(...counts);
+        return {
+          index: table.index,
+          ...(table.page ? { page: table.page } : {}),
+          ...(table.sheet ? { sheet: table.sheet } : {}),
+          minColumns: Math.min(...counts),
+          maxColumns: columns,
+          paddedRows: counts.filter(count => count < columns).length
+        };
+      })
+      .filter(table => table.paddedRows > 0);
+  }
+
+  // 100 for clean text; each kind of problem takes off a capped share
+  score(report, ocrPageCount) {
+    const { issues } = report;
+    if (report.characters === 0) {
+      issues.push('no text was extracted');
+      return 0;
+    }
+
+    let score = 100;
+
+    if (report.garbledCharacters > 0) {
+      score -= Math.min(50, report.garbledRatio * 500);
+      issues.push(`${report.garbledCharacters} garbled or replacement character(s) (${(report.garbledRatio * 100).toFixed(1)}%)`);
+    }
+
+    const sparse = report.pages.filter(page => page.sparse).length;
+    if (sparse > 0) {
+      score -= 30 * (sparse / report.pages.length);
+      issues.push(report.sparsePages.length > 0
+        ? `little or no text on page(s) ${report.sparsePages.join(', ')}`
+        : 'little text per page');
+    }
+
+    if (report.raggedTables.length > 0) {
+      score -= Math.min(20, report.raggedTables.length * 5);
+      issues.push(`${report.raggedTables.length} table(s) with uneven column counts`);
+    }
+
+    if (report.warnings.length > 0) {
+      score -= Math.min(10, report.warnings.length * 2);
+      issues.push(`${report.warnings.length} conversion warning(s)`);
+    }
+
+    if (report.ocrConfidence !== null && report.ocrConfidence < this.options.minOcrConfidence) {
+      const share = report.pages.length > 0 ? Math.min(1, ocrPageCount / report.pages.length) : 1;
+      score -= Math.min(20, (this.options.minOcrConfidence - report.ocrConfidence) / 2) * share;
+      issues.push(`low OCR confidence (${report.ocrConfidence}%)`);
+    }
+
+    return Math.max(0, Math.round(score));
+  }
+}
+
+function round(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+module.exports = QualityAnalyzer;
@@ -0,0 +1,219 @@
+const crypto = require('crypto');
+const { InvalidOptionError } = require('./errors');
+
+const MODES = ['mask', 'hash', 'remove'];
+
+const digits = value => value.replace(/\D/g, '');
+
+// Visa, Mastercard, American Express, Discover and Diners Club number ranges and lengths
+const CARD_NUMBER = /^(?:4\d{12}(?:\d{3}){0,2}|5[1-5]\d{14}|2[2-7]\d{14}|3[47]\d{13}|6(?:011|5\d\d|4[4-9]\d)\d{12}|3(?:0[0-5]|[68]\d)\d{11})$/;
+
+// Built-in detectors, in priority order: where matches overlap the earlier detector wins
+const DETECTORS = {
+  email: {
+    label: 'EMAIL',
+    pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}/g,
+    key: value => value.toLowerCase()
+  },
+  'credit-card': {
+    label: 'CARD',
+    pattern: /(?<![\d-])\d(?:[ -]?\d){12,18}(?![\d-])/g,
+    valid: value => CARD_NUMBER.test(digits(value)) && luhn(digits(value)),
+    key: digits
+  },
+  'national-id': {
+    label: 'ID',
+    pattern: new RegExp([
+      '(?<!\\d)(?!000|666|9\\d\\d)\\d{3}-(?!00)\\d{2}-(?!0000)\\d{4}(?![\\d-])', // US SSN
+      '\\b(?!BG|GB|KN|NK|NT|TN|ZZ)[A-CEGHJ-PR-TW-Z][A-CEGHJ-NPR-TW-Z] ?\\d{2} ?\\d{2} ?\\d{2} ?[A-D]\\b', // UK National Insurance
+      '(?<![\\d-])\\d{3}[ -]\\d{3}[ -]\\d{3}(?![\\d-])' // Canadian SIN
+    ].join('|'), 'g'),
+    // Nine plain digits in threes are only an ID when they pass the SIN checksum
+    valid: value => !/^\d{3}[ -]\d{3}[ -]\d{3}$/.test(value) || luhn(digits(value)),
+    key: value => value.replace(/[\s-]/g, '').toUpperCase()
+  },
+  phone: {
+    label: 'PHONE',
+    pattern: /(?<![\w+.-])(?:\+\d{7,15}|(?:\+\d{1,3}[\s.-]?)?(?:\(\d{1,4}\)[\s.-]?)?\d{2,5}(?:[\s.-]\d{2,6}){1,4})(?![\w-]|\.\d)/g,
+    valid: value => {
+      const count = digits(value).length;
+      if (count > 15) return false;
+      // A country code or an area code in brackets marks any grouping as a phone number
+      if (/^\+|\(/.test(value)) return count >= 7;
+      // Unmarked digit groups are more often years, amounts or references: only the usual domestic
+      // shapes count, 555-123-4567 or a number dialled with a trunk 0 (020 7946 0958)
+      return /^\d{3}[\s.-]\d{3}[\s.-]\d{4}$/.test(value) || (value.startsWith('0') && count >= 10 && count <= 11);
+    },
+    key: digits
+  }
+};
+
+function luhn(number) {
+  let sum = 0;
+  for (let i = 0; i < number.length; i++) {
+    let digit = Number(number[number.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return number.length > 0 && sum % 10 === 0;
+}
+
+class Redactor {
+  constructor(options = {}) {
+    this.options = {
+      mode: 'mask', // 'mask' ([EMAIL_1]), 'hash' ([EMAIL:1a2b3c4d]) or 'remove'
+      types: Object.keys(DETECTORS),
+      words: [], // names and other terms, matched whole-word and case-insensitively
+      patterns: [], // extra regular expressions as "name=regex" (or just "regex")
+      salt: crypto.randomBytes(16).toString('hex'), // set it to keep hashes stable between runs
+      ...options
+    };
+
+    if (!MODES.includes(this.options.mode)) {
+      throw new InvalidOptionError(`Invalid redaction mode: "${this.options.mode}" (expected ${MODES.join(', ')})`);
+    }
+
+    this.detectors = this.buildDetectors();
+    this.pseudonyms = new Map(); // type + value key → mask label, shared by every document
+    this.counters = new Map(); // type → last mask number handed out
+  }
+
+  buildDetectors() {
+    const detectors = this.options.types.map(type => {
+      if (!DETECTORS[type]) {
+        throw new InvalidOptionError(`Unknown redaction type: "${type}" (expected ${Object.keys(DETECTORS).join(', ')})`);
+      }
+      return { type, ...DETECTORS[type] };
+    });
+
+    for (const spec of this.options.patterns) {
+      const separator = /^[\w-]+=/.exec(spec);
+      const name = separator ? separator[0].slice(0, -1) : 'custom';
+      const source = separator ? spec.slice(separator[0].length) : spec;
+      let pattern;
+      try {
+        pattern = new RegExp(source, 'g');
+      } catch (error) {
+        throw new InvalidOptionError(`Invalid redaction pattern "${spec}": ${error.message}`, { cause: error });
+      }
+      detectors.push({ type: name, label: name.toUpperCase().replace(/-/g, '_'), pattern, key: value => value });
+    }
+
+    const words = this.options.words.map(word => word.trim()).filter(Boolean);
+    if (words.length > 0) {
+      // Longest first so "Jane Doe" wins over "Jane"; any whitespace may separate the parts
+      const alternatives = [...words]
+        .sort((a, b) => b.length - a.length)
+        .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+'));
+      detectors.push({
+        type: 'name',
+        label: 'NAME',
+        pattern: new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives.join('|')})(?![\\p{L}\\p{N}])`, 'giu'),
+        key: value => value.toLowerCase().replace(/\s+/g, ' ')
+      });
+    }
+
+    return detectors;
+  }
+
+  // Matches of every detector, earlier detectors winning where they overlap
+  findMatches(text) {
+    const matches = [];
+    for (const detector of this.detectors) {
+      detector.pattern.lastIndex = 0;
+      for (const match of text.matchAll(detector.pattern)) {
+        const value = match[0];
+        const start = match.index;
+        const end = start + value.length;
+        if (!value || (detector.valid && !detector.valid(value))) continue;
+        if (matches.some(other => start < other.end && end > other.start)) continue;
+        matches.push({ detector, value, start, end });
+      }
+    }
+    return matches.sort((a, b) => a.start - b.start);
+  }
+
+  replacement(detector, value) {
+    const key = `${detector.type}:${detector.key(value)}`;
+    if (this.options.mode === 'remove') return '';
+    if (this.options.mode === 'hash') {
+      const digest = crypto.createHmac('sha256', this.options.salt).update(key).digest('hex');
+      return `[${detector.label}:${digest.slice(0, 8)}]`;
+    }
+
+    // The same value gets the same pseudonym in every document of the batch
+    if (!this.pseudonyms.has(key)) {
+      const number = (this.counters.get(detector.type) || 0) + 1;
+      this.counters.set(detector.type, number);
+      this.pseudonyms.set(key, `[${detector.label}_${number}]`);
+    }
+    return this.pseudonyms.get(key);
+  }
+
+  redactText(text, log) {
+    if (typeof text !== 'string' || !text) return text;
+
+    let output = '';
+    let position = 0;
+    for (const { detector, value, start, end } of this.findMatches(text)) {
+      output += text.slice(position, start) + this.replacement(detector, value);
+      position = end;
+
+      if (log) {
+        log.counts[detector.type] = (log.counts[detector.type] || 0) + 1;
+        log.keys.add(`${detector.type}:${detector.key(value)}`);
+      }
+    }
+    return output + text.slice(position);
+  }
+
+  // Every string in a metadata value, arrays and objects included
+  redactValue(value, log) {
+    if (typeof value === 'string') return this.redactText(value, log);
+    if (Array.isArray(value)) return value.map(item => this.redactValue(item, log));
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.redactValue(item, log)]));
+    }
+    return value;
+  }
+
+  // Text, plain text, table cells and metadata of a result; the log keeps counts, never values.
+  // Plain text and inline tables repeat the extracted text, so they are not counted again.
+  redactResult(result) {
+    const log = { counts: {}, keys: new Set() };
+
+    result.extractedText = this.redactText(result.extractedText, log);
+    if (result.plainText) {
+      result.plainText = this.redactText(result.plainText, null);
+    }
+    const tableLog = result.tablesInline ? null : log;
+    result.tables = (result.tables || []).map(table => ({
+      ...table,
+      ...(table.sheet ? { sheet: this.redactText(table.sheet, tableLog) } : {}),
+      data: table.data.map(row => row.map(cell => this.redactText(cell, tableLog)))
+    }));
+    result.metadata = this.redactValue(result.metadata || {}, log);
+
+    const distinct = {};
+    for (const key of log.keys) {
+      const type = key.slice(0, key.indexOf(':'));
+      distinct[type] = (distinct[type] || 0) + 1;
+    }
+    result.metadata.redaction = {
+      mode: this.options.mode,
+      types: this.detectors.map(detector => detector.type),
+      total: Object.values(log.counts).reduce((sum, count) => sum + count, 0),
+      counts: log.counts,
+      distinct
+    };
+    return result;
+  }
+}
+
+Redactor.DETECTORS = DETECTORS;
+Redactor.MODES = MODES;
+
+module.exports = Redactor;
@@ -0,0 +1,288 @@
+const path = require('path');
+const { table } = require('table');
+const DocumentModel = require('./document-model');
+const HeadingDetector = require('./heading-detector');
+const { headerNames } = require('./table-utils');
+const { DocumentEnhancerError, InvalidOptionError } = require('./errors');
+
+const BOX_BORDER = {
+  topBody: '─',
+  topJoin: '┬',
+  topLeft: '┌',
+  topRight: '┐',
+  bottomBody: '─',
+  bottomJoin: '┴',
+  bottomLeft: '└',
+  bottomRight: '┘',
+  bodyLeft: '│',
+  bodyRight: '│',
+  bodyJoin: '│',
+  joinBody: '─',
+  joinLeft: '├',
+  joinRight: '┤',
+  joinJoin: '┼'
+};
+
+function padRows(data) {
+  const columns = Math.max(...data.map(row => row.length));
+  return data.map(row => {
+    const padded = row.map(cell => String(cell ?? ''));
+    while (padded.length < columns) {
+      padded.push('');
+    }
+    return padded;
+  });
+}
+
+// Markdown has exactly one header row: stacked header rows are joined into it and
+// tables without a header get a blank one. headerRows may also be a boolean.
+function markdownTable(data, headerRows = 1) {
+  if (!data || data.length === 0) return '';
+
+  const escape = cell => cell.replace(/\|/g, '\\|').replace(/\n/g, ' ');
+  const count = Number(headerRows);
+  const rows = padRows(data).map(row => row.map(escape));
+  const header = count === 0 ? rows[0].map(() => ' ')
+    : count === 1 ? rows[0]
+      : headerNames(data, count).map(escape);
+  const lines = [];
+  lines.push(`| ${header.join(' | ')} |`);
+  lines.push(`| ${header.map(() => '---').join(' | ')} |`);
+  for (const row of rows.slice(count)) {
+    lines.push(`| ${row.join(' | ')} |`);
+  }
+  return lines.join('\n');
+}
+
+// List items indented by nesting level; ordered lists number each level from 1
+function listText(block) {
+  const levels = block.levels || [];
+  const counters = [];
+  const unit = block.ordered ? '   ' : '  ';
+  return block.items.map((item, i) => {
+    const level = levels[i] || 0;
+    counters.length = level + 1;
+    counters[level] = (counters[level] || 0) + 1;
+    return `${unit.repeat(level)}${block.ordered ? `${counters[level]}.` : '-'} ${item}`;
+  }).join('\n');
+}
+
+// Contents list for outlines with more than one entry
+function tableOfContents(result, options = {}) {
+  if (options.tableOfContents === false || !result.outline) return '';
+
+  const detector = new HeadingDetector();
+  if (detector.countEntries(result.outline) < 2) return '';
+  return detector.formatOutline(result.outline);
+}
+
+// Only real header rows are set off by a rule
+function boxTable(data, headerRows = 0) {
+  const ruleAt = Number(headerRows);
+  try {
+    return table(padRows(data), {
+      border: BOX_BORDER,
+      drawHorizontalLine: (index, size) => index === 0 || index === size || (ruleAt > 0 && index === ruleAt)
+    }).trimEnd();
+  } catch (e) {
+    // Fallback to simple format
+    return data.map(row => row.join(' | ')).join('\n');
+  }
+}
+
+const enhancedTextRenderer = {
+  name: 'enhanced-text',
+  extension: '.txt',
+  suffix: '_enhanced',
+  chunkable: true,
+  render(result, options) {
+    let output = '';
+
+    // Add document metadata
+    output += `## Document Analysis\n`;
+    output += `**File:** ${path.basename(result.originalPath)}\n`;
+    output += `**Type:** ${result.mimeType}\n`;
+    output += `**Processing Method:** ${result.processingMethod}\n`;
+
+    if (result.metadata?.pages) {
+      output += `**Pages:** ${result.metadata.pages}\n`;
+    }
+
+    if (result.metadata?.figures?.length > 0) {
+      output += `**Figures:** ${result.metadata.figures.length} (marked [Figure N] in the text)\n`;
+    }
+
+    if (result.quality) {
+      output += `**Extraction Quality:** ${result.quality.score}/100` +
+        (result.quality.issues.length > 0 ? ` (${result.quality.issues.join('; ')})` : '') + '\n';
+    }
+
+    output += `\n---\n\n`;
+
+    const contents = tableOfContents(result, options);
+    if (contents) {
+      output += `## Table of Contents\n\n${contents}\n\n`;
+    }
+
+    // Add tables in readable format, unless the text already shows them in place
+    const listTables = result.tables && result.tables.length > 0 && !result.tablesInline;
+    if (listTables) {
+      output += `## Extracted Tables (${result.tables.length})\n\n`;
+
+      result.tables.forEach((tableData) => {
+        const location = tableData.page ? `page ${tableData.page}${tableData.endPage ? `-${tableData.endPage}` : ''}, ` : '';
+        output += `### Table ${tableData.index} (${location}${tableData.rows} rows × ${tableData.columns} columns)\n\n`;
+        output += boxTable(tableData.data, tableData.headerRows ?? tableData.hasHeader) + '\n\n';
+      });
+    }
+
+    // Add extracted text
+    if (result.extractedText) {
+      if (listTables) {
+        output += `## Document Content\n\n`;
+      }
+      output += result.extractedText;
+    }
+
+    return output;
+  }
+};
+
+const textRenderer = {
+  name: 'text',
+  extension: '.txt',
+  suffix: '',
+  chunkable: false, // no header block or heading marks for the chunker to split on
+  render(result, options) {
+    const { document } = DocumentModel.fromResult(result);
+    const parts = [];
+
+    const contents = tableOfContents(result, options);
+    if (contents) {
+      parts.push(`Contents\n\n${contents}`);
+    }
+
+    for (const section of document.sections) {
+      if (section.heading) {
+        parts.push(section.heading);
+      }
+      for (const block of section.blocks) {
+        if (block.type === 'paragraph') {
+          parts.push(block.text);
+        } else if (block.type === 'list') {
+          parts.push(listText(block));
+        } else if (block.type === 'table') {
+          parts.push(block.data.map(row => row.join('\t')).join('\n'));
+        }
+      }
+    }
+
+    return parts.join('\n\n') + '\n';
+  }
+};
+
+const markdownRenderer = {
+  name: 'markdown',
+  extension: '.md',
+  suffix: '',
+  chunkable: true,
+  render(result, options) {
+    const { document } = DocumentModel.fromResult(result);
+    const parts = [];
+
+    let header = `# ${document.title || document.file}\n\n`;
+    header += `**File:** ${document.file}  \n`;
+    header += `**Type:** ${document.mimeType}  \n`;
+    header += `**Processing Method:** ${document.processingMethod}`;
+    if (document.pages) {
+      header += `  \n**Pages:** ${document.pages}`;
+    }
+    if (document.figures.length > 0) {
+      header += `  \n**Figures:** ${document.figures.length}`;
+    }
+    if (document.quality) {
+      header += `  \n**Extraction Quality:** ${document.quality.score}/100`;
+    }
+    parts.push(header, '---');
+
+    const contents = tableOfContents(result, options);
+    if (contents) {
+      parts.push('## Table of Contents', contents);
+    }
+
+    for (const section of document.sections) {
+      if (section.heading) {
+        // The document title is the only level-1 heading
+        const level = Math.min(Math.max(section.level, 1) + 1, 6);
+        parts.push(`${'#'.repeat(level)} ${section.heading}`);
+      }
+      for (const block of section.blocks) {
+        if (block.type === 'paragraph') {
+          parts.push(block.text);
+        } else if (block.type === 'list') {
+          parts.push(listText(block));
+        } else if (block.type === 'table') {
+          parts.push(markdownTable(block.data, block.headerRows ?? block.hasHeader));
+        }
+      }
+    }
+
+    return parts.join('\n\n') + '\n';
+  }
+};
+
+const jsonRenderer = {
+  name: 'json',
+  extension: '.json',
+  suffix: '',
+  chunkable: false,
+  render(result) {
+    return JSON.stringify(DocumentModel.fromResult(result), null, 2);
+  }
+};
+
+class RendererRegistry {
+  constructor() {
+    this.renderers = new Map();
+  }
+
+  register(renderer) {
+    if (!renderer || !renderer.name || typeof renderer.render !== 'function') {
+      throw new DocumentEnhancerError('A renderer needs a name and a render(result) function', 'INVALID_RENDERER');
+    }
+
+    this.renderers.set(renderer.name, {
+      extension: '.txt',
+      suffix: '',
+      chunkable: true,
+      ...renderer
+    });
+    return this;
+  }
+
+  get(name) {
+    const renderer = this.renderers.get(name);
+    if (!renderer) {
+      throw new InvalidOptionError(`Unknown output format: ${name}. Available formats: ${this.names().join(', ')}`);
+    }
+    return renderer;
+  }
+
+  names() {
+    return [...this.renderers.keys()];
+  }
+
+  static withDefaults() {
+    return new RendererRegistry()
+      .register(enhancedTextRenderer)
+      .register(textRenderer)
+      .register(markdownRenderer)
+      .register(jsonRenderer);
+  }
+}
+
+module.exports = {
+  RendererRegistry,
+  markdownTable,
+  boxTable
+};
@@ -0,0 +1,382 @@
+const crypto = require('crypto');
+const http = require('http');
+const path = require('path');
+const mime = require('mime');
+const DocumentProcessor = require('./processor');
+const { DocumentEnhancerError, InvalidOptionError } = require('./errors');
+const { version } = require('../package.json');
+
+const STATUS_BY_CODE = {
+  INVALID_OPTION: 400,
+  BAD_REQUEST: 400,
+  NOT_FOUND: 404,
+  JOB_NOT_READY: 409,
+  PAYLOAD_TOO_LARGE: 413,
+  UNSUPPORTED_FORMAT: 415,
+  EXTRACTION_FAILED: 422,
+  OCR_UNAVAILABLE: 422,
+  SERVER_BUSY: 503,
+  FILE_TIMEOUT: 504
+};
+
+const CONTENT_TYPES = {
+  '.json': 'application/json; charset=utf-8',
+  '.md': 'text/markdown; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8'
+};
+
+class DocumentServer {
+  constructor(options = {}) {
+    this.options = {
+      port: 3000,
+      host: '127.0.0.1',
+      maxBodyBytes: 25 * 1024 * 1024, // larger uploads are rejected with 413
+      asyncThresholdBytes: 5 * 1024 * 1024, // larger uploads to /convert become jobs
+      maxQueue: 50, // conversions waiting for a free slot before requests get 503
+      jobTtl: 60 * 60 * 1000, // finished jobs are kept this long (ms)
+      processorOptions: {},
+      ...options
+    };
+
+    this.processors = new Map();
+    this.jobs = new Map();
+    this.active = 0;
+    this.waiting = [];
+    this.startedAt = Date.now();
+    this.server = http.createServer((req, res) => this.handle(req, res));
+  }
+
+  // One processor per output format, since inline tables are rendered during extraction
+  processorFor(format) {
+    const outputFormat = format || this.options.processorOptions.outputFormat || 'enhanced-text';
+    if (!this.processors.has(outputFormat)) {
+      const processor = new DocumentProcessor({ ...this.options.processorOptions, outputFormat });
+      processor.renderers.get(outputFormat);
+      this.processors.set(outputFormat, processor);
+    }
+    return this.processors.get(outputFormat);
+  }
+
+  get concurrency() {
+    return Math.max(1, this.processorFor().options.concurrency || 1);
+  }
+
+  listen() {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.options.port, this.options.host, () => {
+        this.server.off('error', reject);
+        this.cleanupTimer = setInterval(() => this.expireJobs(), 60 * 1000);
+        this.cleanupTimer.unref();
+        resolve(this.server.address());
+      });
+    });
+  }
+
+  close() {
+    clearInterval(this.cleanupTimer);
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+
+  async handle(req, res) {
+    try {
+      const url = new URL(req.url, 'http://localhost');
+      const route = `${req.method} ${url.pathname.replace(/\/+$/, '') || '/'}`;
+      const jobMatch = /^\/jobs\/([\w-]+)(\/result)?$/.exec(url.pathname);
+
+      if (route === 'GET /health') {
+        return this.sendJson(res, 200, this.health());
+      }
+      if (route === 'POST /convert') {
+        return await this.convert(req, res, url);
+      }
+      if (route === 'POST /jobs') {
+        return await this.createJob(req, res, url);
+      }
+      if (jobMatch && req.method === 'GET') {
+        return jobMatch[2] ? this.jobResult(res, jobMatch[1]) : this.jobStatus(res, jobMatch[1]);
+      }
+      if (jobMatch && !jobMatch[2] && req.method === 'DELETE') {
+        return this.deleteJob(res, jobMatch[1]);
+      }
+
+      throw new DocumentEnhancerError(`No route for ${req.method} ${url.pathname}`, 'NOT_FOUND');
+    } catch (error) {
+      this.sendError(res, error);
+    }
+  }
+
+  health() {
+    const jobs = [...this.jobs.values()];
+    return {
+      status: 'ok',
+      version,
+      uptimeSeconds: Math.round((Date.now() - this.startedAt) / 1000),
+      active: this.active,
+      queued: this.waiting.length,
+      concurrency: this.concurrency,
+      jobs: {
+        queued: jobs.filter(job => job.status === 'queued').length,
+        running: jobs.filter(job => job.status === 'running').length,
+        done: jobs.filter(job => job.status === 'done').length,
+        failed: jobs.filter(job => job.status === 'failed').length
+      },
+      formats: this.processorFor().renderers.names(),
+      inputs: this.processorFor().handlers.extensions(),
+      maxBodyBytes: this.options.maxBodyBytes
+    };
+  }
+
+  async convert(req, res, url) {
+    const upload = await this.readUpload(req, url);
+
+    // Large files would hold the connection open too long; hand back a job instead
+    if (upload.buffer.length > this.options.asyncThresholdBytes) {
+      return this.sendJson(res, 202, this.startJob(upload));
+    }
+
+    const result = await this.runLimited(upload);
+    this.sendOutput(res, result, upload.format);
+  }
+
+  async createJob(req, res, url) {
+    const upload = await this.readUpload(req, url);
+    this.sendJson(res, 202, this.startJob(upload));
+  }
+
+  startJob(upload) {
+    const job = {
+      id: crypto.randomUUID(),
+      status: 'queued',
+      filename: upload.filename,
+      format: upload.format,
+      bytes: upload.buffer.length,
+      createdAt: new Date().toISOString()
+    };
+    this.jobs.set(job.id, job);
+
+    this.runLimited(upload, () => { job.status = 'running'; })
+      .then(result => {
+        job.status = 'done';
+        job.result = result;
+      })
+      .catch(error => {
+        job.status = 'failed';
+        job.error = { code: error.code || 'EXTRACTION_FAILED', message: error.message };
+      })
+      .finally(() => {
+        job.finishedAt = new Date().toISOString();
+      });
+
+    return { ...this.describeJob(job), statusUrl: `/jobs/${job.id}`, resultUrl: `/jobs/${job.id}/result` };
+  }
+
+  describeJob(job) {
+    const { result, ...description } = job;
+    return description;
+  }
+
+  findJob(id) {
+    const job = this.jobs.get(id);
+    if (!job) {
+      throw new DocumentEnhancerError(`Unknown job: ${id}`, 'NOT_FOUND');
+    }
+    return job;
+  }
+
+  jobStatus(res, id) {
+    this.sendJson(res, 200, this.describeJob(this.findJob(id)));
+  }
+
+  jobResult(res, id) {
+    const job = this.findJob(id);
+    if (job.status === 'failed') {
+      throw new DocumentEnhancerError(job.error.message, job.error.code);
+    }
+    if (job.status !== 'done') {
+      throw new DocumentEnhancerError(`Job ${id} is ${job.status}`, 'JOB_NOT_READY');
+    }
+    this.sendOutput(res, job.result, job.format);
+  }
+
+  deleteJob(res, id) {
+    this.findJob(id);
+    this.jobs.delete(id);
+    res.writeHead(204);
+    res.end();
+  }
+
+  expireJobs() {
+    const cutoff = Date.now() - this.options.jobTtl;
+    for (const [id, job] of this.jobs) {
+      if (job.finishedAt && Date.parse(job.finishedAt) < cutoff) {
+        this.jobs.delete(id);
+      }
+    }
+  }
+
+  // Same slot limit and per-file timeout as processMultipleFiles, shared by every request
+  async runLimited(upload, onStart) {
+    if (this.active >= this.concurrency) {
+      if (this.waiting.length >= this.options.maxQueue) {
+        throw new DocumentEnhancerError('Too many conversions waiting, try again later', 'SERVER_BUSY');
+      }
+      await new Promise(resolve => this.waiting.push(resolve));
+    } else {
+      this.active++;
+    }
+
+    try {
+      if (onStart) onStart();
+      const processor = this.processorFor(upload.format);
+      // Resolves or rejects only once the conversion has stopped, so the slot is not freed early
+      return await processor.withTimeout(
+        signal => processor.processBuffer(upload.buffer, { filename: upload.filename, mimeType: upload.mimeType, signal }),
+        upload.filename
+      );
+    } finally {
+      // A freed slot passes straight to the next waiting conversion
+      const next = this.waiting.shift();
+      if (next) {
+        next();
+      } else {
+        this.active--;
+      }
+    }
+  }
+
+  async readUpload(req, url) {
+    const declared = parseInt(req.headers['content-length'], 10);
+    if (declared > this.options.maxBodyBytes) {
+      req.resume();
+      throw this.tooLarge();
+    }
+
+    const body = await this.readBody(req);
+    if (body.length === 0) {
+      throw new DocumentEnhancerError('Request body is empty; send the document as the body or as a multipart "file" field', 'BAD_REQUEST');
+    }
+
+    const contentType = req.headers['content-type'] || '';
+    const fields = {};
+    let upload;
+
+    if (/^multipart\/form-data/i.test(contentType)) {
+      const parts = this.parseMultipart(body, contentType);
+      const file = parts.find(part => part.filename !== undefined) || parts.find(part => part.name === 'file');
+      if (!file) {
+        throw new DocumentEnhancerError('Multipart request has no file field', 'BAD_REQUEST');
+      }
+      parts.filter(part => part !== file).forEach(part => { fields[part.name] = part.data.toString('utf8'); });
+      upload = { buffer: file.data, filename: file.filename, mimeType: file.contentType };
+    } else {
+      upload = {
+        buffer: body,
+        filename: url.searchParams.get('filename') || req.headers['x-filename'],
+        mimeType: contentType.split(';')[0].trim() || undefined
+      };
+    }
+
+    // application/octet-stream says nothing about the format; leave detection to content sniffing
+    if (upload.mimeType === 'application/octet-stream') {
+      upload.mimeType = undefined;
+    }
+    if (!upload.filename && upload.mimeType && mime.getExtension(upload.mimeType)) {
+      upload.filename = `document.${mime.getExtension(upload.mimeType)}`;
+    }
+    upload.filename = path.basename(upload.filename || 'document');
+
+    const format = url.searchParams.get('format') || fields.format;
+    if (format) {
+      this.processorFor(format);
+    }
+    upload.format = format || undefined;
+    return upload;
+  }
+
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+      req.on('data', chunk => {
+        size += chunk.length;
+        if (size > this.options.maxBodyBytes) {
+          req.removeAllListeners('data');
+          req.resume();
+          reject(this.tooLarge());
+          return;
+        }
+        chunks.push(chunk);
+      });
+      req.on('end', () => resolve(Buffer.concat(chunks)));
+      req.on('error', reject);
+    });
+  }
+
+  tooLarge() {
+    return new DocumentEnhancerError(`Upload exceeds the ${this.options.maxBodyBytes} byte limit`, 'PAYLOAD_TOO_LARGE');
+  }
+
+  parseMultipart(body, contentType) {
+    const boundaryMatch = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType);
+    if (!boundaryMatch) {
+      throw new InvalidOptionError('Multipart request without a boundary');
+    }
+
+    const delimiter = Buffer.from(`--${boundaryMatch[1] || boundaryMatch[2]}`);
+    const parts = [];
+    let start = body.indexOf(delimiter);
+
+    while (start !== -1) {
+      const next = body.indexOf(delimiter, start + delimiter.length);
+      if (next === -1) break;
+
+      // Each part: CRLF, headers, blank line, data, CRLF before the next delimiter
+      const part = body.subarray(start + delimiter.length + 2, next - 2);
+      const headerEnd = part.indexOf('\r\n\r\n');
+      if (headerEnd !== -1) {
+        const headers = part.subarray(0, headerEnd).toString('utf8');
+        const disposition = /content-disposition:([^\r\n]*)/i.exec(headers)?.[1] || '';
+        parts.push({
+          name: /\bname="([^"]*)"/i.exec(disposition)?.[1],
+          filename: /\bfilename="([^"]*)"/i.exec(disposition)?.[1],
+          contentType: /content-type:\s*([^\r\n;]*)/i.exec(headers)?.[1],
+          data: part.subarray(headerEnd + 4)
+        });
+      }
+      start = next;
+    }
+
+    return parts;
+  }
+
+  sendOutput(res, result, format) {
+    const processor = this.processorFor(format);
+    const renderer = processor.renderers.get(processor.options.outputFormat);
+    res.writeHead(200, {
+      'Content-Type': CONTENT_TYPES[renderer.extension] || 'text/plain; charset=utf-8',
+      'X-Document-Pages': String(result.metadata?.pages || ''),
+      'X-Document-Tables': String(result.tables?.length || 0),
+      'X-Processing-Method': result.processingMethod,
+      'X-Document-Quality': String(result.quality?.score ?? '')
+    });
+    res.end(result.claudeReady);
+  }
+
+  sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(body, null, 2));
+  }
+
+  sendError(res, error) {
+    const code = error.code || 'INTERNAL_ERROR';
+    const status = STATUS_BY_CODE[code] || (error instanceof DocumentEnhancerError ? 400 : 500);
+    if (res.headersSent) {
+      res.end();
+      return;
+    }
+    this.sendJson(res, status, { error: { code, message: error.message } });
+  }
+}
+
+module.exports = DocumentServer;
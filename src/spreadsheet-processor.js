@@ -0,0 +1,210 @@
+const path = require('path');
+const XLSX = require('xlsx');
+const { detectHeaderRow, isNumericCell } = require('./table-utils');
+
+class SpreadsheetProcessor {
+  constructor(options = {}) {
+    this.options = {
+      maxSheetRows: 500, // rows per table before large sheets are summarized or paged
+      largeSheetMode: 'summarize', // 'summarize' or 'page'
+      fillMergedCells: true,
+      ...options
+    };
+  }
+
+  async processDocument(filePath) {
+    try {
+      const isCsv = path.extname(filePath).toLowerCase() === '.csv';
+
+      // Cached formula values are read by default; CSV cells stay as written
+      const workbook = XLSX.readFile(filePath, {
+        cellDates: true,
+        cellFormula: false,
+        raw: isCsv
+      });
+
+      const tables = [];
+      const sheets = [];
+
+      for (const sheetName of workbook.SheetNames) {
+        const sheet = workbook.Sheets[sheetName];
+        const data = this.sheetToRows(sheet);
+        if (data.length === 0) {
+          sheets.push({ name: sheetName, rows: 0, columns: 0 });
+          continue;
+        }
+
+        const columns = data.reduce((max, row) => Math.max(max, row.length), 0);
+        const merges = (sheet['!merges'] || []).map(range => XLSX.utils.encode_range(range));
+        const sheetTables = this.splitLargeSheet(data);
+
+        sheetTables.forEach(table => {
+          tables.push({
+            index: tables.length + 1,
+            sheet: sheetName,
+            rows: table.data.length,
+            columns,
+            hasHeader: detectHeaderRow(data),
+            ...(merges.length > 0 ? { merges } : {}),
+            ...table
+          });
+        });
+
+        sheets.push({
+          name: sheetName,
+          rows: data.length,
+          columns,
+          truncated: data.length > this.options.maxSheetRows
+        });
+      }
+
+      return {
+        success: true,
+        tables,
+        metadata: {
+          fileType: isCsv ? 'CSV' : 'Spreadsheet',
+          sheets,
+          tablesFound: tables.length
+        }
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        cause: error
+      };
+    }
+  }
+
+  sheetToRows(sheet) {
+    if (!sheet['!ref']) return [];
+
+    const range = XLSX.utils.decode_range(sheet['!ref']);
+    const rows = [];
+
+    for (let r = range.s.r; r <= range.e.r; r++) {
+      const row = [];
+      for (let c = range.s.c; c <= range.e.c; c++) {
+        row.push(this.formatCell(sheet[XLSX.utils.encode_cell({ r, c })]));
+      }
+      rows.push(row);
+    }
+
+    // Merged ranges only store their value in the top-left cell
+    if (this.options.fillMergedCells) {
+      for (const merge of sheet['!merges'] || []) {
+        const value = rows[merge.s.r - range.s.r]?.[merge.s.c - range.s.c] ?? '';
+        for (let r = merge.s.r; r <= merge.e.r; r++) {
+          for (let c = merge.s.c; c <= merge.e.c; c++) {
+            if (rows[r - range.s.r]) {
+              rows[r - range.s.r][c - range.s.c] = value;
+            }
+          }
+        }
+      }
+    }
+
+    // Drop trailing empty rows and columns
+    while (rows.length > 0 && rows[rows.length - 1].every(cell => !cell)) {
+      rows.pop();
+    }
+    let lastColumn = 0;
+    rows.forEach(row => {
+      row.forEach((cell, index) => {
+        if (cell) lastColumn = Math.max(lastColumn, index + 1);
+      });
+    });
+    return rows.map(row => row.slice(0, lastColumn));
+  }
+
+  formatCell(cell) {
+    if (!cell || cell.v === undefined || cell.v === null) return '';
+
+    if (cell.t === 'd' || cell.v instanceof Date) {
+      return this.formatDate(cell.v);
+    }
+    if (cell.t === 'e') {
+      return cell.w || '#ERROR';
+    }
+    if (cell.t === 'n' && cell.w) {
+      return cell.w.trim();
+    }
+    if (cell.t === 'b') {
+      return cell.v ? 'TRUE' : 'FALSE';
+    }
+    return String(cell.w ?? cell.v).trim();
+  }
+
+  formatDate(date) {
+    // SheetJS builds dates in local time, so format from local components
+    const pad = value => String(value).padStart(2, '0');
+    const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    const hasTime = date.getHours() || date.getMinutes();
+    return hasTime ? `${day} ${pad(date.getHours())}:${pad(date.getMinutes())}` : day;
+  }
+
+  splitLargeSheet(data) {
+    const limit = this.options.maxSheetRows;
+    if (!limit || data.length <= limit) {
+      return [{ data }];
+    }
+
+    const hasHeader = detectHeaderRow(data);
+    const header = hasHeader ? [data[0]] : [];
+    const body = hasHeader ? data.slice(1) : data;
+
+    if (this.options.largeSheetMode === 'page') {
+      // Repeat the header row on every page of rows
+      const pageSize = Math.max(limit - header.length, 1);
+      const pages = [];
+      for (let start = 0; start < body.length; start += pageSize) {
+        const end = Math.min(start + pageSize, body.length);
+        pages.push({
+          data: [...header, ...body.slice(start, end)],
+          rowRange: [start + 1, end],
+          totalRows: body.length
+        });
+      }
+      return pages;
+    }
+
+    const shown = body.slice(0, Math.max(limit - header.length, 1));
+    return [{
+      data: [...header, ...shown],
+      truncated: true,
+      totalRows: body.length,
+      summary: this.summarizeColumns(header[0], body)
+    }];
+  }
+
+  summarizeColumns(header, body) {
+    const columns = body.reduce((max, row) => Math.max(max, row.length), 0);
+    const summary = [];
+
+    for (let c = 0; c < columns; c++) {
+      const values = body.map(row => row[c]).filter(value => value);
+      const numbers = values
+        .filter(isNumericCell)
+        .map(value => parseFloat(value.replace(/[^\d.-]/g, '')))
+        .filter(value => !Number.isNaN(value));
+
+      const column = {
+        column: header ? header[c] : XLSX.utils.encode_col(c),
+        filled: values.length
+      };
+
+      if (numbers.length > 0 && numbers.length >= values.length / 2) {
+        column.min = numbers.reduce((min, value) => Math.min(min, value), Infinity);
+        column.max = numbers.reduce((max, value) => Math.max(max, value), -Infinity);
+        column.sum = Math.round(numbers.reduce((sum, value) => sum + value, 0) * 100) / 100;
+      } else {
+        column.distinct = new Set(values).size;
+      }
+      summary.push(column);
+    }
+
+    return summary;
+  }
+}
+
+module.exports = SpreadsheetProcessor;
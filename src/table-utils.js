@@ -0,0 +1,278 @@
+function isNumericCell(cell) {
+  return /^[-+(]?[$€£¥]?\s?\d[\d,.\s]*%?\)?$|^\d+(k|m|bn)$/i.test(String(cell).trim());
+}
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MONTH_NAME = '(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\\.?';
+
+const CELL_PATTERNS = {
+  percent: /^[-+]?\d[\d,]*(\.\d+)?\s?%$/,
+  currency: /^[-+(]?(?:[$€£¥]\s?[-+]?\d[\d,]*(\.\d+)?|\d[\d,]*(\.\d+)?\s?[$€£¥])\)?$/,
+  number: /^[-+(]?(\d{1,3}(,\d{3})+|\d+)(\.\d+)?\)?$|^[-+]?\d*\.\d+$|^[-+]?\d+(\.\d+)?e[-+]?\d+$/i,
+  date: new RegExp(
+    '^\\d{4}-\\d{2}-\\d{2}([ T]\\d{2}:\\d{2}(:\\d{2})?)?$' + // 2024-03-05, 2024-03-05 14:30
+    '|^\\d{1,2}[/.]\\d{1,2}[/.]\\d{4}$' + // 05/03/2024
+    `|^\\d{1,2}\\s+${MONTH_NAME},?\\s+\\d{4}$` + // 5 March 2024
+    `|^${MONTH_NAME}\\s+\\d{1,2},?\\s+\\d{4}$`, // March 5, 2024
+    'i'
+  )
+};
+
+// 'number', 'currency', 'percent', 'date', 'text', or null for an empty cell
+function cellType(cell) {
+  const value = String(cell ?? '').trim();
+  if (!value) return null;
+  for (const [type, pattern] of Object.entries(CELL_PATTERNS)) {
+    if (pattern.test(value)) return type;
+  }
+  return 'text';
+}
+
+function detectHeaderRow(data) {
+  if (!data || data.length < 2) return false;
+
+  const [first, ...body] = data;
+  const firstCells = first.map(cell => String(cell).trim());
+
+  // Headers label every column and are not numbers or dates themselves
+  if (firstCells.some(cell => !cell) || firstCells.some(cell => isNumericCell(cell) || cellType(cell) === 'date')) {
+    return false;
+  }
+
+  const bodyHasValues = body.some(row => row.some(cell => isNumericCell(cell) || cellType(cell) === 'date'));
+  if (bodyHasValues) return true;
+
+  // Text-only tables: headers tend to be shorter than the cells below them
+  const average = cells => cells.reduce((sum, cell) => sum + String(cell).length, 0) / Math.max(cells.length, 1);
+  const bodyAverage = average(body.flat());
+  return average(firstCells) <= bodyAverage;
+}
+
+function cellAddress(row, column) {
+  let letters = '';
+  for (let n = column + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  }
+  return `${letters}${row + 1}`;
+}
+
+// Text of an HTML table cell; a table nested in it is numbered separately and only
+// referenced here as "[Table N]" (numbers maps each <table> element to its number)
+function htmlCellText($, cell, numbers) {
+  let text = '';
+  $(cell).contents().each((index, node) => {
+    if (node.type === 'text') {
+      text += node.data;
+    } else if (node.tagName === 'table') {
+      text += numbers.has(node) ? ` [Table ${numbers.get(node)}] ` : ' ';
+    } else if (node.type === 'tag') {
+      text += htmlCellText($, node, numbers);
+    }
+  });
+  return text;
+}
+
+// Every table below root in document order, so an outer table comes right before those nested in it
+function numberHtmlTables($, root) {
+  return new Map(root.find('table').toArray().map((table, index) => [table, index + 1]));
+}
+
+// Lay an HTML table out on a grid, honoring colspan/rowspan. Spanned cells repeat the
+// merged value (like fillMergedCells for spreadsheets); merges are listed as "A1:B2".
+function htmlTableGrid($, $table, cellText = cell => $(cell).text().trim(), { fillMerged = true } = {}) {
+  const grid = [];
+  const merges = [];
+  const headerRow = []; // per row: every cell is a <th> or sits in <thead>
+  let r = -1;
+
+  // Only the table's own rows and cells; a nested table stays inside the cell that holds it
+  const rows = $table.children('tr').add($table.children('thead, tbody, tfoot').children('tr'));
+  rows.each((rowIndex, row) => {
+    const cells = $(row).children('td, th');
+    if (cells.length === 0) return;
+
+    r++;
+    grid[r] = grid[r] || [];
+    let c = 0;
+
+    cells.each((cellIndex, cell) => {
+      while (grid[r][c] !== undefined) c++;
+
+      const colspan = Math.max(1, parseInt($(cell).attr('colspan'), 10) || 1);
+      const rowspan = Math.max(1, parseInt($(cell).attr('rowspan'), 10) || 1);
+      const text = cellText(cell);
+
+      for (let dr = 0; dr < rowspan; dr++) {
+        grid[r + dr] = grid[r + dr] || [];
+        for (let dc = 0; dc < colspan; dc++) {
+          grid[r + dr][c + dc] = dr === 0 && dc === 0 ? text : (fillMerged ? text : '');
+        }
+      }
+      if (colspan > 1 || rowspan > 1) {
+        merges.push(`${cellAddress(r, c)}:${cellAddress(r + rowspan - 1, c + colspan - 1)}`);
+      }
+
+      const isHeader = cell.tagName === 'th' || $(cell).closest('thead').length > 0;
+      headerRow[r] = (headerRow[r] ?? true) && isHeader;
+      c += colspan;
+    });
+  });
+
+  // Cells a ragged row never reached become empty strings
+  const data = grid.map(row => Array.from(row, cell => cell ?? ''));
+  const headerRows = headerRow.findIndex(isHeader => !isHeader);
+  return {
+    data,
+    merges,
+    // Leading rows marked up as headers; Word repeats them on each page
+    headerRows: headerRows === -1 ? Math.min(headerRow.length, data.length - 1) : headerRows
+  };
+}
+
+// Column names from the header rows (true counts as one); stacked header cells are
+// joined ("Sales Q1"), blank ones become "Column N" and repeats get a "(2)" suffix
+function headerNames(data, headerRows) {
+  const columns = data.reduce((max, row) => Math.max(max, row.length), 0);
+  const seen = new Map();
+
+  return Array.from({ length: columns }, (value, index) => {
+    const parts = data.slice(0, Number(headerRows))
+      .map(row => String(row[index] ?? '').trim())
+      .filter((part, i, all) => part && all.indexOf(part) === i);
+    const label = parts.join(' ');
+    const name = label || `Column ${index + 1}`;
+    const count = (seen.get(name) || 0) + 1;
+    seen.set(name, count);
+    return count > 1 ? `${name} (${count})` : name;
+  });
+}
+
+// The type most body cells of each column share; mixed columns are 'text'
+function inferColumnTypes(data, headerRows) {
+  const headers = headerNames(data, headerRows);
+  const body = data.slice(Number(headerRows));
+
+  return headers.map((name, index) => {
+    const cells = body.map(row => String(row[index] ?? '').trim()).filter(Boolean);
+    const counts = {};
+    cells.forEach(cell => {
+      const type = cellType(cell);
+      counts[type] = (counts[type] || 0) + 1;
+    });
+
+    // Plain numbers in a currency column are still amounts
+    if (counts.currency && counts.number) {
+      counts.currency += counts.number;
+      delete counts.number;
+    }
+
+    const [type = 'empty', count = 0] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0] || [];
+    const column = { name, type: count >= cells.length * 0.9 ? type : 'text' };
+
+    if (column.type === 'currency') {
+      const symbol = cells.map(cell => /[$€£¥]/.exec(cell)).find(Boolean);
+      if (symbol) column.currency = symbol[0];
+    }
+    if (column.type === 'date') {
+      // 13/04/2024 can only be day-first; then the whole column is read that way
+      column.dayFirst = cells.some(cell => {
+        const parts = /^(\d{1,2})[/.](\d{1,2})[/.]\d{4}$/.exec(cell);
+        return parts && Number(parts[1]) > 12;
+      });
+    }
+    return column;
+  });
+}
+
+// Typed value for a cell: numbers without symbols or separators, dates as ISO strings
+function parseCell(cell, column) {
+  const value = String(cell ?? '').trim();
+  if (!value) return null;
+  const type = cellType(value);
+
+  if (['number', 'currency', 'percent'].includes(column.type) && ['number', 'currency', 'percent'].includes(type)) {
+    const negative = /^\(.*\)$/.test(value) || /^-|[$€£¥]\s?-/.test(value);
+    const number = parseFloat(value.replace(/[^\d.e+-]/gi, '').replace(/^[-+]/, ''));
+    return Number.isNaN(number) ? value : (negative ? -number : number);
+  }
+
+  if (column.type === 'date' && type === 'date') {
+    return parseDate(value, column.dayFirst) || value;
+  }
+
+  return value;
+}
+
+function parseDate(value, dayFirst) {
+  const pad = number => String(number).padStart(2, '0');
+  const iso = (year, month, day) => (month >= 1 && month <= 12 && day >= 1 && day <= 31)
+    ? `${year}-${pad(month)}-${pad(day)}`
+    : null;
+
+  let match = /^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}:\d{2}(?::\d{2})?))?$/.exec(value);
+  if (match) return match[4] ? `${match[1]}-${match[2]}-${match[3]}T${match[4]}` : `${match[1]}-${match[2]}-${match[3]}`;
+
+  match = /^(\d{1,2})[/.](\d{1,2})[/.](\d{4})$/.exec(value);
+  if (match) {
+    const [first, second] = [Number(match[1]), Number(match[2])];
+    return dayFirst ? iso(match[3], second, first) : iso(match[3], first, second);
+  }
+
+  match = /^(\d{1,2})\s+([a-z]+)\.?,?\s+(\d{4})$/i.exec(value) || /^([a-z]+)\.?\s+(\d{1,2}),?\s+(\d{4})$/i.exec(value);
+  if (match) {
+    const dayFirstForm = /^\d/.test(match[1]);
+    const monthName = dayFirstForm ? match[2] : match[1];
+    const day = Number(dayFirstForm ? match[1] : match[2]);
+    return iso(match[3], MONTHS.indexOf(monthName.slice(0, 3).toLowerCase()) + 1, day);
+  }
+  return null;
+}
+
+// Column names and types, added to every table after extraction
+function normalizeTable(table) {
+  const data = table.data || [];
+  const headerRows = table.headerRows ?? (table.hasHeader ? 1 : 0);
+  const columnTypes = inferColumnTypes(data, headerRows);
+  return {
+    ...table,
+    hasHeader: headerRows > 0,
+    headerRows,
+    columns: columnTypes.length,
+    columnTypes
+  };
+}
+
+// One object per body row, keyed by the (deduplicated) header names
+function tableToRecords(table) {
+  const headerRows = table.headerRows ?? Number(Boolean(table.hasHeader));
+  const columns = table.columnTypes || inferColumnTypes(table.data, headerRows);
+  const body = table.data.slice(headerRows);
+  return body.map(row => Object.fromEntries(columns.map((column, index) => [column.name, parseCell(row[index], column)])));
+}
+
+// RFC 4180: quote fields containing commas, quotes or line breaks; rows padded to equal width
+function tableToCsv(data) {
+  const columns = data.reduce((max, row) => Math.max(max, row.length), 0);
+  const field = value => {
+    const text = String(value ?? '');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return data
+    .map(row => Array.from({ length: columns }, (value, index) => field(row[index])).join(','))
+    .join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  isNumericCell,
+  cellType,
+  detectHeaderRow,
+  htmlTableGrid,
+  htmlCellText,
+  numberHtmlTables,
+  headerNames,
+  inferColumnTypes,
+  parseCell,
+  normalizeTable,
+  tableToRecords,
+  tableToCsv
+};
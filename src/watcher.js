@@ -0,0 +1,231 @@
+const EventEmitter = require('events');
+const fs = require('fs-extra');
+const path = require('path');
+
+class DocumentWatcher extends EventEmitter {
+  constructor(processor, discovery, options = {}) {
+    super();
+    this.processor = processor;
+    this.discovery = discovery;
+    this.options = {
+      inputs: [],
+      outputDir: './output',
+      interval: 1000, // ms between scans of the watched paths
+      debounce: 2000, // a file must stay unchanged this long before it is processed
+      ...options
+    };
+
+    this.known = new Map(); // path → { size, mtimeMs, relativePath }
+    this.pending = new Map(); // path → { size, mtimeMs, relativePath, changedAt, added }
+    this.outputs = new Map(); // source path → files written for it
+    this.reportEntries = new Map(); // source path → slim result for batch_report.json
+    this.timer = null;
+    this.stopped = false;
+
+    this.processor.on('output:saved', ({ kind, source, path: outputPath, partPaths }) => {
+      if (!source) return;
+      const files = this.outputs.get(source) || new Set();
+      // The assets folder is shared by every document; only its own images belong to this one
+      [...(kind === 'assets' ? [] : [outputPath]), ...(partPaths || [])].forEach(file => files.add(file));
+      this.outputs.set(source, files);
+    });
+  }
+
+  async start() {
+    // Files already there are processed right away, without waiting for them to settle
+    await this.scan({ initial: true });
+    this.emit('watch:ready', { files: this.known.size });
+    this.schedule();
+  }
+
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.timer);
+  }
+
+  schedule() {
+    if (this.stopped) return;
+    this.timer = setTimeout(async () => {
+      // Errors are reported and the watch keeps going
+      try {
+        await this.scan();
+      } catch (error) {
+        this.emit('watch:error', { error });
+      }
+      this.schedule();
+    }, this.options.interval);
+  }
+
+  async snapshot() {
+    const { files } = await this.discovery.discover(this.options.inputs);
+    const current = new Map();
+
+    for (const file of files) {
+      try {
+        const stats = await fs.stat(file.path);
+        current.set(file.path, { size: stats.size, mtimeMs: stats.mtimeMs, relativePath: file.relativePath });
+      } catch (error) {
+        // Deleted between discovery and stat; the next scan sees it as removed
+      }
+    }
+    return current;
+  }
+
+  async scan({ initial = false } = {}) {
+    const current = await this.snapshot();
+    const now = Date.now();
+
+    for (const [filePath, state] of current) {
+      const known = this.known.get(filePath);
+      const pending = this.pending.get(filePath);
+      const changed = !known || known.size !== state.size || known.mtimeMs !== state.mtimeMs;
+
+      if (pending) {
+        // Still being written: restart the settle timer
+        if (pending.size !== state.size || pending.mtimeMs !== state.mtimeMs) {
+          this.pending.set(filePath, { ...state, changedAt: now, added: pending.added });
+        }
+      } else if (changed) {
+        this.pending.set(filePath, { ...state, changedAt: initial ? -Infinity : now, added: !known });
+      }
+    }
+
+    const removed = [...this.known.keys()].filter(filePath => !current.has(filePath));
+    for (const filePath of [...this.pending.keys()]) {
+      if (!current.has(filePath)) this.pending.delete(filePath);
+    }
+
+    const settled = [...this.pending.entries()]
+      .filter(([, state]) => now - state.changedAt >= this.options.debounce)
+      .map(([filePath, state]) => ({ path: filePath, ...state }));
+
+    if (removed.length > 0) {
+      await this.removeOutputs(removed);
+    }
+    if (settled.length > 0) {
+      await this.processFiles(settled);
+    }
+    if (removed.length > 0 || settled.length > 0) {
+      await this.writeReport();
+    }
+  }
+
+  async processFiles(files) {
+    this.emit('watch:change', {
+      added: files.filter(file => file.added).map(file => file.path),
+      changed: files.filter(file => !file.added).map(file => file.path)
+    });
+
+    const results = await this.processor.processMultipleFiles(files.map(file => file.path));
+    results.forEach((result, index) => {
+      result.relativePath = files[index].relativePath;
+    });
+
+    // Outputs are tracked afresh for every file that converted; those the new version no longer
+    // produces (parts of a longer document, tables and figures it lost) are removed
+    const previous = new Map();
+    files.forEach((file, index) => {
+      if (results[index].error) return;
+      previous.set(file.path, this.outputs.get(file.path) || new Set());
+      this.outputs.delete(file.path);
+    });
+
+    let saveError = null;
+    try {
+      await this.processor.saveResults(results, this.options.outputDir, { report: false });
+    } catch (error) {
+      saveError = error;
+      // Which outputs went stale cannot be told apart from half-written ones, so everything old
+      // and new stays tracked and is still removed with the source
+      for (const [filePath, outputs] of previous) {
+        this.outputs.set(filePath, new Set([...outputs, ...(this.outputs.get(filePath) || [])]));
+      }
+    }
+
+    if (saveError) {
+      // Reported as failed and retried when the file next changes, not on every scan
+      results.forEach((result, index) => {
+        if (result.error) return;
+        results[index] = {
+          originalPath: result.originalPath,
+          relativePath: result.relativePath,
+          error: `Could not save outputs: ${saveError.message}`,
+          code: saveError.code || null,
+          timedOut: false,
+          durationMs: result.durationMs,
+          success: false
+        };
+      });
+    } else {
+      const stale = [];
+      for (const [filePath, outputs] of previous) {
+        const current = this.outputs.get(filePath) || new Set();
+        stale.push(...[...outputs].filter(output => !current.has(output)));
+      }
+      await Promise.all(stale.map(output => fs.remove(output)));
+      await this.removeEmptyDirectories(stale);
+    }
+
+    files.forEach((file, index) => {
+      const { size, mtimeMs, relativePath } = file;
+      this.pending.delete(file.path);
+      this.known.set(file.path, { size, mtimeMs, relativePath });
+      this.reportEntries.set(file.path, this.reportEntry(results[index]));
+    });
+
+    this.emit('watch:processed', { results });
+  }
+
+  async removeOutputs(removed) {
+    for (const filePath of removed) {
+      const outputs = [...(this.outputs.get(filePath) || [])];
+      await Promise.all(outputs.map(output => fs.remove(output)));
+      await this.removeEmptyDirectories(outputs);
+
+      this.known.delete(filePath);
+      this.outputs.delete(filePath);
+      this.reportEntries.delete(filePath);
+      this.emit('watch:removed', { path: filePath, outputs });
+    }
+  }
+
+  // Folders such as <name>_tables or mirrored subfolders left empty by removed outputs
+  async removeEmptyDirectories(outputs) {
+    const root = path.resolve(this.options.outputDir);
+    const directories = [...new Set(outputs.map(output => path.resolve(path.dirname(output))))]
+      .sort((a, b) => b.length - a.length);
+
+    for (const directory of directories) {
+      for (let current = directory; current.startsWith(root + path.sep); current = path.dirname(current)) {
+        const entries = await fs.readdir(current).catch(() => null);
+        if (!entries || entries.length > 0) break;
+        await fs.remove(current);
+      }
+    }
+  }
+
+  // Only what buildReport reads, so the report can cover every watched file
+  reportEntry(result) {
+    const { originalPath, relativePath, error, code, timedOut, durationMs, fromCache, metadata, tables, quality } = result;
+    return {
+      originalPath,
+      relativePath,
+      error,
+      code,
+      timedOut,
+      durationMs,
+      fromCache,
+      metadata: { pages: metadata?.pages },
+      tables: (tables || []).map(({ index }) => ({ index })),
+      quality: quality && { score: quality.score, passed: quality.passed, issues: quality.issues }
+    };
+  }
+
+  async writeReport() {
+    await fs.ensureDir(this.options.outputDir);
+    const report = this.processor.buildReport([...this.reportEntries.values()]);
+    await fs.writeFile(path.join(this.options.outputDir, 'batch_report.json'), JSON.stringify(report, null, 2));
+  }
+}
+
+module.exports = DocumentWatcher;
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { setTimeout: delay } = require('timers/promises');
+const DocumentProcessor = require('../src/processor');
+
+async function withFiles(names, run) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'docenhancer-batch-'));
+  try {
+    const files = [];
+    for (const name of names) {
+      files.push(path.join(dir, name));
+      // .bin files hold bytes no handler recognizes
+      await fs.writeFile(files[files.length - 1], name.endsWith('.bin') ? Buffer.from([0, 1, 2, 255, 254, 0, 7]) : `${name}\n`);
+    }
+    await run(files);
+  } finally {
+    await fs.remove(dir);
+  }
+}
+
+// A handler that works for `steps` ticks, stopping early when its signal aborts
+function slowHandler(stats, { steps, honorSignal = true }) {
+  return {
+    name: 'slow',
+    extensions: ['.slow'],
+    process: async (filePath, result, processor, { signal }) => {
+      stats.running++;
+      stats.peak = Math.max(stats.peak, stats.running);
+      try {
+        for (let step = 0; step < steps; step++) {
+          if (honorSignal) signal?.throwIfAborted();
+          await delay(10);
+        }
+        result.extractedText = path.basename(filePath);
+        return result;
+      } finally {
+        stats.running--;
+        stats.finished++;
+      }
+    }
+  };
+}
+
+test('batch keeps results in input order and reports failures per file', async () => {
+  await withFiles(['a.txt', 'b.bin', 'c.md'], async (files) => {
+    const progress = [];
+    const results = await new DocumentProcessor({ concurrency: 2 }).processMultipleFiles(files, {
+      onProgress: event => progress.push(event.completed)
+    });
+
+    assert.deepEqual(results.map(result => path.basename(result.originalPath)), ['a.txt', 'b.bin', 'c.md']);
+    assert.equal(results[1].success, false);
+    assert.equal(results[1].code, 'UNSUPPORTED_FORMAT');
+    assert.ok(results[0].claudeReady && results[2].claudeReady);
+    assert.deepEqual(progress, [1, 2, 3]);
+  });
+});
+
+test('a timed-out file stops its handler before the next file starts', async () => {
+  await withFiles(['one.slow', 'two.slow', 'three.slow'], async (files) => {
+    const stats = { running: 0, peak: 0, finished: 0 };
+    const processor = new DocumentProcessor({ concurrency: 1, fileTimeout: 50 });
+    processor.registerHandler(slowHandler(stats, { steps: 1000 }));
+
+    const startedAt = Date.now();
+    const results = await processor.processMultipleFiles(files);
+
+    assert.ok(results.every(result => result.timedOut && result.code === 'FILE_TIMEOUT'));
+    assert.equal(stats.peak, 1);
+    assert.equal(stats.finished, 3);
+    assert.ok(Date.now() - startedAt < 2000);
+  });
+});
+
+test('a handler that ignores the signal keeps its slot until it is done', async () => {
+  await withFiles(['one.slow', 'two.slow'], async (files) => {
+    const stats = { running: 0, peak: 0, finished: 0 };
+    const processor = new DocumentProcessor({ concurrency: 1, fileTimeout: 30 });
+    processor.registerHandler(slowHandler(stats, { steps: 10, honorSignal: false }));
+
+    const results = await processor.processMultipleFiles(files);
+
+    assert.ok(results.every(result => result.timedOut));
+    assert.ok(results.every(result => result.durationMs >= 90));
+    assert.equal(stats.peak, 1);
+  });
+});
+
+test('withTimeout passes results and errors through when there is time', async () => {
+  const processor = new DocumentProcessor({ fileTimeout: 1000 });
+  assert.equal(await processor.withTimeout(async signal => (signal.aborted ? 'aborted' : 'done'), 'x'), 'done');
+  await assert.rejects(processor.withTimeout(async () => { throw new Error('boom'); }, 'x'), /boom/);
+
+  const unlimited = new DocumentProcessor({ fileTimeout: 0 });
+  assert.equal(await unlimited.withTimeout(async () => { await delay(20); return 'late'; }, 'x'), 'late');
+});
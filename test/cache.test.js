@@ -0,0 +1,177 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const ProcessingCache = require('../src/cache');
+const DocumentProcessor = require('../src/processor');
+
+async function tempDir() {
+  return fs.mkdtemp(path.join(os.tmpdir(), 'docenhancer-cache-'));
+}
+
+test('cache key depends on file content, not on the path', async () => {
+  const dir = await tempDir();
+  try {
+    const cache = new ProcessingCache({ directory: path.join(dir, 'cache') });
+    await fs.writeFile(path.join(dir, 'a.csv'), 'name,value\nA,1\n');
+    await fs.writeFile(path.join(dir, 'b.csv'), 'name,value\nA,1\n');
+    await fs.writeFile(path.join(dir, 'c.csv'), 'name,value\nA,2\n');
+
+    const [a, b, c] = await Promise.all(['a.csv', 'b.csv', 'c.csv']
+      .map(file => cache.keyFor(path.join(dir, file), {})));
+    assert.equal(a, b);
+    assert.notEqual(a, c);
+  } finally {
+    await fs.remove(dir);
+  }
+});
+
+test('cache key depends on the handler and extension reading the file', async () => {
+  const dir = await tempDir();
+  try {
+    const cache = new ProcessingCache({ directory: path.join(dir, 'cache') });
+    await fs.writeFile(path.join(dir, 'data.csv'), 'name,value\nA,1\n');
+    await fs.writeFile(path.join(dir, 'data.txt'), 'name,value\nA,1\n');
+    await fs.writeFile(path.join(dir, 'DATA.CSV'), 'name,value\nA,1\n');
+
+    const csv = await cache.keyFor(path.join(dir, 'data.csv'), {}, 'spreadsheet');
+    assert.notEqual(await cache.keyFor(path.join(dir, 'data.txt'), {}, 'text'), csv);
+    assert.notEqual(await cache.keyFor(path.join(dir, 'data.txt'), {}, 'spreadsheet'), csv);
+    assert.equal(await cache.keyFor(path.join(dir, 'DATA.CSV'), {}, 'spreadsheet'), csv);
+  } finally {
+    await fs.remove(dir);
+  }
+});
+
+test('same bytes as .csv and .txt are cached and served separately', async () => {
+  const dir = await tempDir();
+  try {
+    await fs.writeFile(path.join(dir, 'data.csv'), 'name,value\nA,1\nB,2\n');
+    await fs.writeFile(path.join(dir, 'data.txt'), 'name,value\nA,1\nB,2\n');
+    const options = { cache: true, cacheDir: path.join(dir, 'cache'), outputFormat: 'markdown' };
+
+    const first = new DocumentProcessor(options);
+    const csv = await first.processDocument(path.join(dir, 'data.csv'));
+    const txt = await first.processDocument(path.join(dir, 'data.txt'));
+    assert.equal(txt.fromCache, undefined);
+    assert.equal((await fs.readdir(options.cacheDir)).length, 2);
+
+    const second = new DocumentProcessor(options);
+    const cachedCsv = await second.processDocument(path.join(dir, 'data.csv'));
+    const cachedTxt = await second.processDocument(path.join(dir, 'data.txt'));
+    assert.equal(cachedCsv.fromCache, true);
+    assert.equal(cachedTxt.fromCache, true);
+    assert.equal(cachedCsv.claudeReady, csv.claudeReady);
+    assert.equal(cachedTxt.claudeReady, txt.claudeReady);
+    assert.notEqual(cachedCsv.claudeReady, cachedTxt.claudeReady);
+  } finally {
+    await fs.remove(dir);
+  }
+});
+
+test('cache key changes with extraction options but not with render options', () => {
+  const cache = new ProcessingCache({ directory: os.tmpdir() });
+  const base = cache.optionsFingerprint({ outputFormat: 'markdown', ocr: 'auto' });
+
+  assert.notEqual(cache.optionsFingerprint({ outputFormat: 'markdown', ocr: 'always' }), base);
+  assert.notEqual(cache.optionsFingerprint({ outputFormat: 'markdown', ocr: 'auto', pages: '1-3' }), base);
+
+  for (const outputFormat of ['json', 'text']) {
+    assert.equal(cache.optionsFingerprint({ outputFormat, ocr: 'auto' }), base);
+  }
+  assert.equal(cache.optionsFingerprint({
+    outputFormat: 'markdown', ocr: 'auto', concurrency: 8, chunkTokens: 2000, redact: 'mask', pageMarkers: false
+  }), base);
+
+  // Inline tables are drawn as boxes only for enhanced-text
+  assert.notEqual(cache.optionsFingerprint({ outputFormat: 'enhanced-text', ocr: 'auto' }), base);
+});
+
+test('cache key changes with the cache version', () => {
+  const options = { outputFormat: 'markdown' };
+  assert.notEqual(
+    new ProcessingCache({ version: '1.0.0' }).optionsFingerprint(options),
+    new ProcessingCache({ version: '2.0.0' }).optionsFingerprint(options)
+  );
+});
+
+test('cache round-trips entries and reports stats', async () => {
+  const dir = await tempDir();
+  try {
+    const cache = new ProcessingCache({ directory: path.join(dir, 'cache') });
+    assert.deepEqual(await cache.stats(), { entries: 0, bytes: 0 });
+    assert.equal(await cache.get('missing'), null);
+
+    await cache.set('key', { claudeReady: 'hello' });
+    assert.deepEqual(await cache.get('key'), { claudeReady: 'hello' });
+    assert.equal((await cache.stats()).entries, 1);
+
+    assert.equal((await cache.clear()).entries, 1);
+    assert.equal(await fs.pathExists(path.join(dir, 'cache')), false);
+  } finally {
+    await fs.remove(dir);
+  }
+});
+
+test('concurrent writes of one key all succeed and leave no temp files', async () => {
+  const dir = await tempDir();
+  try {
+    const cache = new ProcessingCache({ directory: path.join(dir, 'cache') });
+    await Promise.all(Array.from({ length: 10 }, (_, i) => cache.set('shared', { claudeReady: `run ${i}` })));
+
+    const files = await fs.readdir(path.join(dir, 'cache'));
+    assert.deepEqual(files, ['shared.json']);
+    assert.match((await cache.get('shared')).claudeReady, /^run \d$/);
+  } finally {
+    await fs.remove(dir);
+  }
+});
+
+test('identical files in one batch share a cache entry', async () => {
+  const dir = await tempDir();
+  try {
+    const files = [];
+    for (let i = 0; i < 6; i++) {
+      const file = path.join(dir, `copy-${i}.csv`);
+      await fs.writeFile(file, 'name,value\nA,1\nB,2\n');
+      files.push(file);
+    }
+
+    const cacheDir = path.join(dir, 'cache');
+    const first = new DocumentProcessor({ cache: true, cacheDir, concurrency: 3, outputFormat: 'markdown' });
+    const results = await first.processMultipleFiles(files);
+    assert.ok(results.every(result => result.success !== false), JSON.stringify(results.map(r => r.error)));
+    assert.deepEqual(await fs.readdir(cacheDir), [(await first.cache.keyFor(files[0], first.options, 'spreadsheet')) + '.json']);
+
+    const second = new DocumentProcessor({ cache: true, cacheDir, outputFormat: 'json' });
+    const again = await second.processDocument(files[0]);
+    assert.equal(again.fromCache, true);
+  } finally {
+    await fs.remove(dir);
+  }
+});
+
+test('runs that redact leave no personal data in the cache', async () => {
+  const dir = await tempDir();
+  try {
+    const file = path.join(dir, 'contacts.csv');
+    await fs.writeFile(file, 'name,email,phone\nJane Doe,jane.doe@example.com,555-123-4567\n');
+    const cacheDir = path.join(dir, 'cache');
+    const options = { cache: true, cacheDir, redact: 'mask', redactWords: ['Jane Doe'] };
+
+    const first = await new DocumentProcessor(options).processDocument(file);
+    const again = await new DocumentProcessor(options).processDocument(file);
+    for (const result of [first, again]) {
+      assert.doesNotMatch(result.claudeReady, /jane\.doe@example\.com|555-123-4567|Jane Doe/);
+    }
+    assert.equal(again.fromCache, undefined);
+
+    const entries = (await fs.pathExists(cacheDir)) ? await fs.readdir(cacheDir) : [];
+    for (const entry of entries) {
+      assert.doesNotMatch(await fs.readFile(path.join(cacheDir, entry), 'utf8'), /jane\.doe|555-123-4567|Jane Doe/);
+    }
+  } finally {
+    await fs.remove(dir);
+  }
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const DocumentChunker = require('../src/chunker');
+
+const HEADER = '# Report\n\n**Source:** report.pdf\n\n---\n\n';
+
+function paragraph(words) {
+  return Array.from({ length: words }, (_, i) => `word${i}`).join(' ');
+}
+
+test('chunker keeps a short document in one part', () => {
+  const chunks = new DocumentChunker({ chunkTokens: 1000 }).chunk(`${HEADER}## Intro\n\nHello there.\n`);
+
+  assert.equal(chunks.length, 1);
+  assert.equal(chunks[0].index, 1);
+  assert.deepEqual(chunks[0].sectionPath, ['Intro']);
+  assert.match(chunks[0].text, /^# Report\n/);
+  assert.match(chunks[0].text, /\*\*Part:\*\* 1 of 1\n/);
+});
+
+test('chunker keeps every part within the token budget', () => {
+  const body = Array.from({ length: 30 }, (_, i) => `## Section ${i}\n\n${paragraph(40)}`).join('\n\n');
+  const chunker = new DocumentChunker({ chunkTokens: 400 });
+  const chunks = chunker.chunk(HEADER + body);
+
+  assert.ok(chunks.length > 1);
+  for (const chunk of chunks) {
+    assert.ok(chunk.estimatedTokens <= 400, `part ${chunk.index} has ${chunk.estimatedTokens} tokens`);
+    assert.match(chunk.text, new RegExp(`\\*\\*Part:\\*\\* ${chunk.index} of ${chunks.length}\\n`));
+  }
+});
+
+test('chunker never leaves a heading at the end of a part', () => {
+  const body = Array.from({ length: 12 }, (_, i) => `## Heading ${i}\n\n${paragraph(60)}`).join('\n\n');
+  const chunks = new DocumentChunker({ chunkTokens: 500 }).chunk(HEADER + body);
+
+  for (const chunk of chunks) {
+    const lastBlock = chunk.text.trimEnd().split('\n\n').pop();
+    assert.doesNotMatch(lastBlock, /^#{1,6} /, `part ${chunk.index} ends with a heading`);
+  }
+});
+
+test('chunker tracks the section path of nested headings', () => {
+  const body = [
+    '# Guide', paragraph(150),
+    '## Install', paragraph(150),
+    '### Linux', paragraph(150),
+    '## Usage', paragraph(150)
+  ].join('\n\n');
+  const chunks = new DocumentChunker({ chunkTokens: 300 }).chunk(HEADER + body);
+  const paths = chunks.map(chunk => chunk.sectionPath.join(' > '));
+
+  assert.ok(paths.includes('Guide > Install > Linux'));
+  assert.ok(paths.includes('Guide > Usage'));
+  assert.ok(!paths.includes('Guide > Install > Usage'));
+  const usage = chunks.find(chunk => chunk.sectionPath.join(' > ') === 'Guide > Usage');
+  assert.match(usage.text, /\*\*Section:\*\* Guide > Usage\n/);
+});
+
+test('chunker splits a paragraph larger than the budget', () => {
+  const lines = Array.from({ length: 100 }, () => paragraph(20));
+  const chunks = new DocumentChunker({ chunkTokens: 300 }).chunk(HEADER + lines.join('\n'));
+
+  assert.ok(chunks.length > 1);
+  const rejoined = chunks.map(chunk => chunk.text.split('\n---\n\n')[1].trim()).join('\n');
+  assert.deepEqual(rejoined.split('\n'), lines);
+  for (const chunk of chunks) {
+    assert.ok(chunk.estimatedTokens <= 300);
+  }
+});
+
+test('chunker hard-wraps a single line larger than the budget', () => {
+  const long = 'x'.repeat(5000);
+  const chunks = new DocumentChunker({ chunkTokens: 300 }).chunk(HEADER + long);
+
+  assert.ok(chunks.length > 1);
+  assert.equal(chunks.map(chunk => chunk.text.split('\n---\n\n')[1].trim()).join(''), long);
+  for (const chunk of chunks) {
+    assert.ok(chunk.estimatedTokens <= 300);
+  }
+});
+
+test('chunker keeps tables whole', () => {
+  const table = ['| Name | Value |', '|------|-------|', ...Array.from({ length: 20 }, (_, i) => `| row${i} | ${i} |`)].join('\n');
+  const body = `${paragraph(200)}\n\n${table}\n\n${paragraph(200)}`;
+  const chunks = new DocumentChunker({ chunkTokens: 300 }).chunk(HEADER + body);
+
+  const holders = chunks.filter(chunk => chunk.text.includes('| Name | Value |'));
+  assert.equal(holders.length, 1);
+  assert.ok(holders[0].text.includes(table));
+});
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { ConfigLoader } = require('../src/config');
+const { ConfigError } = require('../src/errors');
+
+async function withConfig(name, config, run) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'docenhancer-config-'));
+  try {
+    const file = path.join(dir, name);
+    await fs.writeFile(file, typeof config === 'string' ? config : JSON.stringify(config));
+    await run(dir, file);
+  } finally {
+    await fs.remove(dir);
+  }
+}
+
+test('config loader finds the file and merges the named profile', async () => {
+  const config = {
+    outputFormat: 'markdown',
+    chunkTokens: 4000,
+    profiles: {
+      llm: { outputFormat: 'json', redact: 'mask' }
+    }
+  };
+
+  await withConfig('.docenhancerrc', config, async (dir, file) => {
+    const nested = path.join(dir, 'docs', 'drafts');
+    await fs.ensureDir(nested);
+
+    const base = await new ConfigLoader({ cwd: nested }).resolve();
+    assert.equal(base.file, file);
+    assert.deepEqual(base.profiles, ['llm']);
+    assert.deepEqual(base.options, { outputFormat: 'markdown', chunkTokens: 4000 });
+
+    const llm = await new ConfigLoader({ cwd: nested }).resolve('llm');
+    assert.equal(llm.profile, 'llm');
+    assert.deepEqual(llm.options, { outputFormat: 'json', chunkTokens: 4000, redact: 'mask' });
+  });
+});
+
+test('config loader resolves paths against the config file directory', async () => {
+  await withConfig('docenhancer.json', { outputDir: 'out', cacheDir: '../cache' }, async (dir, file) => {
+    const { options } = await new ConfigLoader({ file, cwd: os.tmpdir() }).resolve();
+    assert.equal(options.outputDir, path.join(dir, 'out'));
+    assert.equal(options.cacheDir, path.resolve(dir, '../cache'));
+  });
+});
+
+test('config loader reads JavaScript config files', async () => {
+  await withConfig('docenhancer.config.js', 'module.exports = { ocr: "never", include: ["**/*.pdf"] };', async (dir) => {
+    const { options } = await new ConfigLoader({ cwd: dir }).resolve();
+    assert.deepEqual(options, { ocr: 'never', include: ['**/*.pdf'] });
+  });
+});
+
+test('config loader reports every invalid value with the file name', async () => {
+  const config = {
+    outputFormat: 'markdwon',
+    chunktokens: 100,
+    concurrency: 0,
+    minQuality: 101,
+    include: '*.pdf',
+    profiles: { fast: { ocr: 'sometimes' }, broken: 'yes' }
+  };
+
+  await withConfig('.docenhancerrc.json', config, async (dir, file) => {
+    const error = await new ConfigLoader({ file }).resolve().catch(caught => caught);
+    assert.ok(error instanceof ConfigError);
+    assert.ok(error.message.startsWith(`Invalid configuration in ${file}:\n`));
+    assert.match(error.message, /outputFormat must be one of .*markdown.* \(got "markdwon"\)/);
+    assert.match(error.message, /unknown option "chunktokens" \(did you mean "chunkTokens"\?\)/);
+    assert.match(error.message, /concurrency must be at least 1/);
+    assert.match(error.message, /minQuality must be at most 100/);
+    assert.match(error.message, /include must be an array of strings/);
+    assert.match(error.message, /profiles\.fast\.ocr must be one of auto, always, never/);
+    assert.match(error.message, /profiles\.broken must be an object/);
+  });
+});
+
+test('config loader rejects unreadable files and unknown profiles', async () => {
+  await withConfig('.docenhancerrc', '{ "outputFormat": ', async (dir, file) => {
+    await assert.rejects(new ConfigLoader({ file }).resolve(), error => error instanceof ConfigError && error.message.includes(file));
+  });
+
+  await withConfig('.docenhancerrc', { profiles: { llm: {} } }, async (dir, file) => {
+    await assert.rejects(new ConfigLoader({ file }).resolve('fast'), /Unknown profile "fast".*Available profiles: llm/);
+  });
+
+  await assert.rejects(
+    new ConfigLoader({ file: path.join(os.tmpdir(), 'no-such-docenhancerrc') }).resolve(),
+    /Config file not found/
+  );
+});
+
+test('config validation accepts every renderer name for outputFormat', () => {
+  const loader = new ConfigLoader();
+  for (const outputFormat of ['enhanced-text', 'markdown', 'json', 'text']) {
+    assert.deepEqual(loader.validateOptions({ outputFormat }, ''), []);
+  }
+});
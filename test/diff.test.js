@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const DocumentProcessor = require('../src/processor');
+const DocumentDiffer = require('../src/document-diff');
+
+const OLD = `# Handbook
+
+## Leave
+
+Staff get 25 days of annual leave each year.
+
+Leave requests go to your manager.
+
+## Expenses
+
+Claims are paid monthly.
+
+| Item | Limit |
+|------|-------|
+| Hotel | 120 |
+| Meals | 40 |
+| Taxi | 30 |
+
+## Parking
+
+Parking is first come, first served.
+`;
+
+const NEW = `# Handbook
+
+## Leave
+
+Staff get 28 days of annual leave each year.
+
+Leave requests go to your manager.
+
+Unused leave can be carried over once.
+
+## Expenses
+
+Claims are paid monthly.
+
+| Item | Limit |
+|------|-------|
+| Hotel | 150 |
+| Meals | 40 |
+| Train | 60 |
+
+## Remote Work
+
+Remote work needs written approval.
+`;
+
+async function compare(oldText, newText) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'docenhancer-diff-'));
+  try {
+    await fs.writeFile(path.join(dir, 'v1.md'), oldText);
+    await fs.writeFile(path.join(dir, 'v2.md'), newText);
+    const processor = new DocumentProcessor({ outputFormat: 'markdown' });
+    const before = await processor.processDocument(path.join(dir, 'v1.md'));
+    const after = await processor.processDocument(path.join(dir, 'v2.md'));
+    const differ = new DocumentDiffer();
+    const diff = differ.compare(before, after);
+    return { diff, markdown: differ.toMarkdown(diff) };
+  } finally {
+    await fs.remove(dir);
+  }
+}
+
+test('diff reports section and paragraph changes', async () => {
+  const { diff } = await compare(OLD, NEW);
+
+  const leave = diff.sections.find(section => section.heading === 'Leave');
+  assert.equal(leave.status, 'changed');
+  assert.deepEqual(leave.path, ['Handbook', 'Leave']);
+  assert.deepEqual(leave.changes.map(change => change.type), ['changed', 'added']);
+  assert.equal(leave.changes[0].words, 'Staff get ~~25~~ **28** days of annual leave each year.');
+  assert.equal(leave.changes[1].text, 'Unused leave can be carried over once.');
+
+  assert.equal(diff.sections.find(section => section.heading === 'Parking').status, 'removed');
+  assert.equal(diff.sections.find(section => section.heading === 'Remote Work').status, 'added');
+  assert.equal(diff.sections.find(section => section.heading === 'Expenses').status, 'unchanged');
+  assert.equal(diff.summary.identical, false);
+});
+
+test('diff reports table cell and row changes', async () => {
+  const { diff } = await compare(OLD, NEW);
+
+  assert.equal(diff.tables.length, 1);
+  const [table] = diff.tables;
+  assert.equal(table.status, 'changed');
+  assert.deepEqual(table.cells.map(({ label, column, old, new: value }) => ({ label, column, old, new: value })), [
+    { label: 'Hotel', column: 'Limit', old: '120', new: '150' }
+  ]);
+  assert.deepEqual(table.rowsRemoved.map(row => row.cells), [['Taxi', '30']]);
+  assert.deepEqual(table.rowsAdded.map(row => row.cells), [['Train', '60']]);
+  assert.equal(diff.summary.cellsChanged, 1);
+});
+
+test('diff renders markers in the markdown report', async () => {
+  const { markdown } = await compare(OLD, NEW);
+
+  assert.match(markdown, /^# Document Comparison\n/);
+  assert.match(markdown, /\*\*Old:\*\* v1\.md/);
+  assert.match(markdown, /\*\*New:\*\* v2\.md/);
+  assert.match(markdown, /### Handbook › Leave \[CHANGED\]/);
+  assert.match(markdown, /- \*\*\[CHANGED\]\*\* Staff get ~~25~~ \*\*28\*\* days/);
+  assert.match(markdown, /- \*\*\[ADDED\]\*\* Unused leave can be carried over once\./);
+  assert.match(markdown, /### Handbook › Parking \[REMOVED\]/);
+  assert.match(markdown, /- \*\*\[REMOVED\]\*\* ~~Parking is first come, first served\.~~/);
+  assert.match(markdown, /## Table Changes/);
+  assert.match(markdown, /\| 1 \(Hotel\) \| Limit \| 120 \| 150 \|/);
+  assert.doesNotMatch(markdown, /Expenses \[/);
+});
+
+test('diff of identical documents reports no differences', async () => {
+  const { diff, markdown } = await compare(OLD, OLD);
+
+  assert.equal(diff.summary.identical, true);
+  assert.match(markdown, /\*\*Changes:\*\* none/);
+  assert.match(markdown, /No differences found\.\n$/);
+});
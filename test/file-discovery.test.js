@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const FileDiscovery = require('../src/file-discovery');
+const DocumentProcessor = require('../src/processor');
+
+async function withTree(files, run) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'docenhancer-discovery-'));
+  try {
+    for (const [name, content] of Object.entries(files)) {
+      await fs.outputFile(path.join(dir, name), content);
+    }
+    await run(dir);
+  } finally {
+    await fs.remove(dir);
+  }
+}
+
+const relativePaths = ({ files }) => files.map(file => file.relativePath);
+
+test('a single folder keeps paths relative to itself', async () => {
+  await withTree({ 'd/2023/report.txt': 'a\n', 'd/2023/notes/todo.txt': 'b\n', 'd/2023/.hidden.txt': 'c\n' }, async (dir) => {
+    const found = await new FileDiscovery().discover([path.join(dir, 'd/2023')]);
+    assert.deepEqual(relativePaths(found), ['notes/todo.txt', 'report.txt']);
+  });
+});
+
+test('two folders are mirrored from the folder they share', async () => {
+  await withTree({ 'd/2023/report.txt': '2023\n', 'd/2024/report.txt': '2024\n' }, async (dir) => {
+    const found = await new FileDiscovery().discover([path.join(dir, 'd/2023'), path.join(dir, 'd/2024')]);
+    assert.deepEqual(relativePaths(found), ['2023/report.txt', '2024/report.txt']);
+
+    const processor = new DocumentProcessor();
+    const results = await processor.processMultipleFiles(found.files.map(file => file.path));
+    results.forEach((result, index) => {
+      result.relativePath = found.files[index].relativePath;
+    });
+    const outputDir = path.join(dir, 'out');
+    await processor.saveResults(results, outputDir, { report: false });
+
+    assert.match(await fs.readFile(path.join(outputDir, '2023/report_enhanced.txt'), 'utf8'), /2023/);
+    assert.match(await fs.readFile(path.join(outputDir, '2024/report_enhanced.txt'), 'utf8'), /2024/);
+  });
+});
+
+test('named files and globs share one root with folders', async () => {
+  await withTree({ 'a/one.txt': '1\n', 'b/sub/two.txt': '2\n', 'b/sub/skip.md': '3\n' }, async (dir) => {
+    const found = await new FileDiscovery().discover([path.join(dir, 'a/one.txt'), path.join(dir, 'b/**/*.txt')]);
+    assert.deepEqual(relativePaths(found), ['a/one.txt', 'b/sub/two.txt']);
+  });
+});
+
+test('include, exclude and unsupported files are applied per input', async () => {
+  await withTree({ 'docs/keep.txt': 'k\n', 'docs/drafts/old.txt': 'o\n', 'docs/image.xyz': 'x\n' }, async (dir) => {
+    const discovery = new FileDiscovery({ exclude: ['drafts/**'], isSupported: file => file.endsWith('.txt') });
+    const found = await discovery.discover([path.join(dir, 'docs'), path.join(dir, 'missing')]);
+
+    assert.deepEqual(relativePaths(found), ['keep.txt']);
+    assert.deepEqual(found.skipped.map(skip => skip.reason), ['unsupported type .xyz', 'not found']);
+  });
+});
+
+test('inputs writing the same output name are rejected before anything is saved', async () => {
+  await withTree({ 'd/report.txt': 'text\n', 'd/report.md': '# md\n', 'd/Other.txt': 'o\n', 'e/other.txt': 'o\n' }, async (dir) => {
+    const processor = new DocumentProcessor();
+    const found = await new FileDiscovery().discover([path.join(dir, 'd')]);
+    const entries = found.files.map(file => ({ originalPath: file.path, relativePath: file.relativePath }));
+
+    assert.throws(() => processor.checkOutputConflicts(entries), (error) => {
+      assert.equal(error.code, 'OUTPUT_CONFLICT');
+      assert.deepEqual(error.details.conflicts.map(conflict => conflict.name), ['report']);
+      return true;
+    });
+
+    // Without relative paths, same-named files from different folders land in one folder
+    const flat = [path.join(dir, 'd/Other.txt'), path.join(dir, 'e/other.txt')];
+    const results = await processor.processMultipleFiles(flat);
+    const outputDir = path.join(dir, 'out');
+    await assert.rejects(processor.saveResults(results, outputDir), { code: 'OUTPUT_CONFLICT' });
+    assert.equal(await fs.pathExists(outputDir), false);
+  });
+});
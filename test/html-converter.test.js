@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const HtmlToTextConverter = require('../src/html-converter');
+const DocumentProcessor = require('../src/processor');
+
+const NESTED = `<h1>Nested</h1>
+<table><tr><th>Name</th><th>Detail</th></tr><tr><td>Outer</td><td><table><tr><td>In1</td><td>In2</td></tr><tr><td>1</td><td>2</td></tr></table></td></tr></table>
+<ul><li>Item with a table<table><tr><th>K</th><th>V</th></tr><tr><td>a</td><td>1</td></tr></table></li><li>Plain</li></ul>
+<table><tr><th>Last</th><th>N</th></tr><tr><td>z</td><td>9</td></tr></table>`;
+
+const renderTable = (data, index) => `[T${index}: ${data.map(row => row.join(',')).join(';')}]`;
+
+test('converter turns headings, paragraphs, emphasis and links into Markdown-style text', () => {
+  const text = new HtmlToTextConverter().convert(
+    '<h2>Title</h2><p>Some <strong>bold</strong> and <em>italic</em> with <a href="https://example.com">a link</a>.</p><ol><li>One</li><li>Two</li></ol>'
+  );
+  assert.equal(text, '## Title\n\nSome **bold** and *italic* with [a link](https://example.com).\n\n1. One\n2. Two');
+});
+
+test('converter numbers nested tables separately instead of merging them into the outer cell', () => {
+  const text = new HtmlToTextConverter({ renderTable }).convert(NESTED);
+
+  assert.equal(text, [
+    '# Nested',
+    '[T1: Name,Detail;Outer,[Table 2]]',
+    '[T2: In1,In2;1,2]',
+    '- Item with a table\n- Plain',
+    '[T3: K,V;a,1]',
+    '[T4: Last,N;z,9]'
+  ].join('\n\n'));
+});
+
+test('result.tables carry the same numbers as the inline tables', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'docenhancer-html-'));
+  try {
+    const file = path.join(dir, 'nested.html');
+    await fs.writeFile(file, `<html><body>${NESTED}</body></html>`);
+    const result = await new DocumentProcessor({ outputFormat: 'enhanced-text' }).processDocument(file);
+
+    assert.deepEqual(result.tables.map(table => [table.index, table.data]), [
+      [1, [['Name', 'Detail'], ['Outer', '[Table 2]']]],
+      [2, [['In1', 'In2'], ['1', '2']]],
+      [3, [['K', 'V'], ['a', '1']]],
+      [4, [['Last', 'N'], ['z', '9']]]
+    ]);
+    for (const table of result.tables) {
+      assert.ok(result.claudeReady.includes(`**Table ${table.index}** (2 rows × 2 columns)`));
+    }
+    assert.doesNotMatch(result.claudeReady, /In1In2|In2\s*1\s*2/);
+  } finally {
+    await fs.remove(dir);
+  }
+});
@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const OcrEngine = require('../src/ocr-engine');
+const DocumentProcessor = require('../src/processor');
+
+// 5x7 letters, enough to write a word Tesseract reads in both English and German
+const GLYPHS = {
+  A: ['01110', '10001', '10001', '11111', '10001', '10001', '10001'],
+  H: ['10001', '10001', '10001', '11111', '10001', '10001', '10001'],
+  S: ['01111', '10000', '10000', '01110', '00001', '00001', '11110'],
+  U: ['10001', '10001', '10001', '10001', '10001', '10001', '01110']
+};
+
+function crc32(data) {
+  let crc = ~0;
+  for (const byte of data) {
+    crc ^= byte;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+    }
+  }
+  return ~crc >>> 0;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+// Black letters on white as an 8-bit grayscale PNG
+function wordPng(word, scale = 8) {
+  const width = (word.length * 6 + 3) * scale;
+  const height = 11 * scale;
+  const rows = Buffer.alloc((width + 1) * height, 255);
+  for (let y = 0; y < height; y++) rows[y * (width + 1)] = 0;
+
+  [...word].forEach((letter, index) => {
+    GLYPHS[letter].forEach((line, glyphY) => {
+      [...line].forEach((pixel, glyphX) => {
+        if (pixel !== '1') return;
+        for (let dy = 0; dy < scale; dy++) {
+          for (let dx = 0; dx < scale; dx++) {
+            const x = (2 + index * 6 + glyphX) * scale + dx;
+            const y = (2 + glyphY) * scale + dy;
+            rows[y * (width + 1) + 1 + x] = 0;
+          }
+        }
+      });
+    });
+  });
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;
+  return Buffer.concat([
+    Buffer.from([137, 80, 78, 71, 13, 10, 26, 10]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(rows)),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+async function withTempDir(run) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'docenhancer-ocr-'));
+  try {
+    await run(dir);
+  } finally {
+    await fs.remove(dir);
+  }
+}
+
+test('languages from separate data packages are gathered into one folder', async () => {
+  await withTempDir(async (dir) => {
+    const engine = new OcrEngine({ languages: 'eng+deu', dataDir: dir });
+    const data = await engine.languageData();
+
+    assert.equal(path.dirname(data.langPath), dir);
+    assert.deepEqual((await fs.readdir(data.langPath)).sort(), ['deu.traineddata.gz', 'eng.traineddata.gz']);
+    assert.deepEqual(await engine.languageData(), data);
+
+    const [result] = await engine.recognizeAll([wordPng('HAUS')]);
+    assert.equal(result.text, 'HAUS');
+  });
+});
+
+test('a single language is read from its package folder', async () => {
+  const data = await new OcrEngine({ languages: 'eng', dataDir: path.join(os.tmpdir(), 'unused') }).languageData();
+  assert.equal(data.langPath, require('@tesseract.js-data/eng').langPath);
+});
+
+test('missing language data is reported instead of downloaded', async () => {
+  await assert.rejects(new OcrEngine({ languages: 'eng+xyz' }).languageData(), {
+    code: 'OCR_UNAVAILABLE',
+    message: /@tesseract\.js-data\/xyz/
+  });
+});
+
+test('images are read with every language from an OCR language path', async () => {
+  await withTempDir(async (dir) => {
+    const langPath = path.join(dir, 'tessdata');
+    await fs.ensureDir(langPath);
+    for (const lang of ['eng', 'deu']) {
+      const data = require(`@tesseract.js-data/${lang}`);
+      await fs.symlink(path.join(data.langPath, `${lang}.traineddata.gz`), path.join(langPath, `${lang}.traineddata.gz`));
+    }
+    const image = path.join(dir, 'sign.png');
+    await fs.writeFile(image, wordPng('HAUS'));
+
+    const processor = new DocumentProcessor({ ocrLanguages: 'eng+deu', ocrLangPath: langPath });
+    const result = await processor.processDocument(image);
+    assert.match(result.extractedText, /HAUS/);
+  });
+});
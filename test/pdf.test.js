@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const DocumentProcessor = require('../src/processor');
+
+// One line of Helvetica text per page. The comment pads the file past Node's 4 KB buffer pool:
+// pdf.js reads object offsets from the start of the underlying ArrayBuffer, not the Buffer
+function simplePdf(pages) {
+  const objects = ['<< /Type /Catalog /Pages 2 0 R >>', null, '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'];
+  const kids = [];
+  for (const text of pages) {
+    const content = `BT /F1 18 Tf 72 720 Td (${text}) Tj ET`;
+    objects.push(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+    objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 3 0 R >> >> /Contents ${objects.length} 0 R >>`);
+    kids.push(`${objects.length} 0 R`);
+  }
+  objects[1] = `<< /Type /Pages /Kids [${kids.join(' ')}] /Count ${kids.length} >>`;
+
+  let pdf = `%PDF-1.4\n%${' '.repeat(4096)}\n`;
+  const offsets = objects.map((object, index) => {
+    const offset = pdf.length;
+    pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(pdf, 'latin1');
+}
+
+async function withPdf(pages, run) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'docenhancer-pdf-'));
+  try {
+    const file = path.join(dir, 'doc.pdf');
+    await fs.writeFile(file, simplePdf(pages));
+    await run(file);
+  } finally {
+    await fs.remove(dir);
+  }
+}
+
+test('PDF text is marked with its page numbers by default', async () => {
+  await withPdf(['First page text', 'Second page text'], async (file) => {
+    const result = await new DocumentProcessor({ ocr: 'never' }).processDocument(file);
+    assert.equal(result.extractedText, '--- Page 1 ---\nFirst page text\n\n--- Page 2 ---\nSecond page text');
+  });
+});
+
+test('pageMarkers: false leaves the page markers out', async () => {
+  await withPdf(['First page text', 'Second page text'], async (file) => {
+    const result = await new DocumentProcessor({ ocr: 'never', pageMarkers: false }).processDocument(file);
+    assert.equal(result.extractedText, 'First page text\n\nSecond page text');
+  });
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Redactor = require('../src/redactor');
+const { InvalidOptionError } = require('../src/errors');
+
+const mask = (text, options = {}) => new Redactor(options).redactText(text);
+
+test('redactor masks email addresses', () => {
+  assert.equal(mask('Write to Jane.Doe@example.co.uk today.'), 'Write to [EMAIL_1] today.');
+});
+
+test('redactor masks card numbers only when they pass the Luhn check', () => {
+  assert.equal(mask('Card 4111 1111 1111 1111 on file'), 'Card [CARD_1] on file');
+  assert.equal(mask('Card 4111-1111-1111-1111 on file'), 'Card [CARD_1] on file');
+  assert.equal(mask('Order 4111 1111 1111 1112 shipped'), 'Order 4111 1111 1111 1112 shipped');
+});
+
+test('redactor masks national ID numbers', () => {
+  assert.equal(mask('SSN 123-45-6789'), 'SSN [ID_1]');
+  assert.equal(mask('NI number AB 12 34 56 C'), 'NI number [ID_1]');
+  assert.equal(mask('SIN 046 454 286'), 'SIN [ID_1]');
+  // Invalid SSN area and a nine-digit group failing the SIN checksum
+  assert.equal(mask('Ref 000-12-3456'), 'Ref 000-12-3456');
+  assert.equal(mask('Batch 123 456 789'), 'Batch 123 456 789');
+});
+
+test('redactor masks phone numbers', () => {
+  assert.equal(mask('Call 555-123-4567.'), 'Call [PHONE_1].');
+  assert.equal(mask('Call +44 20 7946 0958'), 'Call [PHONE_1]');
+  assert.equal(mask('Call (020) 7946 0958'), 'Call [PHONE_1]');
+  assert.equal(mask('Call 020 7946 0958'), 'Call [PHONE_1]');
+  assert.equal(mask('Mobile 07700 900123'), 'Mobile [PHONE_1]');
+});
+
+test('redactor leaves years, amounts and references alone', () => {
+  const text = 'Between 2019 2020 and 2021, 12 500 units shipped under PO 4411-2093 at 3.14 each, see v1.2.3.';
+  assert.equal(mask(text), text);
+});
+
+test('redactor gives the same value the same pseudonym', () => {
+  const redactor = new Redactor();
+  const first = redactor.redactText('a@example.com, b@example.com, A@Example.com');
+  const second = redactor.redactText('b@example.com again');
+
+  assert.equal(first, '[EMAIL_1], [EMAIL_2], [EMAIL_1]');
+  assert.equal(second, '[EMAIL_2] again');
+});
+
+test('redactor hashes with the salt and removes in remove mode', () => {
+  const hashed = mask('a@example.com', { mode: 'hash', salt: 'fixed' });
+  assert.match(hashed, /^\[EMAIL:[0-9a-f]{8}\]$/);
+  assert.equal(mask('a@example.com', { mode: 'hash', salt: 'fixed' }), hashed);
+  assert.notEqual(mask('a@example.com', { mode: 'hash', salt: 'other' }), hashed);
+
+  assert.equal(mask('Mail a@example.com now', { mode: 'remove' }), 'Mail  now');
+});
+
+test('redactor runs only the selected detectors', () => {
+  assert.equal(mask('a@example.com 555-123-4567', { types: ['phone'] }), 'a@example.com [PHONE_1]');
+});
+
+test('redactor applies custom patterns and word lists', () => {
+  const redactor = new Redactor({
+    patterns: ['employee-id=EMP-\\d{5}'],
+    words: ['Jane Doe', 'Jane']
+  });
+
+  assert.equal(
+    redactor.redactText('EMP-12345 is Jane  Doe; Jane signs. Janet does not.'),
+    '[EMPLOYEE_ID_1] is [NAME_1]; [NAME_2] signs. Janet does not.'
+  );
+});
+
+test('redactor counts matches in redactResult without keeping the values', () => {
+  const result = new Redactor().redactResult({
+    extractedText: 'a@example.com and a@example.com, 555-123-4567',
+    tables: [{ data: [['Email'], ['b@example.com']] }],
+    metadata: { author: 'c@example.com' }
+  });
+
+  assert.equal(result.tables[0].data[1][0], '[EMAIL_2]');
+  assert.equal(result.metadata.author, '[EMAIL_3]');
+  assert.deepEqual(result.metadata.redaction.counts, { email: 4, phone: 1 });
+  assert.deepEqual(result.metadata.redaction.distinct, { email: 3, phone: 1 });
+  assert.doesNotMatch(JSON.stringify(result.metadata.redaction), /example\.com/);
+});
+
+test('redactor rejects unknown modes, types and bad patterns', () => {
+  assert.throws(() => new Redactor({ mode: 'blur' }), InvalidOptionError);
+  assert.throws(() => new Redactor({ types: ['passport'] }), InvalidOptionError);
+  assert.throws(() => new Redactor({ patterns: ['bad=('] }), InvalidOptionError);
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const DocumentModel = require('../src/document-model');
+const DocumentProcessor = require('../src/processor');
+const { InvalidOptionError } = require('../src/errors');
+const { RendererRegistry } = require('../src/renderers');
+
+const renderers = RendererRegistry.withDefaults();
+const result = extractedText => ({ originalPath: 'doc.html', mimeType: 'text/html', processingMethod: 'cheerio', extractedText });
+
+test('document model keeps the nesting level of list items', () => {
+  const text = '- One\n  - Nested\n    - Deeper\n- Two\n\n1. A\n   1. A1\n2. B\n';
+  const [section] = DocumentModel.fromResult(result(text)).document.sections;
+
+  assert.deepEqual(section.blocks.map(({ ordered, items, levels }) => ({ ordered, items, levels })), [
+    { ordered: false, items: ['One', 'Nested', 'Deeper', 'Two'], levels: [0, 1, 2, 0] },
+    { ordered: true, items: ['A', 'A1', 'B'], levels: [0, 1, 0] }
+  ]);
+});
+
+test('document model reads nested HTML lists without merging their text', () => {
+  const html = '<ul><li>One<ul><li>Nested</li></ul></li><li>Two</li></ul>';
+  const [section] = DocumentModel.fromResult(result(html)).document.sections;
+
+  assert.deepEqual(section.blocks[0].items, ['One', 'Nested', 'Two']);
+  assert.deepEqual(section.blocks[0].levels, [0, 1, 0]);
+});
+
+test('flat lists carry no levels', () => {
+  const [section] = DocumentModel.fromResult(result('- One\n- Two\n')).document.sections;
+  assert.equal(section.blocks[0].levels, undefined);
+});
+
+test('markdown and text renderers indent nested list items', () => {
+  const text = '- One\n  - Nested\n- Two\n\n1. A\n   1. A1\n   2. A2\n2. B\n';
+  const expected = '- One\n  - Nested\n- Two\n\n1. A\n   1. A1\n   2. A2\n2. B\n';
+
+  assert.ok(renderers.get('markdown').render(result(text), {}).endsWith(expected));
+  assert.equal(renderers.get('text').render(result(text), {}), expected);
+});
+
+test('chunkTokens is only accepted for formats the chunker can split', () => {
+  for (const outputFormat of ['enhanced-text', 'markdown']) {
+    assert.equal(renderers.get(outputFormat).chunkable, true);
+    assert.doesNotThrow(() => new DocumentProcessor({ outputFormat, chunkTokens: 500 }));
+  }
+  for (const outputFormat of ['text', 'json']) {
+    assert.equal(renderers.get(outputFormat).chunkable, false);
+    assert.throws(() => new DocumentProcessor({ outputFormat, chunkTokens: 500 }), InvalidOptionError);
+    assert.doesNotThrow(() => new DocumentProcessor({ outputFormat, chunkTokens: 0 }));
+  }
+});
@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const DocumentServer = require('../src/server');
+const { version } = require('../package.json');
+
+const CSV = 'name,value\nAlpha,1\nBeta,2\n';
+
+test('server routes', async (t) => {
+  const server = new DocumentServer({ port: 0, processorOptions: { cache: false } });
+  const { port } = await server.listen();
+  const base = `http://127.0.0.1:${port}`;
+  t.after(() => server.close());
+
+  await t.test('GET /health reports status, formats and inputs', async () => {
+    const response = await fetch(`${base}/health`);
+    assert.equal(response.status, 200);
+    const health = await response.json();
+    assert.equal(health.status, 'ok');
+    assert.equal(health.version, version);
+    assert.ok(health.formats.includes('markdown'));
+    assert.ok(health.inputs.includes('.csv'));
+  });
+
+  await t.test('POST /convert converts a raw body named by ?filename=', async () => {
+    const response = await fetch(`${base}/convert?filename=data.csv&format=markdown`, { method: 'POST', body: CSV });
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/markdown/);
+    assert.equal(response.headers.get('x-document-tables'), '1');
+    const text = await response.text();
+    assert.match(text, /\| Alpha \| 1 \|/);
+  });
+
+  await t.test('POST /convert takes the name from X-Filename and a multipart file field', async () => {
+    const raw = await fetch(`${base}/convert?format=json`, {
+      method: 'POST',
+      headers: { 'X-Filename': 'data.csv' },
+      body: CSV
+    });
+    assert.equal(raw.status, 200);
+    assert.match(raw.headers.get('content-type'), /^application\/json/);
+    assert.equal(typeof (await raw.json()), 'object');
+
+    const form = new FormData();
+    form.append('file', new Blob([CSV], { type: 'text/csv' }), 'upload.csv');
+    form.append('format', 'text');
+    const multipart = await fetch(`${base}/convert`, { method: 'POST', body: form });
+    assert.equal(multipart.status, 200);
+    assert.match(multipart.headers.get('content-type'), /^text\/plain/);
+    assert.match(await multipart.text(), /Alpha/);
+  });
+
+  await t.test('POST /convert rejects empty bodies and unknown formats', async () => {
+    const empty = await fetch(`${base}/convert?filename=data.csv`, { method: 'POST', body: '' });
+    assert.equal(empty.status, 400);
+    assert.equal((await empty.json()).error.code, 'BAD_REQUEST');
+
+    const format = await fetch(`${base}/convert?filename=data.csv&format=docx`, { method: 'POST', body: CSV });
+    assert.equal(format.status, 400);
+    assert.equal((await format.json()).error.code, 'INVALID_OPTION');
+  });
+
+  await t.test('unknown routes and jobs answer 404', async () => {
+    const route = await fetch(`${base}/nowhere`);
+    assert.equal(route.status, 404);
+    assert.deepEqual(await route.json(), { error: { code: 'NOT_FOUND', message: 'No route for GET /nowhere' } });
+
+    const job = await fetch(`${base}/jobs/missing`);
+    assert.equal(job.status, 404);
+    assert.equal((await job.json()).error.code, 'NOT_FOUND');
+  });
+
+  await t.test('jobs run in the background and can be fetched and deleted', async () => {
+    const created = await fetch(`${base}/jobs?filename=data.csv&format=markdown`, { method: 'POST', body: CSV });
+    assert.equal(created.status, 202);
+    const job = await created.json();
+    assert.equal(job.filename, 'data.csv');
+    assert.equal(job.statusUrl, `/jobs/${job.id}`);
+    assert.equal(job.resultUrl, `/jobs/${job.id}/result`);
+
+    let status = job.status;
+    for (let attempt = 0; attempt < 100 && !['done', 'failed'].includes(status); attempt++) {
+      await new Promise(resolve => setTimeout(resolve, 50));
+      status = (await (await fetch(`${base}${job.statusUrl}`)).json()).status;
+    }
+    assert.equal(status, 'done');
+
+    const result = await fetch(`${base}${job.resultUrl}`);
+    assert.equal(result.status, 200);
+    assert.match(await result.text(), /\| Beta \| 2 \|/);
+
+    const deleted = await fetch(`${base}${job.statusUrl}`, { method: 'DELETE' });
+    assert.equal(deleted.status, 204);
+    assert.equal((await fetch(`${base}${job.statusUrl}`)).status, 404);
+  });
+});
+
+test('server holds a conversion slot until a timed-out conversion has stopped', async (t) => {
+  const server = new DocumentServer({ port: 0, processorOptions: { concurrency: 1, fileTimeout: 50 } });
+  const stats = { running: 0, peak: 0 };
+  server.processorFor().registerHandler({
+    extensions: ['.slow'],
+    process: async (filePath, result, processor, { signal }) => {
+      stats.running++;
+      stats.peak = Math.max(stats.peak, stats.running);
+      try {
+        while (!signal.aborted) {
+          await new Promise(resolve => setTimeout(resolve, 10));
+        }
+        signal.throwIfAborted();
+        return result;
+      } finally {
+        stats.running--;
+      }
+    }
+  });
+  const { port } = await server.listen();
+  t.after(() => server.close());
+
+  const responses = await Promise.all(['a', 'b', 'c'].map(name =>
+    fetch(`http://127.0.0.1:${port}/convert?filename=${name}.slow`, { method: 'POST', body: 'slow' })));
+
+  assert.deepEqual(responses.map(response => response.status), [504, 504, 504]);
+  assert.equal((await responses[0].json()).error.code, 'FILE_TIMEOUT');
+  assert.equal(stats.peak, 1);
+  assert.equal(server.active, 0);
+});
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const XLSX = require('xlsx');
+const SpreadsheetProcessor = require('../src/spreadsheet-processor');
+const DocumentProcessor = require('../src/processor');
+
+async function withDir(run) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'docenhancer-sheet-'));
+  try {
+    await run(dir);
+  } finally {
+    await fs.remove(dir);
+  }
+}
+
+test('spreadsheet processor reads every sheet of a workbook with merged cells filled', async () => {
+  await withDir(async (dir) => {
+    const workbook = XLSX.utils.book_new();
+    const sales = XLSX.utils.aoa_to_sheet([
+      ['Region', 'Q1', 'Q2'],
+      ['North', 100, 120],
+      ['South', 90, 95]
+    ]);
+    const notes = XLSX.utils.aoa_to_sheet([
+      ['Heading spanning two columns', null],
+      ['left', 'right']
+    ]);
+    notes['!merges'] = [XLSX.utils.decode_range('A1:B1')];
+    XLSX.utils.book_append_sheet(workbook, sales, 'Sales');
+    XLSX.utils.book_append_sheet(workbook, notes, 'Notes');
+    const file = path.join(dir, 'book.xlsx');
+    XLSX.writeFile(workbook, file);
+
+    const result = await new SpreadsheetProcessor().processDocument(file);
+    assert.equal(result.success, true);
+    assert.deepEqual(result.metadata.sheets.map(sheet => [sheet.name, sheet.rows, sheet.columns]), [['Sales', 3, 3], ['Notes', 2, 2]]);
+
+    const [first, second] = result.tables;
+    assert.equal(first.sheet, 'Sales');
+    assert.equal(first.hasHeader, true);
+    assert.deepEqual(first.data, [['Region', 'Q1', 'Q2'], ['North', '100', '120'], ['South', '90', '95']]);
+    assert.deepEqual(second.merges, ['A1:B1']);
+    assert.deepEqual(second.data[0], ['Heading spanning two columns', 'Heading spanning two columns']);
+
+    const unfilled = await new SpreadsheetProcessor({ fillMergedCells: false }).processDocument(file);
+    assert.deepEqual(unfilled.tables[1].data[0], ['Heading spanning two columns', '']);
+  });
+});
+
+test('spreadsheet processor keeps CSV cells as written', async () => {
+  await withDir(async (dir) => {
+    const file = path.join(dir, 'codes.csv');
+    await fs.writeFile(file, 'code,amount\n007,1.50\n010,2\n');
+
+    const result = await new SpreadsheetProcessor().processDocument(file);
+    assert.equal(result.metadata.fileType, 'CSV');
+    assert.deepEqual(result.tables[0].data, [['code', 'amount'], ['007', '1.50'], ['010', '2']]);
+  });
+});
+
+test('large sheets are summarized or paged with shown and total rows on the same basis', async () => {
+  await withDir(async (dir) => {
+    const file = path.join(dir, 'big.csv');
+    const rows = Array.from({ length: 1000 }, (_, i) => `item${i},${i}`);
+    await fs.writeFile(file, ['name,value', ...rows].join('\n') + '\n');
+
+    const summary = await new SpreadsheetProcessor({ maxSheetRows: 10 }).processDocument(file);
+    const [table] = summary.tables;
+    assert.equal(table.truncated, true);
+    assert.equal(table.totalRows, 1000);
+    assert.equal(table.data.length, 10);
+    assert.deepEqual(table.summary[1], { column: 'value', filled: 1000, min: 0, max: 999, sum: 499500 });
+    assert.equal(summary.metadata.sheets[0].truncated, true);
+
+    const paged = await new SpreadsheetProcessor({ maxSheetRows: 101, largeSheetMode: 'page' }).processDocument(file);
+    assert.equal(paged.tables.length, 10);
+    assert.deepEqual(paged.tables.map(page => page.rowRange), Array.from({ length: 10 }, (_, i) => [i * 100 + 1, i * 100 + 100]));
+    assert.ok(paged.tables.every(page => page.data[0][0] === 'name'));
+
+    const processed = await new DocumentProcessor({ maxSheetRows: 10 }).processDocument(file);
+    assert.match(processed.extractedText, /Showing 9 of 1000/);
+  });
+});
+
+test('unreadable spreadsheets fail with the parser error', async () => {
+  await withDir(async (dir) => {
+    const file = path.join(dir, 'broken.xlsx');
+    await fs.writeFile(file, Buffer.from('PK\u0003\u0004 not really a zip'));
+
+    const result = await new SpreadsheetProcessor().processDocument(file);
+    assert.equal(result.success, false);
+    assert.ok(result.error);
+  });
+});
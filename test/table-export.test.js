@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const DocumentProcessor = require('../src/processor');
+
+async function withTempDir(run) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'docenhancer-export-'));
+  try {
+    await run(dir);
+  } finally {
+    await fs.remove(dir);
+  }
+}
+
+async function convert(processor, dir, name, content) {
+  const file = path.join(dir, name);
+  await fs.writeFile(file, content);
+  return processor.processDocument(file);
+}
+
+const PIXEL = Buffer.from('89504e470d0a1a0a', 'hex').toString('base64');
+
+test('tables are saved as CSV files and JSON records keyed by header', async () => {
+  await withTempDir(async (dir) => {
+    const processor = new DocumentProcessor();
+    const result = await convert(processor, dir, 'grades.csv', 'name,score\nAda,9\nAlan,8\n');
+    await processor.saveResults([result], path.join(dir, 'out'), { report: false });
+
+    assert.equal(await fs.readFile(path.join(dir, 'out/grades_tables/table-01.csv'), 'utf8'), 'name,score\r\nAda,9\r\nAlan,8\r\n');
+    const { tables } = await fs.readJson(path.join(dir, 'out/grades_tables.json'));
+    assert.equal(tables[0].csv, 'grades_tables/table-01.csv');
+    assert.deepEqual(tables[0].records, [{ name: 'Ada', score: 9 }, { name: 'Alan', score: 8 }]);
+  });
+});
+
+test('table files of an earlier run go when the document has no tables any more', async () => {
+  await withTempDir(async (dir) => {
+    const out = path.join(dir, 'out');
+    const processor = new DocumentProcessor();
+    await processor.saveResults([await convert(processor, dir, 'grades.csv', 'name,score\nAda,9\n')], out, { report: false });
+    assert.equal(await fs.pathExists(path.join(out, 'grades_tables.json')), true);
+
+    await fs.remove(path.join(dir, 'grades.csv'));
+    await processor.saveResults([await convert(processor, dir, 'grades.txt', 'No table here.\n')], out, { report: false });
+    assert.deepEqual((await fs.readdir(out)).sort(), ['grades_data.json', 'grades_enhanced.txt']);
+  });
+});
+
+test('turning table export off removes the table files too', async () => {
+  await withTempDir(async (dir) => {
+    const out = path.join(dir, 'out');
+    const exporting = new DocumentProcessor();
+    await exporting.saveResults([await convert(exporting, dir, 'grades.csv', 'name,score\nAda,9\n')], out, { report: false });
+
+    const plain = new DocumentProcessor({ exportTables: false });
+    await plain.saveResults([await convert(plain, dir, 'grades.csv', 'name,score\nAda,9\n')], out, { report: false });
+    assert.equal(await fs.pathExists(path.join(out, 'grades_tables')), false);
+    assert.equal(await fs.pathExists(path.join(out, 'grades_tables.json')), false);
+  });
+});
+
+test('figures of an earlier run go when the document has none, leaving other documents alone', async () => {
+  await withTempDir(async (dir) => {
+    const out = path.join(dir, 'out');
+    const processor = new DocumentProcessor();
+    const withFigure = async (name) => {
+      const result = await convert(processor, dir, name, 'Text with a picture.\n');
+      result.assets = [{ index: 1, extension: '.png', data: PIXEL }];
+      result.metadata.figures = [{ index: 1 }];
+      return result;
+    };
+    await processor.saveResults([await withFigure('a.txt'), await withFigure('b.txt')], out, { report: false });
+    assert.deepEqual((await fs.readdir(path.join(out, 'assets'))).sort(), ['a_figure-01.png', 'b_figure-01.png']);
+    assert.equal((await fs.readJson(path.join(out, 'a_data.json'))).metadata.figures[0].file, 'assets/a_figure-01.png');
+
+    await processor.saveResults([await convert(processor, dir, 'a.txt', 'Text without one.\n')], out, { report: false });
+    assert.deepEqual(await fs.readdir(path.join(out, 'assets')), ['b_figure-01.png']);
+
+    await processor.saveResults([await convert(processor, dir, 'b.txt', 'Text without one.\n')], out, { report: false });
+    assert.equal(await fs.pathExists(path.join(out, 'assets')), false);
+  });
+});
@@ -0,0 +1,11 @@
+// Runs every test/*.test.js file in one process with the built-in node:test runner
+const fs = require('fs');
+const path = require('path');
+
+const files = fs.readdirSync(__dirname)
+  .filter(file => file.endsWith('.test.js'))
+  .sort();
+
+for (const file of files) {
+  require(path.join(__dirname, file));
+}
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const DocumentProcessor = require('../src/processor');
+const DocumentWatcher = require('../src/watcher');
+const FileDiscovery = require('../src/file-discovery');
+
+async function withWatcher(run) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'docenhancer-watch-'));
+  const watcher = new DocumentWatcher(new DocumentProcessor(), new FileDiscovery(), {
+    inputs: [path.join(dir, 'in')],
+    outputDir: path.join(dir, 'out'),
+    debounce: 0
+  });
+  const events = [];
+  for (const name of ['watch:change', 'watch:processed', 'watch:removed']) {
+    watcher.on(name, payload => events.push({ name, payload }));
+  }
+  try {
+    await fs.outputFile(path.join(dir, 'in/notes.txt'), 'First version\n');
+    // scan() is what the timer runs; calling it directly keeps the test free of waits
+    await run({ dir, watcher, events, output: (name) => path.join(dir, 'out', name) });
+  } finally {
+    watcher.stop();
+    await fs.remove(dir);
+  }
+}
+
+async function readReport(dir) {
+  return fs.readJson(path.join(dir, 'out/batch_report.json'));
+}
+
+test('watcher converts new and changed files and removes outputs of deleted ones', async () => {
+  await withWatcher(async ({ dir, watcher, events, output }) => {
+    await watcher.scan({ initial: true });
+    assert.match(await fs.readFile(output('notes_enhanced.txt'), 'utf8'), /First version/);
+
+    await fs.writeFile(path.join(dir, 'in/notes.txt'), 'Second, longer version\n');
+    await watcher.scan();
+    assert.match(await fs.readFile(output('notes_enhanced.txt'), 'utf8'), /Second, longer version/);
+
+    await watcher.scan();
+    assert.equal(events.filter(event => event.name === 'watch:change').length, 2);
+
+    await fs.remove(path.join(dir, 'in/notes.txt'));
+    await watcher.scan();
+    assert.deepEqual((await fs.readdir(path.join(dir, 'out'))).sort(), ['batch_report.json']);
+    assert.equal((await readReport(dir)).totals.files, 0);
+  });
+});
+
+test('a failed save marks the file as failed and keeps its outputs tracked', async () => {
+  await withWatcher(async ({ dir, watcher, events, output }) => {
+    await watcher.scan({ initial: true });
+
+    // A folder where the data JSON goes makes saveResults fail after the text output is written
+    await fs.writeFile(path.join(dir, 'in/notes.txt'), 'Second, longer version\n');
+    await fs.remove(output('notes_data.json'));
+    await fs.ensureDir(output('notes_data.json'));
+    await watcher.scan();
+
+    const [{ results }] = events.filter(event => event.name === 'watch:processed').slice(-1).map(event => event.payload);
+    assert.equal(results[0].success, false);
+    assert.match(results[0].error, /^Could not save outputs: /);
+    assert.equal((await readReport(dir)).totals.failed, 1);
+
+    // Not retried until the file changes again
+    await watcher.scan();
+    assert.equal(events.filter(event => event.name === 'watch:change').length, 2);
+
+    await fs.remove(path.join(dir, 'in/notes.txt'));
+    await watcher.scan();
+    const [removed] = events.filter(event => event.name === 'watch:removed');
+    assert.deepEqual(removed.payload.outputs.sort(), [output('notes_data.json'), output('notes_enhanced.txt')]);
+    assert.deepEqual(await fs.readdir(path.join(dir, 'out')), ['batch_report.json']);
+  });
+});